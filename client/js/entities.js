@@ -1,5 +1,11 @@
 // Game entities for Space Invaders
 
+// The browser provides Utils as a <script> global; under Node (score
+// verification) pull it in so the same rules can run headlessly.
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils');
+}
+
 class Entity {
     constructor(x, y, width, height) {
         this.x = x;
@@ -24,13 +30,22 @@ class Entity {
 }
 
 class Player extends Entity {
-    constructor(x, y) {
-        super(x, y, 40, 30);
-        this.speed = 5;
+    /**
+     * @param {number} x - Left edge, for a 40-wide ship; narrower and wider
+     *     ships are shifted to keep the same center
+     * @param {number} y - Top edge, for a 30-high ship; likewise for the bottom
+     * @param {string} [ship] - One of Player.SHIPS
+     */
+    constructor(x, y, ship = 'fighter') {
+        const stats = Player.SHIPS[ship];
+        super(x + (40 - stats.width) / 2, y + 30 - stats.height, stats.width, stats.height);
+        this.ship = ship;
+        this.speed = stats.speed;
+        this.gun = stats.gun;
         this.shootCooldown = 0;
-        this.maxShootCooldown = 0.25; // seconds
-        this.baseShootCooldown = 0.25;
-        this.color = '#00ff00';
+        this.maxShootCooldown = stats.cooldown; // seconds
+        this.baseShootCooldown = stats.cooldown;
+        this.color = stats.color;
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         this.maxInvulnerabilityTime = 2; // seconds
@@ -43,6 +58,8 @@ class Player extends Entity {
         this.autoAimTime = 0;
         this.hasRapidFire = false;
         this.rapidFireTime = 0;
+        this.hasScoreBoost = false;
+        this.scoreBoostTime = 0;
     }
 
     update(deltaTime, canvasWidth) {
@@ -82,6 +99,13 @@ class Player extends Entity {
             }
         }
 
+        if (this.hasScoreBoost) {
+            this.scoreBoostTime -= deltaTime;
+            if (this.scoreBoostTime <= 0) {
+                this.hasScoreBoost = false;
+            }
+        }
+
         // Keep player within canvas bounds
         this.x = Utils.clamp(this.x, 0, canvasWidth - this.width);
     }
@@ -140,6 +164,15 @@ class Player extends Entity {
                     '#ffaa00',
                     true
                 ));
+            } else if (this.gun === 'spread') {
+                // Spread gun: a narrow fan of three
+                [-1.2, 0, 1.2].forEach(vx => bullets.push(new Bullet(
+                    this.x + this.width / 2 - 2,
+                    this.y,
+                    vx, -8,
+                    this.color,
+                    true
+                )));
             } else {
                 // Normal shot
                 bullets.push(new Bullet(
@@ -174,9 +207,18 @@ class Player extends Entity {
                 this.rapidFireTime = duration;
                 this.maxShootCooldown = 0.1; // Faster shooting
                 break;
+            case 'score-boost':
+                this.hasScoreBoost = true;
+                this.scoreBoostTime = duration;
+                break;
         }
     }
 
+    // Multiplier for points scored right now
+    getScoreMultiplier() {
+        return this.hasScoreBoost ? 2 : 1;
+    }
+
     takeDamage() {
         // Shield absorbs damage
         if (this.hasShield) {
@@ -230,9 +272,27 @@ class Player extends Entity {
         
         ctx.fillStyle = playerColor;
         
+        switch (this.ship) {
+            case 'interceptor':
+                this.drawInterceptor(ctx);
+                break;
+            case 'tank':
+                this.drawTank(ctx);
+                break;
+            case 'spreader':
+                this.drawSpreader(ctx);
+                break;
+            default:
+                this.drawFighter(ctx);
+                break;
+        }
+        
+        ctx.restore();
+    }
+
+    drawFighter(ctx) {
         // Draw simple spaceship shape
         const centerX = this.x + this.width / 2;
-        const centerY = this.y + this.height / 2;
         
         ctx.beginPath();
         // Main body
@@ -247,11 +307,62 @@ class Player extends Entity {
         // Wings
         ctx.fillRect(this.x, this.y + 20, 8, 10);
         ctx.fillRect(this.x + 32, this.y + 20, 8, 10);
+    }
+
+    drawInterceptor(ctx) {
+        const x = this.x;
+        const y = this.y;
         
-        ctx.restore();
+        // Slim dart with swept wings
+        ctx.beginPath();
+        ctx.moveTo(x + 16, y);
+        ctx.lineTo(x + 22, y + 14);
+        ctx.lineTo(x + 32, y + 24);
+        ctx.lineTo(x + 19, y + 20);
+        ctx.lineTo(x + 16, y + 24);
+        ctx.lineTo(x + 13, y + 20);
+        ctx.lineTo(x, y + 24);
+        ctx.lineTo(x + 10, y + 14);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    drawTank(ctx) {
+        const x = this.x;
+        const y = this.y;
+        
+        // Heavy hull with a short turret
+        ctx.fillRect(x + 20, y, 8, 10);
+        ctx.fillRect(x + 10, y + 8, 28, 10);
+        ctx.fillRect(x, y + 16, 48, 14);
+        
+        // Treads
+        ctx.fillRect(x + 2, y + 30, 10, 4);
+        ctx.fillRect(x + 36, y + 30, 10, 4);
+    }
+
+    drawSpreader(ctx) {
+        const x = this.x;
+        const y = this.y;
+        
+        // Wide body with three barrels
+        ctx.fillRect(x + 6, y + 12, 32, 18);
+        ctx.fillRect(x + 19, y, 6, 12);
+        ctx.fillRect(x + 8, y + 4, 5, 8);
+        ctx.fillRect(x + 31, y + 4, 5, 8);
+        ctx.fillRect(x, y + 22, 44, 8);
     }
 }
 
+// Ship classes the player picks from before a run. Lives are what the run
+// starts with; gun is 'single' or 'spread' (three bullets per shot).
+Player.SHIPS = {
+    fighter: { name: 'Fighter', description: 'All-rounder', speed: 5, cooldown: 0.25, lives: 3, gun: 'single', width: 40, height: 30, color: '#00ff00' },
+    interceptor: { name: 'Interceptor', description: 'Fast and fragile', speed: 7, cooldown: 0.2, lives: 2, gun: 'single', width: 32, height: 24, color: '#00ccff' },
+    tank: { name: 'Tank', description: 'Slow and tough', speed: 3.5, cooldown: 0.3, lives: 4, gun: 'single', width: 48, height: 34, color: '#66ff66' },
+    spreader: { name: 'Spreader', description: 'Spread gun, slow to reload', speed: 4.5, cooldown: 0.45, lives: 3, gun: 'spread', width: 44, height: 30, color: '#ccff00' }
+};
+
 class Enemy extends Entity {
     constructor(x, y, type = 'basic') {
         super(x, y, 30, 25);
@@ -263,8 +374,27 @@ class Enemy extends Entity {
         this.shootFrequency = 0.003;
         this.animFrame = 0;
         this.animSpeed = 0.1;
+
+        // Hits it takes to destroy: Enemy.HEALTH for the type, unless the
+        // level armors it differently (see setHealth)
+        this.health = 1;
+        this.maxHealth = 1;
+        this.isBoss = false;
+        this.hitFlash = 0;
+
+        // Dive attack in progress, see DiveAttacks
+        this.dive = null;
+
+        // Shots fired so far; weapons that alternate key off it
+        this.shotsFired = 0;
         
         this.setTypeProperties();
+        this.setHealth(Enemy.HEALTH[type] || 1);
+    }
+
+    setHealth(health) {
+        this.health = health;
+        this.maxHealth = health;
     }
 
     setTypeProperties() {
@@ -298,14 +428,77 @@ class Enemy extends Entity {
 
     update(deltaTime) {
         this.animFrame += this.animSpeed * deltaTime;
+
+        if (this.hitFlash > 0) {
+            this.hitFlash -= deltaTime;
+        }
+    }
+
+    /**
+     * Turn this enemy into a multi-hit boss, grown around its center
+     * @param {number} health - Hits it takes to destroy
+     * @param {number} size - Scale of the normal boss sprite
+     * @param {EnemyWeapon[]} weapons - Special attacks, fired in turn
+     */
+    makeBoss(health, size, weapons) {
+        const centerX = this.x + this.width / 2;
+
+        this.isBoss = true;
+        this.setHealth(health);
+        this.size = size;
+        this.width = Math.round(this.width * size);
+        this.height = Math.round(this.height * size);
+        this.x = centerX - this.width / 2;
+        this.points *= health;
+
+        this.phase = 1;
+        this.weapons = weapons;
+        this.attackIndex = 0;
+        this.attackTimer = Enemy.BOSS_ATTACK_INTERVALS[0];
+    }
+
+    // Take one hit; returns true when it destroys the enemy
+    takeHit() {
+        this.health--;
+        this.hitFlash = 0.1;
+        return this.health <= 0;
+    }
+
+    // Color shifted toward Enemy.DAMAGE_COLOR by the share of health lost
+    getDamageColor() {
+        if (this.health >= this.maxHealth) return this.color;
+        return Enemy.mixColors(this.color, Enemy.DAMAGE_COLOR, 1 - this.health / this.maxHealth);
+    }
+
+    // Blend two #rrggbb colors, t = 0 for the first and 1 for the second
+    static mixColors(from, to, t) {
+        const channel = (color, shift) => (parseInt(color.slice(1), 16) >> shift) & 0xff;
+        const mixed = [16, 8, 0].map(shift =>
+            Math.round(channel(from, shift) + (channel(to, shift) - channel(from, shift)) * t));
+        return `rgb(${mixed.join(', ')})`;
+    }
+
+    // Boss phase from 1 (full health) to Enemy.BOSS_PHASES (last stretch)
+    getPhase() {
+        const lost = this.maxHealth - this.health;
+        return Math.min(Enemy.BOSS_PHASES, 1 + Math.floor(lost * Enemy.BOSS_PHASES / this.maxHealth));
+    }
+
+    // Count down to the next special attack; returns the weapon to fire, if any
+    nextAttack(deltaTime) {
+        this.attackTimer -= deltaTime;
+        if (this.attackTimer > 0 || this.weapons.length === 0) return null;
+
+        this.attackTimer = Enemy.BOSS_ATTACK_INTERVALS[this.phase - 1];
+        return this.weapons[this.attackIndex++ % this.weapons.length];
     }
 
     moveDown() {
         this.y += this.dropSpeed;
     }
 
-    shouldShoot() {
-        return Math.random() < this.shootFrequency;
+    shouldShoot(rng) {
+        return rng.next() < this.shootFrequency;
     }
 
     shoot() {
@@ -320,7 +513,7 @@ class Enemy extends Entity {
 
     draw(ctx) {
         ctx.save();
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = this.hitFlash > 0 ? '#ffffff' : this.getDamageColor();
         
         const centerX = this.x + this.width / 2;
         const wiggle = Math.sin(this.animFrame * 10) * 1;
@@ -342,6 +535,30 @@ class Enemy extends Entity {
         }
         
         ctx.restore();
+
+        if (this.health < this.maxHealth) {
+            this.drawCracks(ctx, wiggle);
+        }
+    }
+
+    // One crack per hit taken, up to the three in Enemy.CRACKS
+    drawCracks(ctx, wiggle) {
+        const hits = Math.min(Enemy.CRACKS.length, this.maxHealth - this.health);
+
+        ctx.save();
+        ctx.translate(this.x + wiggle, this.y);
+        ctx.scale(this.width, this.height);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2 / this.width;
+        ctx.beginPath();
+        Enemy.CRACKS.slice(0, hits).forEach(crack => {
+            ctx.moveTo(crack[0], crack[1]);
+            for (let i = 2; i < crack.length; i += 2) {
+                ctx.lineTo(crack[i], crack[i + 1]);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
     }
 
     drawBasicEnemy(ctx, wiggle) {
@@ -390,24 +607,91 @@ class Enemy extends Entity {
     }
 
     drawBossEnemy(ctx, wiggle) {
-        const x = this.x + wiggle;
-        const y = this.y;
+        // Drawn on a 40x35 grid, scaled up for bosses
+        ctx.translate(this.x + wiggle, this.y);
+        ctx.scale(this.width / 40, this.height / 35);
         
         // Large boss enemy
-        ctx.fillRect(x + 5, y, 30, 25);
-        ctx.fillRect(x, y + 10, 40, 15);
+        ctx.fillRect(5, 0, 30, 25);
+        ctx.fillRect(0, 10, 40, 15);
         
         // Weapons
-        ctx.fillRect(x + 2, y + 25, 8, 10);
-        ctx.fillRect(x + 30, y + 25, 8, 10);
+        ctx.fillRect(2, 25, 8, 10);
+        ctx.fillRect(30, 25, 8, 10);
         
-        // Eyes
+        // Eyes, red once the boss is in its last phase
+        ctx.fillStyle = this.isBoss && this.phase === Enemy.BOSS_PHASES ? '#ff0000' : '#ffffff';
+        ctx.fillRect(12, 8, 4, 4);
+        ctx.fillRect(24, 8, 4, 4);
+    }
+}
+
+Enemy.TYPES = ['basic', 'fast', 'aggressive', 'boss'];
+Enemy.HEALTH = { basic: 1, fast: 1, aggressive: 1, boss: 2 }; // default hits per type; levels override with enemyHealth
+Enemy.MAX_HEALTH = 5; // most a level can give a regular enemy
+Enemy.DAMAGE_COLOR = '#662222'; // what armor fades toward as it is worn down
+// Crack polylines as [x, y, x, y, ...] fractions of the enemy's size
+Enemy.CRACKS = [
+    [0.5, 0.1, 0.42, 0.35, 0.55, 0.5, 0.45, 0.75],
+    [0.2, 0.3, 0.35, 0.45, 0.3, 0.65],
+    [0.8, 0.25, 0.65, 0.45, 0.75, 0.6, 0.68, 0.8]
+];
+Enemy.BOSS_PHASES = 3;
+Enemy.BOSS_ATTACK_INTERVALS = [3, 2, 1.25]; // seconds between special attacks, per phase
+
+// Bonus saucer that crosses the top of the screen, worth a surprise amount
+class MysteryShip extends Entity {
+    constructor(x, y, direction, speed, points) {
+        super(x, y, 48, 20);
+        this.direction = direction;
+        this.speed = speed;
+        this.points = points;
+        this.color = '#ff00ff';
+        this.animFrame = 0;
+    }
+
+    update(deltaTime, canvasWidth) {
+        this.x += this.speed * this.direction;
+        this.animFrame += deltaTime;
+
+        // Gone once it has crossed the whole screen
+        if ((this.direction === 1 && this.x > canvasWidth) ||
+            (this.direction === -1 && this.x < -this.width)) {
+            this.active = false;
+        }
+    }
+
+    draw(ctx) {
+        const x = this.x;
+        const y = this.y;
+
+        ctx.save();
+        ctx.fillStyle = this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 10;
+
+        // Dome and hull
+        ctx.fillRect(x + 16, y, 16, 6);
+        ctx.fillRect(x + 6, y + 6, 36, 6);
+        ctx.fillRect(x, y + 12, 48, 5);
+        ctx.fillRect(x + 8, y + 17, 8, 3);
+        ctx.fillRect(x + 32, y + 17, 8, 3);
+
+        // Running lights
+        const lit = Math.floor(this.animFrame * 8) % 3;
         ctx.fillStyle = '#ffffff';
-        ctx.fillRect(x + 12, y + 8, 4, 4);
-        ctx.fillRect(x + 24, y + 8, 4, 4);
+        for (let i = 0; i < 3; i++) {
+            if (i === lit) {
+                ctx.fillRect(x + 10 + i * 12, y + 8, 4, 3);
+            }
+        }
+
+        ctx.restore();
     }
 }
 
+MysteryShip.Y = 45; // above the formation's top row
+
 class Bullet extends Entity {
     constructor(x, y, vx, vy, color, isPlayerBullet) {
         super(x, y, 4, 8);
@@ -464,6 +748,185 @@ class Bullet extends Entity {
     }
 }
 
+// Enemy shot that weaves from side to side on its way down
+class ZigZagBullet extends Bullet {
+    constructor(x, y, speed) {
+        super(x, y, 0, speed, '#ffff00', false);
+        this.originX = x;
+        this.time = 0;
+    }
+
+    update(deltaTime, canvasWidth, canvasHeight) {
+        this.time += deltaTime;
+        this.x = this.originX + Math.sin(this.time * ZigZagBullet.FREQUENCY) * ZigZagBullet.AMPLITUDE;
+        super.update(deltaTime, canvasWidth, canvasHeight);
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 8;
+        ctx.lineWidth = 2;
+
+        // A little lightning bolt
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x + this.width, this.y + this.height / 3);
+        ctx.lineTo(this.x, this.y + (this.height * 2) / 3);
+        ctx.lineTo(this.x + this.width, this.y + this.height);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
+
+ZigZagBullet.AMPLITUDE = 24; // pixels either side of where it was fired
+ZigZagBullet.FREQUENCY = 8; // radians per second
+
+// Small round pellet from an aimed spread; it only chips walls
+class Pellet extends Bullet {
+    constructor(x, y, vx, vy) {
+        super(x, y, vx, vy, '#ff6600', false);
+        this.width = Pellet.SIZE;
+        this.height = Pellet.SIZE;
+        this.impactRadius = 4; // wall damage, see Wall.takeDamage
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.fillStyle = this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 6;
+        ctx.beginPath();
+        ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+Pellet.SIZE = 5;
+
+// Homing boss missile: steers toward its target until the fuel runs out. It
+// blasts a crater out of walls, and a player shot can bring it down.
+class Missile extends Bullet {
+    constructor(x, y, target, speed) {
+        super(x, y, 0, speed, '#ffaa00', false);
+        this.width = 6;
+        this.height = 12;
+        this.target = target;
+        this.speed = speed;
+        this.fuel = 2.5; // seconds of steering
+        this.turnRate = 2.5; // radians per second
+        this.impactRadius = 14;
+        this.shootable = true;
+    }
+
+    update(deltaTime, canvasWidth, canvasHeight) {
+        if (this.fuel > 0) {
+            this.fuel -= deltaTime;
+
+            const dx = this.target.x + this.target.width / 2 - (this.x + this.width / 2);
+            const dy = this.target.y + this.target.height / 2 - (this.y + this.height / 2);
+            const heading = Math.atan2(this.vy, this.vx);
+
+            // Shortest way round to the target, limited by the turn rate
+            let turn = Math.atan2(dy, dx) - heading;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            turn = Utils.clamp(turn, -this.turnRate * deltaTime, this.turnRate * deltaTime);
+
+            this.vx = Math.cos(heading + turn) * this.speed;
+            this.vy = Math.sin(heading + turn) * this.speed;
+        }
+
+        super.update(deltaTime, canvasWidth, canvasHeight);
+    }
+
+    draw(ctx) {
+        const centerX = this.x + this.width / 2;
+        const centerY = this.y + this.height / 2;
+
+        ctx.save();
+        ctx.translate(centerX, centerY);
+        ctx.rotate(Math.atan2(this.vy, this.vx) - Math.PI / 2);
+
+        // Exhaust flame while it still has fuel to steer, flickering as it
+        // burns (off the fuel, so replays draw it the same)
+        if (this.fuel > 0) {
+            ctx.fillStyle = '#ff3300';
+            ctx.globalAlpha = 0.8 + 0.2 * Math.sin(this.fuel * 60);
+            ctx.fillRect(-2, -this.height / 2 - 5, 4, 5);
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.fillStyle = this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 8;
+        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+
+        // Nose cone
+        ctx.beginPath();
+        ctx.moveTo(-this.width / 2, this.height / 2);
+        ctx.lineTo(this.width / 2, this.height / 2);
+        ctx.lineTo(0, this.height / 2 + 4);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// Boss laser: a warning line while it charges, then a beam to the bottom of
+// the screen. It passes over walls and can only hit once.
+class Laser extends Entity {
+    constructor(centerX, y, height, chargeTime) {
+        super(centerX - Laser.WIDTH / 2, y, Laser.WIDTH, height);
+        this.isPlayerBullet = false;
+        this.passesWalls = true;
+        this.persistent = true; // stays on screen after a hit
+        this.spent = false;
+        this.chargeTime = chargeTime;
+        this.fireTime = 0.6; // seconds
+        this.time = 0;
+        this.color = '#ff00ff';
+    }
+
+    get firing() {
+        return this.time >= this.chargeTime;
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        if (this.time >= this.chargeTime + this.fireTime) {
+            this.active = false;
+        }
+    }
+
+    checkCollision(other) {
+        return this.firing && !this.spent && super.checkCollision(other);
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.fillStyle = this.color;
+        ctx.shadowColor = this.color;
+
+        if (this.firing) {
+            ctx.shadowBlur = 15;
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(this.x + this.width / 3, this.y, this.width / 3, this.height);
+        } else {
+            // Flickering aim line while charging
+            ctx.globalAlpha = 0.3 + 0.3 * Math.sin(this.time * 40);
+            ctx.fillRect(this.x + this.width / 2 - 1, this.y, 2, this.height);
+        }
+
+        ctx.restore();
+    }
+}
+
+Laser.WIDTH = 12;
+
 class Particle extends Entity {
     constructor(x, y, vx, vy, color, size, life) {
         super(x, y, size, size);
@@ -503,8 +966,46 @@ class Particle extends Entity {
     }
 }
 
+// Text that drifts up and fades, e.g. points scored where something died
+class FloatingText {
+    constructor(x, y, text, color = '#ffffff', life = 1.2) {
+        this.x = x;
+        this.y = y;
+        this.text = text;
+        this.color = color;
+        this.life = life;
+        this.maxLife = life;
+        this.active = true;
+    }
+
+    update(deltaTime) {
+        this.y -= 30 * deltaTime;
+        this.life -= deltaTime;
+
+        if (this.life <= 0) {
+            this.active = false;
+        }
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, this.life / this.maxLife);
+        ctx.fillStyle = this.color;
+        ctx.font = 'bold 16px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.text, this.x, this.y);
+        ctx.restore();
+    }
+}
+
 class PowerUp extends Entity {
-    constructor(x, y, type) {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {string} type - One of PowerUp.TYPES
+     * @param {number} [duration] - Seconds the effect lasts, instead of the type's default
+     */
+    constructor(x, y, type, duration) {
         super(x, y, 25, 25);
         this.type = type;
         this.vy = 2;
@@ -512,42 +1013,14 @@ class PowerUp extends Entity {
         this.animSpeed = 0.05;
         this.lifetime = 10; // seconds
         
-        this.setPowerUpProperties();
+        this.setPowerUpProperties(duration);
     }
 
-    setPowerUpProperties() {
-        switch (this.type) {
-            case 'rapid-fire':
-                this.color = '#ffff00';
-                this.effect = 'Rapid Fire!';
-                this.duration = 8; // seconds
-                break;
-            case 'shield':
-                this.color = '#00ffff';
-                this.effect = 'Shield Activated!';
-                this.duration = 10; // seconds
-                break;
-            case 'multi-shot':
-                this.color = '#ff00ff';
-                this.effect = 'Multi Shot!';
-                this.duration = 0; // until hit
-                break;
-            case 'auto-aim':
-                this.color = '#ff9900';
-                this.effect = 'Auto Aim!';
-                this.duration = 12; // seconds
-                break;
-            case 'life-up':
-                this.color = '#ff0066';
-                this.effect = '1-UP!';
-                this.duration = 0; // instant
-                break;
-            case 'points':
-                this.color = '#ffffff';
-                this.effect = 'Bonus Points!';
-                this.duration = 0; // instant
-                break;
-        }
+    setPowerUpProperties(duration) {
+        const { color, effect } = PowerUp.TYPES[this.type];
+        this.color = color;
+        this.effect = effect;
+        this.duration = duration ?? PowerUp.TYPES[this.type].duration;
     }
 
     update(deltaTime, canvasHeight) {
@@ -624,8 +1097,32 @@ class PowerUp extends Entity {
     }
 }
 
+// Look and default duration of each power-up (seconds; 0 is instant, or for
+// multi-shot until the player is hit). Levels pick from these in powerUps.
+PowerUp.TYPES = {
+    'rapid-fire': { color: '#ffff00', effect: 'Rapid Fire!', duration: 8 },
+    shield: { color: '#00ffff', effect: 'Shield Activated!', duration: 10 },
+    'multi-shot': { color: '#ff00ff', effect: 'Multi Shot!', duration: 0 },
+    'auto-aim': { color: '#ff9900', effect: 'Auto Aim!', duration: 12 },
+    'life-up': { color: '#ff0066', effect: '1-UP!', duration: 0 },
+    points: { color: '#ffffff', effect: 'Bonus Points!', duration: 0 },
+    'score-boost': { color: '#ffd700', effect: 'Double Score!', duration: 10 }
+};
+
+// What drops for levels that don't say: a 10% chance per kill, any of these alike
+PowerUp.DEFAULT_DROPS = {
+    dropRate: 0.1,
+    types: {
+        shield: { weight: 1 },
+        'multi-shot': { weight: 1 },
+        'auto-aim': { weight: 1 },
+        'rapid-fire': { weight: 1 },
+        'life-up': { weight: 1 }
+    }
+};
+
 class Explosion {
-    constructor(x, y, size = 30, duration = 0.5) {
+    constructor(x, y, size = 30, duration = 0.5, rng = null) {
         this.x = x;
         this.y = y;
         this.size = size;
@@ -638,13 +1135,13 @@ class Explosion {
         // Create explosion particles
         for (let i = 0; i < 12; i++) {
             const angle = (i / 12) * Math.PI * 2;
-            const speed = Utils.random(2, 5);
+            const speed = Utils.random(2, 5, rng);
             this.particles.push(new Particle(
                 x, y,
                 Math.cos(angle) * speed,
                 Math.sin(angle) * speed,
-                Utils.random(0, 1) > 0.5 ? '#ff6600' : '#ffff00',
-                Utils.randomInt(3, 6),
+                Utils.random(0, 1, rng) > 0.5 ? '#ff6600' : '#ffff00',
+                Utils.randomInt(3, 6, rng),
                 1.0
             ));
         }
@@ -703,13 +1200,24 @@ class Explosion {
 }
 
 class Wall extends Entity {
-    constructor(x, y, width, height, health = 5) {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [health] - Hits it takes before it crumbles
+     * @param {string[]} [mask] - Bunker bitmap, one string per row with '#'
+     *     for solid and anything else empty, stretched over the wall (see
+     *     Wall.SHAPES). Without one the wall is a full rectangle.
+     */
+    constructor(x, y, width, height, health = 5, mask = null) {
         super(x, y, width, height);
         this.maxHealth = health;
         this.health = health;
         this.color = '#00ff88';
         this.damageColor = '#ff6600';
         this.blockSize = 4; // Size of each block in the wall
+        this.mask = mask;
         this.blocks = this.createBlocks();
     }
 
@@ -721,6 +1229,8 @@ class Wall extends Entity {
         
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
+                if (!this.isSolid(row / rows, col / cols)) continue;
+
                 blocks.push({
                     x: col * this.blockSize,
                     y: row * this.blockSize,
@@ -732,14 +1242,40 @@ class Wall extends Entity {
         return blocks;
     }
 
-    takeDamage(bulletX, bulletY, isPlayerBullet) {
+    // Whether the mask is solid at a position given as fractions of the wall's size
+    isSolid(rowFraction, colFraction) {
+        if (!this.mask) return true;
+
+        const line = this.mask[Math.floor(rowFraction * this.mask.length)];
+        const maskCols = Math.max(...this.mask.map(maskLine => maskLine.length));
+        return line[Math.floor(colFraction * maskCols)] === '#';
+    }
+
+    // Whether an entity overlaps a block that is still standing, so shots
+    // pass through the arch and through holes blasted into the wall
+    hitsBlock(entity) {
+        return this.blocks.some(block => block.active &&
+            entity.x < this.x + block.x + this.blockSize &&
+            entity.x + entity.width > this.x + block.x &&
+            entity.y < this.y + block.y + this.blockSize &&
+            entity.y + entity.height > this.y + block.y);
+    }
+
+    /**
+     * @param {number} bulletX - Impact point
+     * @param {number} bulletY
+     * @param {boolean} isPlayerBullet - Player shots do slightly less damage
+     * @param {number} [impactRadius] - Blocks this close to the impact are
+     *     knocked out; projectiles with their own impactRadius pass it in
+     * @returns {boolean} - True if any blocks were destroyed
+     */
+    takeDamage(bulletX, bulletY, isPlayerBullet, impactRadius = isPlayerBullet ? 6 : 8) {
         if (this.health <= 0) {
             this.active = false;
             return false;
         }
 
         // Find blocks near the bullet impact point
-        const impactRadius = isPlayerBullet ? 6 : 8; // Enemy bullets do slightly more damage
         const localX = bulletX - this.x;
         const localY = bulletY - this.y;
         
@@ -829,7 +1365,29 @@ class Wall extends Entity {
     }
 }
 
+// Bunker bitmaps level data can pick by name (walls.shape)
+Wall.SHAPES = {
+    block: null,
+    arch: [
+        '....############....',
+        '...##############...',
+        '..################..',
+        '.##################.',
+        '####################',
+        '####################',
+        '####################',
+        '####################',
+        '####################',
+        '####################',
+        '####################',
+        '######........######',
+        '#####..........#####',
+        '####............####',
+        '####............####'
+    ]
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Entity, Player, Enemy, Bullet, Particle, PowerUp, Explosion, Wall };
+    module.exports = { Entity, Player, Enemy, MysteryShip, Bullet, ZigZagBullet, Pellet, Missile, Laser, Particle, FloatingText, PowerUp, Explosion, Wall };
 }
\ No newline at end of file
@@ -0,0 +1,392 @@
+// DOM HUD for Space Invaders
+// Score/lives/level display, overlays, control buttons, replay controls and
+// power-up messages.
+// Optional: the game runs without it.
+
+class DomHud {
+    constructor() {
+        this.game = null;
+        this.scrubbing = false; // replay scrubber is being dragged
+    }
+
+    attach(game) {
+        this.game = game;
+        this.bindButtonEvents();
+        this.bindModePicker();
+        this.buildShipPicker();
+        this.showHighScore();
+    }
+
+    // One button per ship class on the start overlay; the pick flies the next run
+    buildShipPicker() {
+        const picker = document.getElementById('shipPicker');
+        if (!picker) return;
+
+        Object.entries(Player.SHIPS).forEach(([ship, stats]) => {
+            const button = document.createElement('button');
+            button.className = 'ship-option';
+            button.dataset.ship = ship;
+            button.setAttribute('role', 'radio');
+            button.innerHTML = `<strong>${stats.name}</strong><span>${stats.description}</span>`;
+            button.style.borderColor = stats.color;
+            picker.appendChild(button);
+        });
+
+        picker.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-ship]');
+            if (option) {
+                this.selectShip(option.dataset.ship);
+            }
+        });
+        this.selectShip(this.game.ship);
+    }
+
+    selectShip(ship) {
+        this.game.ship = ship;
+        document.querySelectorAll('#shipPicker [data-ship]').forEach(option => {
+            const selected = option.dataset.ship === ship;
+            option.classList.toggle('active', selected);
+            option.setAttribute('aria-checked', selected ? 'true' : 'false');
+        });
+    }
+
+    // One player or two-player co-op for the next run
+    bindModePicker() {
+        const picker = document.getElementById('modePicker');
+        if (!picker) return;
+
+        picker.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-mode]');
+            if (option) {
+                this.selectMode(option.dataset.mode);
+            }
+        });
+        this.selectMode(this.game.mode);
+    }
+
+    selectMode(mode) {
+        this.game.mode = mode;
+        document.querySelectorAll('#modePicker [data-mode]').forEach(option => {
+            const selected = option.dataset.mode === mode;
+            option.classList.toggle('active', selected);
+            option.setAttribute('aria-checked', selected ? 'true' : 'false');
+        });
+    }
+
+    bindButtonEvents() {
+        const startBtn = document.getElementById('startGameBtn');
+        const versusBtn = document.getElementById('versusBtn');
+        const pauseBtn = document.getElementById('pauseBtn');
+        const restartBtn = document.getElementById('restartBtn');
+        const overlayActionBtn = document.getElementById('overlayActionBtn');
+        const overlaySecondaryBtn = document.getElementById('overlaySecondaryBtn');
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => this.game.startGame());
+        }
+
+        if (versusBtn) {
+            versusBtn.addEventListener('click', () => this.game.versus?.findMatch());
+        }
+
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.game.togglePause());
+        }
+
+        if (restartBtn) {
+            restartBtn.addEventListener('click', () => this.game.restartGame());
+        }
+
+        if (overlayActionBtn) {
+            overlayActionBtn.addEventListener('click', () => this.game.handleOverlayAction());
+        }
+
+        if (overlaySecondaryBtn) {
+            overlaySecondaryBtn.addEventListener('click', () => this.game.handleOverlaySecondaryAction());
+        }
+
+        this.bindReplayControls();
+    }
+
+    bindReplayControls() {
+        const playBtn = document.getElementById('replayPlayBtn');
+        const scrubber = document.getElementById('replayScrubber');
+        const speedBtn = document.getElementById('replaySpeedBtn');
+        const downloadBtn = document.getElementById('replayDownloadBtn');
+        const exitBtn = document.getElementById('replayExitBtn');
+        const fileInput = document.getElementById('replayFileInput');
+
+        if (playBtn) {
+            playBtn.addEventListener('click', () => this.game.replayPlayer?.togglePause());
+        }
+
+        if (scrubber) {
+            // Seek on release - seeking backwards re-simulates from the start
+            scrubber.addEventListener('input', () => {
+                this.scrubbing = true;
+            });
+            scrubber.addEventListener('change', () => {
+                this.scrubbing = false;
+                if (this.game.replayPlayer) {
+                    this.game.seekReplay(parseInt(scrubber.value));
+                }
+            });
+        }
+
+        if (speedBtn) {
+            speedBtn.addEventListener('click', () => this.game.replayPlayer?.cycleSpeed());
+        }
+
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                if (this.game.replayPlayer) {
+                    Replay.download(this.game.replayPlayer.replay);
+                }
+            });
+        }
+
+        if (exitBtn) {
+            exitBtn.addEventListener('click', () => this.game.stopReplay());
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    this.game.watchReplay(Replay.parse(await file.text()));
+                } catch (error) {
+                    console.error('Failed to load replay:', error);
+                    Utils.showMessage('That is not a valid replay file', 'error');
+                }
+            });
+        }
+    }
+
+    onGameEvent(type, data) {
+        switch (type) {
+            case 'powerUp':
+                this.showPowerUpMessage(data.powerUp.effect);
+                break;
+            case 'playerOut':
+                this.showPowerUpMessage(`Player ${data.player + 1} is out!`);
+                break;
+            case 'gameOver':
+                // Someone else's replay must not count as a local high score
+                if (this.game.gameState !== 'replay') {
+                    this.saveHighScore();
+                }
+                break;
+            case 'replayStarted':
+                this.setReplayControlsVisible(true);
+                break;
+            case 'replayEnded':
+                this.setReplayControlsVisible(false);
+                break;
+        }
+    }
+
+    // Add AI toggle button to UI
+    addAIToggle(model, enabled, onChange) {
+        const gameControls = document.querySelector('.game-controls');
+        if (gameControls && !document.getElementById('aiToggle')) {
+            const aiToggleContainer = document.createElement('div');
+            aiToggleContainer.className = 'ai-toggle-container';
+            aiToggleContainer.innerHTML = `
+                <label class="ai-toggle-label">
+                    <input type="checkbox" id="aiToggle" ${enabled ? 'checked' : ''}>
+                    <span class="ai-toggle-text">🤖 AI Levels</span>
+                </label>
+                <div class="ai-status" id="aiStatusDisplay">
+                    Model: ${model}
+                </div>
+            `;
+
+            const aiToggle = aiToggleContainer.querySelector('#aiToggle');
+            aiToggle.addEventListener('change', (e) => onChange(e.target.checked));
+
+            gameControls.appendChild(aiToggleContainer);
+        }
+    }
+
+    setAIStatus(text) {
+        const statusDisplay = document.getElementById('aiStatusDisplay');
+        if (statusDisplay) {
+            statusDisplay.textContent = text;
+        }
+    }
+
+    showPowerUpMessage(message) {
+        // Create a temporary message element
+        const messageEl = document.createElement('div');
+        messageEl.className = 'power-up-message';
+        messageEl.textContent = message;
+        messageEl.style.position = 'fixed';
+        messageEl.style.top = '50%';
+        messageEl.style.left = '50%';
+        messageEl.style.transform = 'translate(-50%, -50%)';
+        messageEl.style.fontSize = '32px';
+        messageEl.style.fontWeight = 'bold';
+        messageEl.style.color = '#ffff00';
+        messageEl.style.textShadow = '0 0 10px rgba(255, 255, 0, 0.8), 0 0 20px rgba(255, 255, 0, 0.5)';
+        messageEl.style.zIndex = '1000';
+        messageEl.style.pointerEvents = 'none';
+        messageEl.style.animation = 'powerUpFade 2s ease-out forwards';
+
+        document.body.appendChild(messageEl);
+
+        setTimeout(() => {
+            document.body.removeChild(messageEl);
+        }, 2000);
+    }
+
+    showOverlay(title, subtitle, buttonText, secondaryText = null) {
+        const overlay = document.getElementById('gameOverlay');
+        const overlayTitle = document.getElementById('overlayTitle');
+        const overlaySubtitle = document.getElementById('overlaySubtitle');
+        const overlayActionBtn = document.getElementById('overlayActionBtn');
+        const overlaySecondaryBtn = document.getElementById('overlaySecondaryBtn');
+
+        if (overlay && overlayTitle && overlaySubtitle && overlayActionBtn) {
+            overlayTitle.textContent = title;
+            overlaySubtitle.innerHTML = subtitle;
+            overlayActionBtn.textContent = buttonText;
+            overlay.classList.add('active');
+        }
+
+        if (overlaySecondaryBtn) {
+            overlaySecondaryBtn.textContent = secondaryText || '';
+            overlaySecondaryBtn.style.display = secondaryText ? '' : 'none';
+        }
+    }
+
+    hideOverlay() {
+        const overlay = document.getElementById('gameOverlay');
+        const instructionsOverlay = document.getElementById('instructionsOverlay');
+
+        if (overlay) overlay.classList.remove('active');
+        if (instructionsOverlay) instructionsOverlay.classList.remove('active');
+    }
+
+    update() {
+        const { score, lives, currentLevel } = this.game;
+
+        // Update score
+        const scoreValue = document.getElementById('scoreValue');
+        if (scoreValue) scoreValue.textContent = Utils.formatScore(score);
+
+        // Update combo: the multiplier, and the chain once it's going
+        const comboValue = document.getElementById('comboValue');
+        if (comboValue) {
+            const { combo } = this.game.simulation;
+            const multiplier = this.game.simulation.getComboMultiplier();
+            comboValue.textContent = combo > 0 ? `x${multiplier} (${combo})` : 'x1';
+            comboValue.classList.toggle('active', multiplier > 1);
+        }
+
+        // Update each co-op player's share of the score and lives
+        const coopStats = document.getElementById('coopStats');
+        const coopValue = document.getElementById('coopValue');
+        if (coopStats && coopValue) {
+            const { players } = this.game.simulation;
+            coopStats.style.display = players.length > 1 ? '' : 'none';
+            coopValue.textContent = players
+                .map(player => `${Utils.formatScore(player.score)} ♥${player.lives}`)
+                .join(' / ');
+        }
+
+        // Update the online versus opponent's progress
+        const opponentStats = document.getElementById('opponentStats');
+        if (opponentStats) {
+            const opponent = this.game.versus?.inMatch ? this.game.versus.opponent : null;
+            opponentStats.style.display = opponent ? '' : 'none';
+            if (opponent) {
+                document.getElementById('opponentName').textContent = opponent.username;
+                document.getElementById('opponentValue').textContent = opponent.lives === null ?
+                    Utils.formatScore(opponent.score) :
+                    `${Utils.formatScore(opponent.score)} ♥${opponent.lives}`;
+            }
+        }
+
+        // Update high score
+        this.showHighScore();
+
+        // Update lives
+        const livesContainer = document.getElementById('livesContainer');
+        if (livesContainer) {
+            const lifeIcons = livesContainer.querySelectorAll('.life-icon');
+            lifeIcons.forEach((icon, index) => {
+                if (index < lives) {
+                    icon.classList.remove('lost');
+                } else {
+                    icon.classList.add('lost');
+                }
+            });
+        }
+
+        // Update level
+        const levelNumber = document.getElementById('levelNumber');
+        if (levelNumber) levelNumber.textContent = currentLevel;
+
+        // Update progress
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+        const { enemiesKilled, totalEnemies } = this.game.simulation;
+        if (progressFill && progressText && totalEnemies > 0) {
+            const progress = (enemiesKilled / totalEnemies) * 100;
+            progressFill.style.width = `${progress}%`;
+            progressText.textContent = `${enemiesKilled} / ${totalEnemies} enemies`;
+        }
+
+        if (this.game.replayPlayer) {
+            this.updateReplayControls(this.game.replayPlayer);
+        }
+    }
+
+    setReplayControlsVisible(visible) {
+        const replayControls = document.getElementById('replayControls');
+        if (replayControls) {
+            replayControls.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    updateReplayControls(player) {
+        const playBtn = document.getElementById('replayPlayBtn');
+        const scrubber = document.getElementById('replayScrubber');
+        const speedBtn = document.getElementById('replaySpeedBtn');
+        const replayTime = document.getElementById('replayTime');
+
+        if (playBtn) playBtn.textContent = player.paused ? 'Play' : 'Pause';
+        if (speedBtn) speedBtn.textContent = `${player.speed}x`;
+        if (replayTime) {
+            replayTime.textContent = `${Utils.formatTime(player.time)} / ${Utils.formatTime(player.duration)}`;
+        }
+        if (scrubber && !this.scrubbing) {
+            scrubber.max = player.totalTicks;
+            scrubber.value = player.tick;
+        }
+    }
+
+    saveHighScore() {
+        const currentHighScore = Utils.loadFromStorage('spaceInvadersHighScore', 0);
+        if (this.game.score > currentHighScore) {
+            Utils.saveToStorage('spaceInvadersHighScore', this.game.score);
+        }
+        this.showHighScore();
+    }
+
+    showHighScore() {
+        const highScoreValue = document.getElementById('highScoreValue');
+        if (highScoreValue) {
+            const highScore = Utils.loadFromStorage('spaceInvadersHighScore', 0);
+            highScoreValue.textContent = Utils.formatScore(highScore);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DomHud;
+}
@@ -0,0 +1,152 @@
+// Keyboard, touch and gamepad input for Space Invaders
+// Turns held keys/buttons into the per-tick input mask the simulation consumes.
+// Headless callers skip this and pass masks to the game directly.
+
+class DomInput {
+    constructor() {
+        this.game = null;
+        this.keys = {};
+        this.touchControls = {
+            left: false,
+            right: false,
+            fire: false
+        };
+        this.fireQueued = false; // Space taps shorter than a frame still fire
+        this.p2FireQueued = false; // Likewise Enter, player two's fire key in co-op
+    }
+
+    attach(game) {
+        this.game = game;
+
+        // Keyboard events
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        // Touch events for mobile
+        this.bindTouchControls();
+
+        // Handle window focus
+        window.addEventListener('blur', () => {
+            if (this.game.gameState === 'playing') {
+                this.game.pauseGame();
+            }
+        });
+    }
+
+    bindTouchControls() {
+        [['leftBtn', 'left'], ['rightBtn', 'right'], ['fireBtn', 'fire']].forEach(([id, control]) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.touchControls[control] = true;
+            });
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                this.touchControls[control] = false;
+            });
+        });
+    }
+
+    handleKeyDown(e) {
+        this.keys[e.code] = true;
+        const game = this.game;
+
+        // Handle specific key actions
+        switch (e.code) {
+            case 'Space':
+                e.preventDefault();
+                if (game.gameState === 'playing') {
+                    this.fireQueued = true;
+                } else if (game.gameState === 'menu' || game.gameState === 'gameOver') {
+                    game.startGame();
+                }
+                break;
+            case 'Enter':
+                if (game.gameState === 'playing' && game.mode === 'coop') {
+                    e.preventDefault();
+                    this.p2FireQueued = true;
+                }
+                break;
+            case 'KeyP':
+                if (game.gameState === 'playing' || game.gameState === 'paused') {
+                    game.togglePause();
+                } else if (game.gameState === 'replay') {
+                    game.replayPlayer.togglePause();
+                }
+                break;
+            case 'KeyR':
+                game.restartGame();
+                break;
+            case 'KeyD':
+                game.debug = !game.debug;
+                break;
+        }
+    }
+
+    handleKeyUp(e) {
+        this.keys[e.code] = false;
+    }
+
+    // Build this tick's input mask from keyboard, touch and gamepad state. In
+    // co-op player one keeps A/D and Space while player two takes the arrows
+    // and Enter; the first gamepad is always player one's, the second player two's.
+    readInput() {
+        const { LEFT, RIGHT, FIRE, P2_LEFT, P2_RIGHT, P2_FIRE } = GameSimulation.INPUT;
+        const coop = this.game.mode === 'coop';
+        const [pad1, pad2] = this.readGamepads();
+        let input = 0;
+
+        if ((!coop && this.keys['ArrowLeft']) || this.keys['KeyA'] || this.touchControls.left || pad1.left) {
+            input |= LEFT;
+        }
+        if ((!coop && this.keys['ArrowRight']) || this.keys['KeyD'] || this.touchControls.right || pad1.right) {
+            input |= RIGHT;
+        }
+        if (this.keys['Space'] || this.touchControls.fire || this.fireQueued || pad1.fire) {
+            input |= FIRE;
+        }
+
+        if (coop) {
+            if (this.keys['ArrowLeft'] || pad2.left) {
+                input |= P2_LEFT;
+            }
+            if (this.keys['ArrowRight'] || pad2.right) {
+                input |= P2_RIGHT;
+            }
+            if (this.keys['Enter'] || this.p2FireQueued || pad2.fire) {
+                input |= P2_FIRE;
+            }
+        }
+
+        this.fireQueued = false;
+        this.p2FireQueued = false;
+        return input;
+    }
+
+    // Left/right/fire held on the first two gamepads: stick or d-pad to move,
+    // the bottom face button to fire
+    readGamepads() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+        return [0, 1].map(index => {
+            const pad = pads[index];
+            if (!pad) return { left: false, right: false, fire: false };
+
+            const x = pad.axes[0] || 0;
+            return {
+                left: x < -DomInput.STICK_DEADZONE || Boolean(pad.buttons[14]?.pressed),
+                right: x > DomInput.STICK_DEADZONE || Boolean(pad.buttons[15]?.pressed),
+                fire: Boolean(pad.buttons[0]?.pressed)
+            };
+        });
+    }
+}
+
+DomInput.STICK_DEADZONE = 0.5;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DomInput;
+}
@@ -8,6 +8,156 @@ class Leaderboard {
         this.authClient = authClient;
         this.entries = [];
         this.poller = null;
+        this.onWatchReplay = null; // (scoreId) => void, set by main.js
+        this.scope = 'global'; // global, or friends: you and the players you follow
+        this.period = 'all'; // daily, weekly, monthly or all
+        this.mode = 'classic'; // classic, or coop for two-player runs
+        this.levelSource = 'standard'; // standard or ai
+        this.ship = 'all'; // ship class the runs were flown with, or all
+        this.level = null; // set to rank fastest clears of that level instead of scores
+        this.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        
+        this.bindPeriodTabs();
+        this.bindBoardFilters();
+    }
+
+    /**
+     * Switch scope and period when a tab is clicked
+     */
+    bindPeriodTabs() {
+        document.getElementById('leaderboard-scope-tabs')?.addEventListener('click', (event) => {
+            const tab = event.target.closest('[data-scope]');
+            if (tab) {
+                this.setScope(tab.dataset.scope);
+            }
+        });
+        
+        document.getElementById('leaderboard-tabs')?.addEventListener('click', (event) => {
+            const tab = event.target.closest('[data-period]');
+            if (tab) {
+                this.setPeriod(tab.dataset.period);
+            }
+        });
+    }
+
+    /**
+     * Highlight the selected tab in a tab list
+     * @param {string} listId - Tab list element ID
+     * @param {string} key - data-* attribute the tabs are keyed by
+     * @param {string} value - Selected value
+     */
+    selectTab(listId, key, value) {
+        document.querySelectorAll(`#${listId} [data-${key}]`).forEach(tab => {
+            const selected = tab.dataset[key] === value;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Switch between standard/AI level boards and high score/fastest clear rankings
+     */
+    bindBoardFilters() {
+        const sourceSelect = document.getElementById('leaderboard-source');
+        const boardSelect = document.getElementById('leaderboard-board');
+        if (!sourceSelect || !boardSelect) return;
+        
+        for (let level = 1; level <= Leaderboard.FASTEST_CLEAR_LEVELS; level++) {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = `Fastest Clear: Level ${level}`;
+            boardSelect.appendChild(option);
+        }
+        
+        const update = () => this.setBoard(sourceSelect.value, boardSelect.value ? parseInt(boardSelect.value) : null);
+        sourceSelect.addEventListener('change', update);
+        boardSelect.addEventListener('change', update);
+        
+        const modeSelect = document.getElementById('leaderboard-mode');
+        modeSelect?.addEventListener('change', () => this.setMode(modeSelect.value));
+        
+        const shipSelect = document.getElementById('leaderboard-ship');
+        if (!shipSelect) return;
+        
+        Object.entries(Player.SHIPS).forEach(([ship, stats]) => {
+            const option = document.createElement('option');
+            option.value = ship;
+            option.textContent = stats.name;
+            shipSelect.appendChild(option);
+        });
+        shipSelect.addEventListener('change', () => this.setShip(shipSelect.value));
+    }
+
+    /**
+     * Show the leaderboard for another period
+     * @param {string} period - daily, weekly, monthly or all
+     * @returns {Promise<Array>} - Leaderboard entries
+     */
+    setPeriod(period) {
+        this.period = period;
+        this.selectTab('leaderboard-tabs', 'period', period);
+        return this.fetchLeaderboard();
+    }
+
+    /**
+     * Show everyone, or just you and the players you follow
+     * @param {string} scope - global or friends
+     * @returns {Promise<Array>} - Leaderboard entries
+     */
+    setScope(scope) {
+        this.scope = scope;
+        this.selectTab('leaderboard-scope-tabs', 'scope', scope);
+        return this.fetchLeaderboard();
+    }
+
+    /**
+     * Show another board
+     * @param {string} levelSource - standard or ai
+     * @param {number|null} level - Level for fastest clears, or null for high scores
+     * @returns {Promise<Array>} - Leaderboard entries
+     */
+    setBoard(levelSource, level = null) {
+        this.levelSource = levelSource;
+        this.level = level;
+        return this.fetchLeaderboard();
+    }
+
+    /**
+     * Switch between the one-player and co-op boards
+     * @param {string} mode - Game mode, one of GameSimulation.MODES
+     * @returns {Promise<Array>} - Leaderboard entries
+     */
+    setMode(mode) {
+        this.mode = mode;
+        return this.fetchLeaderboard();
+    }
+
+    /**
+     * Show only runs flown with one ship class
+     * @param {string} ship - Ship class, or all
+     * @returns {Promise<Array>} - Leaderboard entries
+     */
+    setShip(ship) {
+        this.ship = ship;
+        return this.fetchLeaderboard();
+    }
+
+    /**
+     * Query string for the board currently on screen
+     * @returns {string} - URL query (without "?")
+     */
+    getQuery() {
+        const params = new URLSearchParams({ period: this.period, tz: this.timeZone, mode: this.mode, source: this.levelSource });
+        if (this.level) {
+            params.set('level', this.level);
+        }
+        if (this.ship !== 'all') {
+            params.set('ship', this.ship);
+        }
+        if (this.scope === 'friends') {
+            params.set('scope', 'friends');
+        }
+        return params.toString();
     }
 
     /**
@@ -15,14 +165,29 @@ class Leaderboard {
      * @returns {Promise<Array>} - Leaderboard entries
      */
     async fetchLeaderboard() {
+        const query = this.getQuery();
+        
+        // The friends board needs to know who you follow
+        if (this.scope === 'friends' && !this.authClient.isAuthenticated()) {
+            this.entries = [];
+            this.render();
+            return this.entries;
+        }
+        
         try {
-            const response = await fetch('/api/v1/leaderboard');
+            const response = await fetch(`/api/v1/leaderboard?${query}`, {
+                credentials: 'include'
+            });
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
             
             const data = await response.json();
+            
+            // Ignore the answer if the player switched boards while it was loading
+            if (query !== this.getQuery()) return this.entries;
+            
             this.entries = data.leaderboard || [];
             this.render();
             this.cacheLeaderboard(this.entries);
@@ -30,7 +195,9 @@ class Leaderboard {
             return this.entries;
         } catch (error) {
             console.error('Failed to fetch leaderboard:', error);
-            this.loadFromCache();
+            if (query === this.getQuery()) {
+                this.loadFromCache();
+            }
             return this.entries;
         }
     }
@@ -46,7 +213,7 @@ class Leaderboard {
         if (this.entries.length === 0) {
             const empty = document.createElement('div');
             empty.className = 'leaderboard-empty';
-            empty.textContent = '🎮 Be the first to set a high score!';
+            empty.textContent = this.getEmptyMessage();
             fragment.appendChild(empty);
         } else {
             this.entries.forEach(entry => {
@@ -58,6 +225,22 @@ class Leaderboard {
         this.container.appendChild(fragment);
     }
 
+    /**
+     * What to say when the board has no entries
+     * @returns {string} - Message
+     */
+    getEmptyMessage() {
+        if (this.scope === 'friends') {
+            return this.authClient.isAuthenticated()
+                ? '🎮 Follow players with ☆ to compete with them here!'
+                : '🔐 Sign in to follow players and see your friends leaderboard';
+        }
+        if (this.level) {
+            return `🎮 Nobody has cleared level ${this.level} ${Leaderboard.PERIOD_NAMES[this.period]} - be the first!`;
+        }
+        return Leaderboard.EMPTY_MESSAGES[this.period] || Leaderboard.EMPTY_MESSAGES.all;
+    }
+
     /**
      * Create a single leaderboard entry element
      * @param {Object} entry - Leaderboard entry data
@@ -93,20 +276,63 @@ class Leaderboard {
         username.className = 'username';
         username.textContent = this.escapeHtml(entry.username);
         
+        // Score boards show the best score, fastest clear boards the best time
         const score = document.createElement('span');
         score.className = 'score';
-        score.textContent = entry.best_score.toLocaleString();
+        score.textContent = entry.best_ticks !== undefined
+            ? this.formatClearTime(entry.best_ticks)
+            : entry.best_score.toLocaleString();
         
         div.appendChild(rank);
         div.appendChild(avatar);
         div.appendChild(username);
         div.appendChild(score);
         
+        // Follow other players to put them on your friends board
+        if (currentUser && currentUser.id !== entry.user_id) {
+            const follow = document.createElement('button');
+            follow.className = 'follow-toggle';
+            follow.textContent = entry.is_following ? '★' : '☆';
+            follow.title = entry.is_following ? 'Unfollow' : 'Follow';
+            follow.setAttribute('aria-pressed', entry.is_following ? 'true' : 'false');
+            follow.setAttribute('aria-label', `${entry.is_following ? 'Unfollow' : 'Follow'} ${this.escapeHtml(entry.username)}`);
+            follow.addEventListener('click', () => {
+                this.setFollowing(entry.user_id, !entry.is_following);
+            });
+            div.appendChild(follow);
+        }
+        
+        // Watch the run behind the score
+        if (entry.replay_score_id) {
+            const watch = document.createElement('button');
+            watch.className = 'watch-replay';
+            watch.textContent = '▶';
+            watch.title = 'Watch replay';
+            watch.setAttribute('aria-label', `Watch replay of ${this.escapeHtml(entry.username)}'s best run`);
+            watch.addEventListener('click', () => {
+                if (this.onWatchReplay) {
+                    this.onWatchReplay(entry.replay_score_id);
+                }
+            });
+            div.appendChild(watch);
+        }
+        
         div.setAttribute('role', 'listitem');
         
         return div;
     }
 
+    /**
+     * Format a clear time to hundredths of a second
+     * @param {number} ticks - Simulation ticks the clear took
+     * @returns {string} - m:ss.hh
+     */
+    formatClearTime(ticks) {
+        const seconds = ticks / GameSimulation.TICK_RATE;
+        const hundredths = Math.floor((seconds % 1) * 100).toString().padStart(2, '0');
+        return `${Utils.formatTime(seconds)}.${hundredths}`;
+    }
+
     /**
      * Escape HTML to prevent XSS
      * @param {string} text - Text to escape
@@ -124,8 +350,8 @@ class Leaderboard {
      */
     cacheLeaderboard(entries) {
         try {
-            localStorage.setItem('spaceinvaders_leaderboard', JSON.stringify(entries));
-            localStorage.setItem('spaceinvaders_cache_time', Date.now().toString());
+            localStorage.setItem(`spaceinvaders_leaderboard_${this.getQuery()}`, JSON.stringify(entries));
+            localStorage.setItem(`spaceinvaders_cache_time_${this.getQuery()}`, Date.now().toString());
         } catch (error) {
             console.warn('Failed to cache leaderboard:', error);
         }
@@ -136,13 +362,13 @@ class Leaderboard {
      */
     loadFromCache() {
         try {
-            const cached = localStorage.getItem('spaceinvaders_leaderboard');
+            const cached = localStorage.getItem(`spaceinvaders_leaderboard_${this.getQuery()}`);
             if (cached) {
                 this.entries = JSON.parse(cached);
                 this.render();
                 
                 // Check cache age (5 minutes)
-                const cacheTime = parseInt(localStorage.getItem('spaceinvaders_cache_time')) || 0;
+                const cacheTime = parseInt(localStorage.getItem(`spaceinvaders_cache_time_${this.getQuery()}`)) || 0;
                 const age = Date.now() - cacheTime;
                 if (age > 5 * 60 * 1000) {
                     console.log('⚠️ Leaderboard data may be outdated');
@@ -158,9 +384,12 @@ class Leaderboard {
      * @param {number} score - Score value
      * @param {number} level - Level reached
      * @param {string} sessionId - Session ID
+     * @param {Object} run - Seed and input log for server-side replay verification;
+     *     with level data embedded it is also uploaded as the score's replay
+     * @param {Object} [stats] - Run stats stored with the score ({ bestCombo })
      * @returns {Promise<Object>} - Result object
      */
-    async submitScore(score, level, sessionId) {
+    async submitScore(score, level, sessionId, run, stats = {}) {
         console.log('🎯 submitScore called with:', { score, level, sessionId });
         
         if (!this.authClient.isAuthenticated()) {
@@ -179,7 +408,9 @@ class Leaderboard {
                 body: JSON.stringify({
                     score: score,
                     level_reached: level,
-                    session_id: sessionId
+                    best_combo: stats.bestCombo,
+                    session_id: sessionId,
+                    run: run
                 })
             });
 
@@ -195,6 +426,13 @@ class Leaderboard {
                 return { error: 'rate_limited' };
             }
             
+            if (response.status === 400 || response.status === 409 || response.status === 422) {
+                // Rejected by the server (validation, duplicate, replay mismatch) - retrying won't help
+                const errorData = await response.json();
+                console.warn('Score rejected:', errorData);
+                return { error: 'rejected', message: errorData.message };
+            }
+            
             if (!response.ok) {
                 const errorData = await response.json();
                 console.error('Submission failed:', errorData);
@@ -204,30 +442,120 @@ class Leaderboard {
             const result = await response.json();
             console.log('✅ Score submitted successfully:', result);
             
+            // Attach the replay so others can watch the run
+            if (run && run.levels.every(segment => segment.levelData)) {
+                await this.uploadReplay(result.score.id, Replay.create(run, { score, levelReached: level }));
+            }
+            
             // Refresh leaderboard after successful submission
             await this.fetchLeaderboard();
             
             return result;
         } catch (error) {
             console.error('Score submission failed:', error);
-            this.queueScore(score, level, sessionId);
+            this.queueScore(score, level, sessionId, run, stats);
             return { error: 'network_error', queued: true };
         }
     }
 
+    /**
+     * Follow or unfollow a player, then refresh the board
+     * @param {number} userId - Player to (un)follow
+     * @param {boolean} following - True to follow, false to unfollow
+     * @returns {Promise<boolean>} - True if the change was saved
+     */
+    async setFollowing(userId, following) {
+        try {
+            const response = await fetch(`/api/v1/users/${userId}/follow`, {
+                method: following ? 'POST' : 'DELETE',
+                credentials: 'include'
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                console.warn('Follow change rejected:', errorData);
+                return false;
+            }
+            
+            await this.fetchLeaderboard();
+            return true;
+        } catch (error) {
+            console.error('Failed to change follow:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Attach a replay to a submitted score
+     * @param {number} scoreId - Score ID from the submission
+     * @param {Object} replay - Replay of the run
+     * @returns {Promise<boolean>} - True if stored
+     */
+    async uploadReplay(scoreId, replay) {
+        try {
+            const response = await fetch('/api/v1/replays', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ score_id: scoreId, replay })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                console.warn('Replay upload rejected:', errorData);
+                return false;
+            }
+            return true;
+        } catch (error) {
+            // The score itself is saved - a missing replay is not worth retrying
+            console.warn('Replay upload failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the replay behind a score
+     * @param {number} scoreId - Score ID
+     * @returns {Promise<Object|null>} - Replay or null
+     */
+    async fetchReplay(scoreId) {
+        try {
+            const response = await fetch(`/api/v1/replays/${scoreId}`);
+            
+            if (response.status === 404) {
+                return null;
+            }
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return Replay.validate(await response.json());
+        } catch (error) {
+            console.error('Failed to fetch replay:', error);
+            return null;
+        }
+    }
+
     /**
      * Queue score for later submission (offline mode)
      * @param {number} score - Score value
      * @param {number} level - Level reached
      * @param {string} sessionId - Session ID
+     * @param {Object} run - Seed and input log for replay verification
+     * @param {Object} [stats] - Run stats stored with the score
      */
-    queueScore(score, level, sessionId) {
+    queueScore(score, level, sessionId, run, stats = {}) {
         try {
             const pending = JSON.parse(localStorage.getItem('spaceinvaders_pending') || '[]');
             pending.push({ 
                 score, 
                 level_reached: level, 
                 session_id: sessionId, 
+                run,
+                stats,
                 timestamp: Date.now() 
             });
             localStorage.setItem('spaceinvaders_pending', JSON.stringify(pending));
@@ -253,7 +581,9 @@ class Leaderboard {
                 const result = await this.submitScore(
                     scoreData.score,
                     scoreData.level_reached,
-                    scoreData.session_id
+                    scoreData.session_id,
+                    scoreData.run,
+                    scoreData.stats
                 );
                 
                 if (result.success) {
@@ -361,6 +691,14 @@ class Leaderboard {
                     <span class="stat-label">Average Score</span>
                     <span class="stat-value">${Math.round(stats.average_score || 0).toLocaleString()}</span>
                 </div>
+                <div class="stat-item">
+                    <span class="stat-label">Best Combo</span>
+                    <span class="stat-value">${stats.best_combo || 0}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Versus Rating</span>
+                    <span class="stat-value">${stats.versus_rating ?? '-'} (${stats.versus_wins || 0}W / ${stats.versus_losses || 0}L)</span>
+                </div>
                 <div class="stat-item">
                     <span class="stat-label">Leaderboard Rank</span>
                     <span class="stat-value">${stats.leaderboard_rank ? `#${stats.leaderboard_rank}` : 'Not ranked'}</span>
@@ -397,3 +735,21 @@ class Leaderboard {
         }
     }
 }
+
+// Shown when nobody has scored yet in the selected period
+Leaderboard.EMPTY_MESSAGES = {
+    daily: '🎮 No scores yet today - claim the top spot!',
+    weekly: '🎮 No scores yet this week - claim the top spot!',
+    monthly: '🎮 No scores yet this month - claim the top spot!',
+    all: '🎮 Be the first to set a high score!'
+};
+
+Leaderboard.PERIOD_NAMES = {
+    daily: 'today',
+    weekly: 'this week',
+    monthly: 'this month',
+    all: 'yet'
+};
+
+// Levels offered in the fastest clear dropdown
+Leaderboard.FASTEST_CLEAR_LEVELS = 20;
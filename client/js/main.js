@@ -40,8 +40,17 @@ function initializeGame() {
     // Set up canvas
     setupCanvas(canvas);
     
-    // Create game instance
-    game = new SpaceInvadersGame(canvas);
+    // Create game instance with the browser adapters
+    game = new SpaceInvadersGame({
+        width: canvas.width,
+        height: canvas.height,
+        renderer: new CanvasRenderer(canvas),
+        hud: new DomHud(),
+        audio: new SoundManager(),
+        input: new DomInput(),
+        versus: new VersusClient()
+    });
+    applySeedFromUrl();
     
     // Handle window resize
     window.addEventListener('resize', () => {
@@ -54,6 +63,21 @@ function initializeGame() {
     console.log('🎮 Space Invaders Game Initialized!');
 }
 
+// ?seed=12345 pins the RNG seed so a reported run can be reproduced exactly
+function applySeedFromUrl() {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam === null) return;
+    
+    const seed = Number(seedParam);
+    if (SeededRandom.isValidSeed(seed)) {
+        game.fixedSeed = seed;
+        game.debug = true; // Show the seed in the debug overlay
+        console.log(`🎲 Using fixed seed ${seed}`);
+    } else {
+        Utils.showMessage(`Ignoring invalid seed "${seedParam}"`, 'error');
+    }
+}
+
 // Initialize authentication system
 function initializeAuthentication() {
     authClient = new AuthClient();
@@ -131,6 +155,18 @@ function initializeLeaderboard() {
     // Create leaderboard instance with auth client
     leaderboard = new Leaderboard('leaderboard-container', authClient);
     
+    // Play the replay behind a leaderboard entry
+    leaderboard.onWatchReplay = async (scoreId) => {
+        const replay = await leaderboard.fetchReplay(scoreId);
+        if (!replay) {
+            Utils.showMessage('Replay not available', 'error');
+            return;
+        }
+        if (game) {
+            game.watchReplay(replay);
+        }
+    };
+    
     // Load initial leaderboard data
     leaderboard.fetchLeaderboard();
     
@@ -141,7 +177,9 @@ function initializeLeaderboard() {
 }
 
 // Handle game over - submit score to leaderboard
-async function handleGameOver(score, level) {
+// `run` is the seed + input log the server replays to verify the score
+// (and, with its level data, the replay attached to it); `stats` go with it
+async function handleGameOver(score, level, run, stats) {
     if (!leaderboard || !authClient) {
         return;
     }
@@ -153,7 +191,7 @@ async function handleGameOver(score, level) {
         // User is authenticated - submit score directly
         try {
             console.log('Submitting score:', { score, level, sessionId });
-            const result = await leaderboard.submitScore(score, level, sessionId);
+            const result = await leaderboard.submitScore(score, level, sessionId, run, stats);
             console.log('Score submission result:', result);
             
             if (result.success) {
@@ -175,7 +213,7 @@ async function handleGameOver(score, level) {
                 }, 500);
             } else if (result.error) {
                 console.error('Score submission returned error:', result.error);
-                Utils.showMessage(`Failed to submit score: ${result.error}`, 'error');
+                Utils.showMessage(`Failed to submit score: ${result.message || result.error}`, 'error');
             }
         } catch (error) {
             console.error('Score submission error:', error);
@@ -183,12 +221,12 @@ async function handleGameOver(score, level) {
         }
     } else {
         // User is not authenticated - show sign-in prompt
-        showSignInPrompt(score, level, sessionId);
+        showSignInPrompt(score, level, sessionId, run, stats);
     }
 }
 
 // Show sign-in prompt for anonymous players
-function showSignInPrompt(score, level, sessionId) {
+function showSignInPrompt(score, level, sessionId, run, stats) {
     const modal = document.getElementById('signin-modal');
     const scoreDisplay = document.getElementById('modal-score-display');
     const closeBtn = document.getElementById('signin-modal-close');
@@ -221,7 +259,7 @@ function showSignInPrompt(score, level, sessionId) {
             
             // Queue score for later submission if user signs in
             if (leaderboard) {
-                leaderboard.queueScore(score, level, sessionId);
+                leaderboard.queueScore(score, level, sessionId, run, stats);
                 Utils.showMessage('Score saved locally. Sign in later to submit!', 'info');
             }
         };
@@ -381,21 +419,9 @@ class LevelProgressionSystem {
     }
 
     resetForNewLevel() {
-        // Clear bullets and effects
-        this.game.bullets = [];
-        this.game.enemyBullets = [];
-        this.game.particles = [];
-        this.game.explosions = [];
-        
-        // Reset player position
-        this.game.player.x = this.game.canvas.width / 2 - 20;
-        this.game.player.y = this.game.canvas.height - 50;
-        this.game.player.invulnerable = false;
-        this.game.player.invulnerabilityTime = 0;
-        
-        // Reset enemy movement
-        this.game.enemyMoveTimer = 0;
-        this.game.enemyDirection = 1;
+        // Clear effects (gameplay state is reset by the simulation's loadLevel,
+        // anything changed from out here would not survive a replay)
+        this.game.renderer.clearEffects();
         
         // Update UI
         this.game.updateUI();
@@ -409,7 +435,6 @@ class PerformanceOptimizer {
         this.optimizationInterval = 5000; // 5 seconds
         this.lowPerformanceThreshold = 30; // FPS
         this.particleLimit = 100;
-        this.bulletLimit = 50;
     }
 
     checkPerformance(game) {
@@ -428,24 +453,12 @@ class PerformanceOptimizer {
     }
 
     optimizeForLowPerformance(game) {
-        // Limit particles
-        if (game.particles.length > this.particleLimit) {
-            game.particles.splice(0, game.particles.length - this.particleLimit);
-        }
-        
-        // Limit bullets
-        if (game.bullets.length > this.bulletLimit) {
-            game.bullets.splice(0, game.bullets.length - this.bulletLimit);
-        }
-        
-        if (game.enemyBullets.length > this.bulletLimit) {
-            game.enemyBullets.splice(0, game.enemyBullets.length - this.bulletLimit);
+        // Only trim visual effects - bullets and enemies belong to the
+        // simulation and must stay identical to the server-side replay
+        const { particles } = game.renderer;
+        if (particles.length > this.particleLimit) {
+            particles.splice(0, particles.length - this.particleLimit);
         }
-        
-        // Reduce enemy bullet frequency
-        game.enemies.forEach(enemy => {
-            enemy.shootFrequency *= 0.8;
-        });
     }
 }
 
@@ -529,7 +542,8 @@ function initializeEnhancedSystems() {
     // Override game methods to integrate systems
     const originalLevelComplete = game.levelComplete.bind(game);
     game.levelComplete = function() {
-        gameAnalytics.trackLevelComplete(this.currentLevel, this.score);
+        // currentLevel has already advanced to the next level
+        gameAnalytics.trackLevelComplete(this.currentLevel - 1, this.score);
         originalLevelComplete();
     };
     
@@ -538,8 +552,14 @@ function initializeEnhancedSystems() {
         const playTime = (Date.now() - gameAnalytics.sessionData.startTime) / 1000;
         gameAnalytics.trackGameOver(this.score, this.currentLevel, playTime);
         
-        // Submit score to leaderboard
-        handleGameOver(this.score, this.currentLevel);
+        // Submit score to leaderboard; versus runs are rated by the lobby instead
+        if (this.versus?.inMatch) {
+            originalGameOver();
+            return;
+        }
+        handleGameOver(this.score, this.currentLevel, this.simulation.getRunRecord({ includeLevelData: true }), {
+            bestCombo: this.simulation.bestCombo
+        });
         
         originalGameOver();
     };
@@ -547,20 +567,20 @@ function initializeEnhancedSystems() {
     const originalStartGame = game.startGame.bind(game);
     game.startGame = function() {
         gameAnalytics.trackGameStart();
-        originalStartGame();
+        return originalStartGame();
     };
     
     // Add performance monitoring to game loop
     const originalUpdate = game.update.bind(game);
-    game.update = function(deltaTime) {
-        originalUpdate(deltaTime);
+    game.update = function(deltaTime, input) {
+        originalUpdate(deltaTime, input);
         performanceOptimizer.checkPerformance(this);
     };
 }
 
 // Sound system initialization
 function initializeSoundSystem() {
-    if (!game || !game.soundManager) return;
+    if (!game || !game.audio) return;
     
     let soundInitialized = false;
     
@@ -568,7 +588,7 @@ function initializeSoundSystem() {
         if (soundInitialized) return;
         
         try {
-            await game.soundManager.initialize();
+            await game.audio.initialize();
             soundInitialized = true;
             console.log('🔊 Sound system ready!');
             
@@ -602,15 +622,15 @@ function addSoundControls() {
     soundToggle.title = 'Toggle Sound On/Off';
     
     soundToggle.addEventListener('click', () => {
-        if (game && game.soundManager) {
-            game.soundEnabled = !game.soundEnabled;
-            game.soundManager.setMuted(!game.soundEnabled);
-            soundToggle.textContent = game.soundEnabled ? '🔊 Sound' : '🔇 Muted';
-            soundToggle.classList.toggle('danger', !game.soundEnabled);
+        if (game && game.audio) {
+            const soundEnabled = !game.audio.soundEnabled;
+            game.audio.setMuted(!soundEnabled);
+            soundToggle.textContent = soundEnabled ? '🔊 Sound' : '🔇 Muted';
+            soundToggle.classList.toggle('danger', !soundEnabled);
             
             // Play a test sound if enabling
-            if (game.soundEnabled) {
-                game.soundManager.playButtonClick();
+            if (soundEnabled) {
+                game.audio.playButtonClick();
             }
         }
     });
@@ -640,9 +660,9 @@ function addSoundControls() {
     volumeSlider.title = 'Volume Control';
     
     volumeSlider.addEventListener('input', (e) => {
-        if (game && game.soundManager) {
+        if (game && game.audio) {
             const volume = parseInt(e.target.value) / 100;
-            game.soundManager.setVolume(volume);
+            game.audio.setVolume(volume);
         }
     });
     
@@ -691,7 +711,7 @@ window.addEventListener('error', (event) => {
     // Try to recover or show error message
     if (game && game.gameState === 'playing') {
         game.pauseGame();
-        game.showOverlay(
+        game.hud.showOverlay(
             'Game Error',
             'An error occurred. The game has been paused.',
             'Continue'
@@ -0,0 +1,343 @@
+// Enemy movement patterns for Space Invaders
+//
+// A level's specialMechanics.movementPattern picks one of these controllers
+// when it loads (and its diveAttacks, if any, send enemies out of formation),
+// and GameSimulation advances them every tick. They run inside
+// the simulation, so the same rules apply: fixed ticks only, and any
+// randomness comes from the simulation's SeededRandom.
+
+// The browser provides Utils as a <script> global; under Node pull it in
+if (typeof module !== 'undefined' && module.exports && typeof Utils === 'undefined') {
+    globalThis.Utils = require('./utils');
+}
+
+class EnemyMovement {
+    /**
+     * Controller for a level's movement pattern
+     * @param {string} pattern - standard, zigzag, spiral or random
+     * @param {GameSimulation} simulation - Simulation whose enemies move
+     * @returns {EnemyMovement} - Unknown patterns get the classic march
+     */
+    static create(pattern, simulation) {
+        const Movement = EnemyMovement.PATTERNS[pattern] || StandardMovement;
+        return new Movement(simulation);
+    }
+
+    constructor(simulation) {
+        this.simulation = simulation;
+    }
+
+    // Advance by one tick
+    update(deltaTime) {}
+}
+
+// Classic march: step sideways on a timer, drop and turn at the screen edge.
+// With levelData.marchAcceleration ({ minInterval, curve }) the beat speeds up
+// as the formation thins out, down to minInterval for the last enemy; the
+// curve bends how early that happens (1 is linear in the enemies left).
+class StandardMovement extends EnemyMovement {
+    constructor(simulation) {
+        super(simulation);
+        this.timer = 0;
+        this.interval = Math.max(0.3, 1.5 - (simulation.currentLevel * 0.1)); // seconds, at full strength
+        this.direction = simulation.levelData.enemyMoveDirection;
+        this.acceleration = simulation.levelData.marchAcceleration || null;
+    }
+
+    update(deltaTime) {
+        this.timer += deltaTime;
+
+        if (this.timer >= this.getInterval()) {
+            this.step();
+            this.timer = 0;
+        }
+    }
+
+    // How far the march has sped up: 0 at full strength, 1 with one enemy left
+    getTension() {
+        if (!this.acceleration) return 0;
+
+        const { enemies, totalEnemies } = this.simulation;
+        const remaining = totalEnemies > 1 ? (enemies.length - 1) / (totalEnemies - 1) : 0;
+        return 1 - Math.pow(Math.max(0, remaining), this.acceleration.curve);
+    }
+
+    // Seconds between steps
+    getInterval() {
+        if (!this.acceleration) return this.interval;
+
+        const fastest = Math.min(this.acceleration.minInterval, this.interval);
+        return this.interval - (this.interval - fastest) * this.getTension();
+    }
+
+    // Heartbeat pitch, rising with the level and as the march speeds up
+    getPitch() {
+        return (1 + (this.simulation.currentLevel - 1) * 0.1) * (1 + this.getTension() * StandardMovement.PITCH_RISE);
+    }
+
+    step() {
+        const sim = this.simulation;
+
+        if (sim.enemies.some(enemy => this.hitsEdge(enemy))) {
+            this.direction *= -1;
+            sim.enemies.forEach(enemy => enemy.moveDown());
+            sim.emit('enemyMove', { pitch: 1.5 });
+        } else {
+            sim.enemies.forEach(enemy => {
+                enemy.x += enemy.speed * this.direction;
+            });
+            this.afterStep();
+            sim.emit('enemyMove', { pitch: this.getPitch() });
+        }
+    }
+
+    // Hook for patterns that add to a sideways step
+    afterStep() {}
+
+    hitsEdge(enemy, margin = 0) {
+        return (enemy.x - margin <= 0 && this.direction === -1) ||
+            (enemy.x + enemy.width + margin >= this.simulation.width && this.direction === 1);
+    }
+}
+
+StandardMovement.PITCH_RISE = 1; // extra pitch (x base) when the last enemy is left
+
+// March on a diagonal, flipping up and down every few steps
+class ZigzagMovement extends StandardMovement {
+    constructor(simulation) {
+        super(simulation);
+        this.stepCount = 0;
+    }
+
+    afterStep() {
+        // Down first, so the formation never rises above where it started
+        const leg = Math.floor(this.stepCount / ZigzagMovement.LEG_STEPS);
+        const dy = leg % 2 === 0 ? ZigzagMovement.RISE : -ZigzagMovement.RISE;
+
+        this.simulation.enemies.forEach(enemy => {
+            enemy.y += dy;
+        });
+        this.stepCount++;
+    }
+}
+
+ZigzagMovement.LEG_STEPS = 3;
+ZigzagMovement.RISE = 10; // pixels per step
+
+// Each enemy circles its place in the marching formation on a radius that
+// winds out and back in, so the formation spirals as it advances
+class SpiralMovement extends StandardMovement {
+    constructor(simulation) {
+        super(simulation);
+        this.time = 0;
+
+        // Current offset of each enemy from its place in the formation
+        this.offsets = new Map();
+        const count = simulation.enemies.length;
+        simulation.enemies.forEach((enemy, index) => {
+            this.offsets.set(enemy, { x: 0, y: 0, phase: (index / count) * Math.PI * 2 });
+        });
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        const radius = SpiralMovement.RADIUS * (1 - Math.cos(this.time * SpiralMovement.WIND)) / 2;
+        const angle = this.time * SpiralMovement.SPIN;
+
+        this.simulation.enemies.forEach(enemy => {
+            const offset = this.offsets.get(enemy);
+            if (!offset) return;
+
+            const x = Math.cos(angle + offset.phase) * radius;
+            const y = Math.sin(angle + offset.phase) * radius;
+            enemy.x += x - offset.x;
+            enemy.y += y - offset.y;
+            offset.x = x;
+            offset.y = y;
+        });
+
+        super.update(deltaTime);
+    }
+
+    // Turn on the formation's position, not where an enemy is on its circle
+    hitsEdge(enemy) {
+        const offset = this.offsets.get(enemy);
+        const formationEnemy = offset ? { x: enemy.x - offset.x, width: enemy.width } : enemy;
+        return super.hitsEdge(formationEnemy, SpiralMovement.RADIUS);
+    }
+}
+
+SpiralMovement.RADIUS = 24; // pixels at the widest turn
+SpiralMovement.SPIN = 3; // radians per second
+SpiralMovement.WIND = 1.2; // radians per second of the radius cycle
+
+// March with an uneven beat and sudden turns
+class RandomMovement extends StandardMovement {
+    constructor(simulation) {
+        super(simulation);
+        this.beat = 1; // stretch of the next step's interval
+    }
+
+    getInterval() {
+        return super.getInterval() * this.beat;
+    }
+
+    step() {
+        const { rng } = this.simulation;
+
+        if (rng.next() < RandomMovement.TURN_CHANCE) {
+            this.direction *= -1;
+        }
+        super.step();
+
+        this.beat = rng.random(0.5, 1.5);
+    }
+}
+
+RandomMovement.TURN_CHANCE = 0.2;
+
+// Galaga-style dives: now and then an enemy of one of the level's diving types
+// breaks formation, swoops down toward the player firing on the way, and loops
+// back into its slot. levelData.diveAttacks sets { frequency (dives started per
+// second, on average), maxDivers, types }. A diver keeps its slot in enemy.dive
+// as an offset from where the formation would have it.
+class DiveAttacks {
+    constructor(simulation, config) {
+        this.simulation = simulation;
+        this.frequency = config.frequency;
+        this.maxDivers = config.maxDivers;
+        this.types = config.types;
+    }
+
+    // Put divers back in their slots so the formation moves them along with it
+    returnToSlots() {
+        this.simulation.enemies.forEach(enemy => {
+            if (enemy.dive) {
+                enemy.x -= enemy.dive.offsetX;
+                enemy.y -= enemy.dive.offsetY;
+            }
+        });
+    }
+
+    // Start new dives and move every diver out along its path again
+    update(deltaTime) {
+        const sim = this.simulation;
+        const divers = sim.enemies.filter(enemy => enemy.dive);
+
+        if (divers.length < this.maxDivers && sim.rng.next() < this.frequency * deltaTime) {
+            const candidates = sim.enemies.filter(enemy => !enemy.dive && !enemy.isBoss && this.types.includes(enemy.type));
+            if (candidates.length > 0) {
+                this.startDive(sim.rng.pick(candidates));
+            }
+        }
+
+        sim.enemies.forEach(enemy => {
+            if (enemy.dive) {
+                this.advanceDive(enemy, deltaTime);
+            }
+        });
+    }
+
+    startDive(enemy) {
+        const player = this.simulation.getTarget(enemy.x + enemy.width / 2);
+
+        // Aim for a point above the nearest player, swinging out on the side it's nearer
+        const dx = player.x + player.width / 2 - (enemy.x + enemy.width / 2);
+        const dy = player.y - DiveAttacks.CLEARANCE - enemy.y;
+
+        enemy.dive = {
+            time: 0,
+            side: dx < 0 ? -1 : 1,
+            dx,
+            dy,
+            offsetX: 0,
+            offsetY: 0,
+            shotsFired: 0
+        };
+        this.simulation.emit('enemyDive', { enemy });
+    }
+
+    advanceDive(enemy, deltaTime) {
+        const dive = enemy.dive;
+        dive.time += deltaTime;
+
+        const progress = dive.time / DiveAttacks.DURATION;
+        if (progress >= 1) {
+            enemy.dive = null;
+            return;
+        }
+
+        // Stay on screen, and never low enough to count as reaching the player
+        const { width, player } = this.simulation;
+        const point = DiveAttacks.pathPoint(dive, progress);
+        const x = Utils.clamp(point.x, -enemy.x, width - enemy.width - enemy.x);
+        const y = Math.min(point.y, player.y - DiveAttacks.FLOOR - enemy.height - enemy.y);
+
+        dive.offsetX = x;
+        dive.offsetY = y;
+        enemy.x += x;
+        enemy.y += y;
+
+        // Fire at the player on the way down
+        if (dive.shotsFired < DiveAttacks.SHOTS.length && progress >= DiveAttacks.SHOTS[dive.shotsFired]) {
+            dive.shotsFired++;
+            this.fireAt(enemy, this.simulation.getTarget(enemy.x + enemy.width / 2));
+        }
+    }
+
+    fireAt(enemy, target) {
+        const sim = this.simulation;
+        const bullet = enemy.shoot();
+        const speed = sim.levelData.enemyBulletSpeed;
+        const angle = Math.atan2(
+            target.y - bullet.y,
+            target.x + target.width / 2 - bullet.x
+        );
+
+        bullet.vx = Math.cos(angle) * speed;
+        bullet.vy = Math.sin(angle) * speed;
+        sim.enemyBullets.push(bullet);
+        sim.emit('enemyShoot');
+    }
+
+    /**
+     * Offset from the slot at a point of the dive: out and down to the
+     * target on one curve, then a wide loop back up into the slot
+     * @param {Object} dive - Dive state ({ side, dx, dy })
+     * @param {number} progress - 0 to 1
+     * @returns {{x: number, y: number}} - Offset in pixels
+     */
+    static pathPoint({ side, dx, dy }, progress) {
+        const out = progress < 0.5;
+        const t = out ? progress * 2 : progress * 2 - 1;
+        const points = out ?
+            [[0, 0], [-side * 80, -60], [dx + side * 150, dy - 200], [dx, dy]] :
+            [[dx, dy], [dx - side * 200, dy + 20], [-side * 150, 150], [0, 0]];
+
+        // Cubic Bezier
+        const u = 1 - t;
+        const weights = [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+        return {
+            x: points.reduce((sum, point, i) => sum + point[0] * weights[i], 0),
+            y: points.reduce((sum, point, i) => sum + point[1] * weights[i], 0)
+        };
+    }
+}
+
+DiveAttacks.DURATION = 4; // seconds from leaving the slot to being back in it
+DiveAttacks.CLEARANCE = 120; // pixels above the player the dive turns at
+DiveAttacks.FLOOR = 10; // closest a diver's bottom edge gets to the player's top
+DiveAttacks.SHOTS = [0.2, 0.35]; // dive progress at which the diver fires
+
+EnemyMovement.PATTERNS = {
+    standard: StandardMovement,
+    zigzag: ZigzagMovement,
+    spiral: SpiralMovement,
+    random: RandomMovement
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnemyMovement, StandardMovement, ZigzagMovement, SpiralMovement, RandomMovement, DiveAttacks };
+}
@@ -0,0 +1,61 @@
+// Seedable pseudo-random number generator for Space Invaders
+// Gameplay randomness must come from here (never Math.random) so that a run
+// can be replayed tick for tick from its seed and input log.
+
+class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1) - Mulberry32, small and fast enough for per-tick use
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Random number between min and max
+    random(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Random integer between min and max (inclusive)
+    randomInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Random element of an array, each as likely as its weight; with every
+    // weight 1 this draws the same element as pick()
+    pickWeighted(items, weightOf) {
+        let roll = this.next() * items.reduce((sum, item) => sum + weightOf(item), 0);
+        return items.find(item => (roll -= weightOf(item)) < 0) || items[items.length - 1];
+    }
+
+    // Independent generator derived from this seed (not from the current state),
+    // so e.g. visual effects can be seeded without shifting the gameplay sequence
+    derive(stream) {
+        return new SeededRandom(Math.imul(this.seed ^ stream, 0x9E3779B1) ^ stream);
+    }
+
+    // Fresh 32-bit seed for a new run
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    static isValidSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
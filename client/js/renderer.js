@@ -0,0 +1,297 @@
+// Canvas renderer for Space Invaders
+// Draws the simulation and owns every visual-only effect (particles, explosions,
+// screen shake, flashes). The game runs without it, e.g. headless in Node.
+
+class CanvasRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.game = null;
+
+        // Visual-only effects, on their own stream derived from the run seed so
+        // they are reproducible without shifting the gameplay sequence
+        this.particles = [];
+        this.explosions = [];
+        this.floatingTexts = [];
+        this.effectsRng = new SeededRandom(0);
+
+        // Screen effects
+        this.screenShake = null;
+        this.flashEffect = { active: false, color: '#ffffff', intensity: 0, duration: 0 };
+
+        // Prevent context menu on canvas
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    attach(game) {
+        this.game = game;
+    }
+
+    // React to simulation and game flow events with visual effects
+    onGameEvent(type, data) {
+        switch (type) {
+            case 'runStarted':
+            case 'replayStarted':
+                this.reset(data.rng);
+                break;
+            case 'replaySeeked':
+                this.clearEffects();
+                break;
+            case 'levelLoaded':
+                if (data.levelData.theme) {
+                    this.applyTheme(data.levelData.theme);
+                }
+                break;
+            case 'enemyKilled':
+                this.createExplosion(data.x, data.y);
+                this.screenShake = Utils.createScreenShake(3, 0.1);
+                break;
+            case 'enemyHit':
+                // Chips of armor, in the color it is turning
+                this.particles.push(...Utils.createParticles(data.x, data.y, 3, data.enemy.getDamageColor(), this.effectsRng));
+                break;
+            case 'bossHit':
+                this.particles.push(...Utils.createParticles(data.x, data.y, 4, data.boss.color, this.effectsRng));
+                this.screenShake = Utils.createScreenShake(2, 0.05);
+                break;
+            case 'missileDestroyed':
+                this.createExplosion(data.x, data.y, 20);
+                break;
+            case 'bossPhase':
+                this.createExplosion(data.x, data.y, 50);
+                this.screenShake = Utils.createScreenShake(10, 0.4);
+                this.flashEffect = { active: true, color: '#ff0000', intensity: 0.4, duration: 0.3 };
+                break;
+            case 'mysteryShipKilled':
+                this.createExplosion(data.x, data.y, 40);
+                this.floatingTexts.push(new FloatingText(data.x, data.y, `${data.points}`, '#ff00ff'));
+                break;
+            case 'comboBonus':
+                this.floatingTexts.push(new FloatingText(data.x, data.y - 16, `+${data.bonus} x${data.multiplier}`, '#ffff00'));
+                break;
+            case 'wallHit':
+                this.particles.push(...Utils.createParticles(data.x, data.y, 3, data.color, this.effectsRng));
+                break;
+            case 'playerHit':
+                this.createExplosion(data.x, data.y);
+                this.screenShake = Utils.createScreenShake(8, 0.3);
+                this.flashEffect = { active: true, color: '#ff0000', intensity: 0.5, duration: 0.2 };
+                break;
+            case 'powerUp':
+                // Flash in the power-up's color
+                this.flashEffect = { active: true, color: data.powerUp.color, intensity: 0.3, duration: 0.2 };
+                break;
+        }
+    }
+
+    // Clear effects and reseed them from a new run's gameplay RNG
+    reset(rng) {
+        this.clearEffects();
+        this.effectsRng = rng.derive(CanvasRenderer.EFFECTS_STREAM);
+    }
+
+    clearEffects() {
+        this.particles = [];
+        this.explosions = [];
+        this.floatingTexts = [];
+    }
+
+    update(deltaTime) {
+        // Update particles
+        this.particles = this.particles.filter(particle => {
+            particle.update(deltaTime);
+            return particle.active;
+        });
+
+        // Update explosions
+        this.explosions = this.explosions.filter(explosion => {
+            explosion.update(deltaTime);
+            return explosion.active;
+        });
+
+        this.floatingTexts = this.floatingTexts.filter(text => {
+            text.update(deltaTime);
+            return text.active;
+        });
+
+        // Update screen shake
+        if (this.screenShake) {
+            if (!Utils.updateScreenShake(this.screenShake, deltaTime, this.effectsRng)) {
+                this.screenShake = null;
+            }
+        }
+
+        // Update flash effect
+        if (this.flashEffect.active) {
+            this.flashEffect.intensity -= deltaTime * 3;
+            if (this.flashEffect.intensity <= 0) {
+                this.flashEffect.active = false;
+            }
+        }
+    }
+
+    createExplosion(x, y, size = 30) {
+        this.explosions.push(new Explosion(x, y, size, 0.5, this.effectsRng));
+
+        // Create particles
+        const particles = Utils.createParticles(x, y, 8, '#ff6600', this.effectsRng);
+        this.particles.push(...particles);
+    }
+
+    // Apply visual theme
+    applyTheme(theme) {
+        const canvas = this.canvas;
+
+        // Store original styles
+        if (!this.originalCanvasStyle) {
+            this.originalCanvasStyle = {
+                backgroundColor: canvas.style.backgroundColor || '#000000'
+            };
+        }
+
+        // Apply theme-based styling
+        switch (theme.atmosphere) {
+            case 'nebula':
+                canvas.style.backgroundColor = '#1a0d2e';
+                break;
+            case 'asteroid':
+                canvas.style.backgroundColor = '#2c1810';
+                break;
+            case 'alien-world':
+                canvas.style.backgroundColor = '#0d2818';
+                break;
+            default:
+                canvas.style.backgroundColor = '#000000';
+        }
+    }
+
+    render(alpha = 1) {
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Apply screen shake
+        if (this.screenShake) {
+            this.ctx.save();
+            this.ctx.translate(this.screenShake.offsetX, this.screenShake.offsetY);
+        }
+
+        // Draw game objects
+        this.drawBackground();
+        this.drawEntities(alpha);
+        this.drawEffects();
+        this.drawBossHealth();
+
+        // Draw flash effect
+        if (this.flashEffect.active) {
+            this.ctx.save();
+            this.ctx.globalAlpha = this.flashEffect.intensity;
+            this.ctx.fillStyle = this.flashEffect.color;
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.restore();
+        }
+
+        // Draw debug info
+        if (this.game.debug) {
+            Utils.drawDebugInfo(this.ctx, this.game);
+        }
+
+        // Restore screen shake
+        if (this.screenShake) {
+            this.ctx.restore();
+        }
+    }
+
+    drawBackground() {
+        // Draw starfield (already in CSS, but could add moving stars here)
+        this.ctx.fillStyle = 'rgba(0, 255, 0, 0.1)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    drawEntities(alpha) {
+        const { walls, players, enemies, mysteryShip, bullets, enemyBullets, powerUps } = this.game.simulation;
+
+        // Draw walls first (behind other entities)
+        walls.forEach(wall => wall.draw(this.ctx));
+
+        // Draw players still in the game
+        players.filter(player => player.active).forEach(player => this.drawInterpolated(player, alpha));
+
+        // Draw enemies
+        enemies.forEach(enemy => this.drawInterpolated(enemy, alpha));
+        if (mysteryShip) {
+            this.drawInterpolated(mysteryShip, alpha);
+        }
+
+        // Draw bullets
+        bullets.forEach(bullet => this.drawInterpolated(bullet, alpha));
+        enemyBullets.forEach(bullet => this.drawInterpolated(bullet, alpha));
+
+        // Draw power-ups
+        powerUps.forEach(powerUp => this.drawInterpolated(powerUp, alpha));
+    }
+
+    // Draw an entity between its previous and current tick position
+    drawInterpolated(entity, alpha) {
+        if (entity.prevX === undefined) {
+            entity.draw(this.ctx);
+            return;
+        }
+
+        const { x, y } = entity;
+        entity.x = Utils.lerp(entity.prevX, x, alpha);
+        entity.y = Utils.lerp(entity.prevY, y, alpha);
+        entity.draw(this.ctx);
+        entity.x = x;
+        entity.y = y;
+    }
+
+    // Health bar across the top while a boss is alive, split into its phases
+    drawBossHealth() {
+        const boss = this.game.simulation.enemies.find(enemy => enemy.isBoss);
+        if (!boss) return;
+
+        const width = 300;
+        const height = 10;
+        const x = (this.canvas.width - width) / 2;
+        const y = 20;
+        const phaseColors = ['#ffcc00', '#ff6600', '#ff0000'];
+
+        this.ctx.save();
+        this.ctx.fillStyle = '#330000';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.fillStyle = phaseColors[boss.phase - 1] || '#ff0000';
+        this.ctx.fillRect(x, y, width * boss.health / boss.maxHealth, height);
+
+        // Phase boundaries
+        this.ctx.fillStyle = '#000000';
+        for (let phase = 1; phase < Enemy.BOSS_PHASES; phase++) {
+            this.ctx.fillRect(x + width * (1 - phase / Enemy.BOSS_PHASES) - 1, y, 2, height);
+        }
+
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`BOSS ${boss.health}/${boss.maxHealth}`, this.canvas.width / 2, y - 5);
+        this.ctx.restore();
+    }
+
+    drawEffects() {
+        // Draw explosions
+        this.explosions.forEach(explosion => explosion.draw(this.ctx));
+
+        // Draw particles
+        this.particles.forEach(particle => particle.draw(this.ctx));
+
+        // Draw floating score text
+        this.floatingTexts.forEach(text => text.draw(this.ctx));
+    }
+}
+
+CanvasRenderer.EFFECTS_STREAM = 1; // SeededRandom.derive() stream for visual effects
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasRenderer;
+}
@@ -0,0 +1,209 @@
+// Replays for Space Invaders
+//
+// A replay is a run record (seed + per-tick input log) with each level's config
+// embedded, so it plays back through GameSimulation exactly as it was played.
+// Saved as `.sireplay` JSON files and attached to leaderboard scores.
+
+// Under Node, load the simulation the browser gets as a <script> global
+if (typeof module !== 'undefined' && module.exports && typeof GameSimulation === 'undefined') {
+    globalThis.GameSimulation = require('./simulation');
+}
+
+class Replay {
+    /**
+     * Wrap a run record as a replay file
+     * @param {Object} run - GameSimulation.getRunRecord({ includeLevelData: true })
+     * @param {Object} [meta] - { score, levelReached, player }
+     * @returns {Object} - Replay
+     */
+    static create(run, { score = 0, levelReached = 1, player = null } = {}) {
+        return {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            createdAt: new Date().toISOString(),
+            score,
+            levelReached,
+            player,
+            run
+        };
+    }
+
+    // Check the shape of a replay; throws INVALID_REPLAY
+    static validate(replay) {
+        const run = replay && replay.run;
+        if (!replay || typeof replay !== 'object' ||
+            replay.format !== Replay.FORMAT ||
+            replay.version !== Replay.VERSION ||
+            !run || run.version !== GameSimulation.RUN_VERSION ||
+            !SeededRandom.isValidSeed(run.seed) ||
+            (run.ship !== undefined && !Object.hasOwn(Player.SHIPS, run.ship)) ||
+            !Array.isArray(run.levels) || run.levels.length === 0) {
+            throw new Error('INVALID_REPLAY');
+        }
+
+        for (const segment of run.levels) {
+            if (!segment || !Number.isInteger(segment.level) ||
+                !segment.levelData || typeof segment.levelData !== 'object' ||
+                !Array.isArray(segment.inputs) ||
+                !segment.inputs.every(pair => Array.isArray(pair) && pair.length === 2 &&
+                    Number.isInteger(pair[0]) && Number.isInteger(pair[1]) && pair[1] >= 1)) {
+                throw new Error('INVALID_REPLAY');
+            }
+        }
+        return replay;
+    }
+
+    // Read a .sireplay file's text
+    static parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('INVALID_REPLAY');
+        }
+        return Replay.validate(replay);
+    }
+
+    static getFileName(replay) {
+        const date = (replay.createdAt || '').slice(0, 10) || 'run';
+        return `space-invaders-${replay.score}-${date}${Replay.FILE_EXTENSION}`;
+    }
+
+    // Save a replay as a file (browser only)
+    static download(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = Replay.getFileName(replay);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+Replay.FORMAT = 'sireplay';
+Replay.VERSION = 1;
+Replay.FILE_EXTENSION = '.sireplay';
+
+/**
+ * Plays a replay back through its own GameSimulation, one tick at a time.
+ * Seeking re-simulates from the start when going backwards - the simulation
+ * is deterministic, so that is exact and needs no snapshots. Also handy in
+ * Node for inspecting the state at a given tick (e.g. a collision bug).
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay from Replay.create() / Replay.parse()
+     * @param {Object} [options]
+     * @param {Function} [options.onEvent] - (type, data) for simulation events during playback
+     */
+    constructor(replay, { onEvent = null } = {}) {
+        Replay.validate(replay);
+        this.replay = replay;
+        this.onEvent = onEvent;
+        this.paused = false;
+        this.speed = 1;
+        this.seeking = false; // events are muted while fast-forwarding to a seek target
+
+        // One input mask per tick, plus the tick each level segment starts on
+        let start = 0;
+        this.segments = replay.run.levels.map(segment => {
+            const count = segment.inputs.reduce((total, [, ticks]) => total + ticks, 0);
+            const entry = { start, levelData: segment.levelData };
+            start += count;
+            return entry;
+        });
+        this.totalTicks = start;
+        this.inputs = new Uint8Array(this.totalTicks);
+        let tick = 0;
+        replay.run.levels.forEach(segment => {
+            segment.inputs.forEach(([mask, count]) => {
+                this.inputs.fill(mask, tick, tick + count);
+                tick += count;
+            });
+        });
+
+        this.simulation = new GameSimulation();
+        this.simulation.onEvent = (type, data) => {
+            if (!this.seeking && this.onEvent) {
+                this.onEvent(type, data);
+            }
+        };
+        this.restart();
+    }
+
+    get finished() {
+        return this.tick >= this.totalTicks;
+    }
+
+    // Playback position in seconds
+    get time() {
+        return this.tick / GameSimulation.TICK_RATE;
+    }
+
+    get duration() {
+        return this.totalTicks / GameSimulation.TICK_RATE;
+    }
+
+    restart() {
+        this.simulation.reset(this.replay.run.seed, this.replay.run.mode, this.replay.run.ship);
+        this.tick = 0;
+        this.segmentIndex = -1;
+        this.loadSegments();
+    }
+
+    // Load every level segment that starts at the current tick
+    loadSegments() {
+        while (this.segmentIndex + 1 < this.segments.length &&
+               this.segments[this.segmentIndex + 1].start <= this.tick) {
+            this.segmentIndex++;
+            this.simulation.loadLevel(this.segments[this.segmentIndex].levelData);
+        }
+    }
+
+    // Advance one tick
+    step() {
+        if (this.finished) return;
+
+        this.loadSegments();
+        this.simulation.step(this.inputs[this.tick]);
+        this.tick++;
+    }
+
+    /**
+     * Jump to a tick, replaying silently from the start if it lies behind us
+     * @param {number} tick - Target tick (clamped to the replay)
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(Math.floor(tick), this.totalTicks));
+        if (target < this.tick) {
+            this.restart();
+        }
+
+        this.seeking = true;
+        while (this.tick < target) {
+            this.step();
+        }
+        this.seeking = false;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    // Cycle through the playback speeds
+    cycleSpeed() {
+        const speeds = ReplayPlayer.SPEEDS;
+        this.speed = speeds[(speeds.indexOf(this.speed) + 1) % speeds.length];
+        return this.speed;
+    }
+}
+
+ReplayPlayer.SPEEDS = [1, 2, 4];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Replay, ReplayPlayer };
+}
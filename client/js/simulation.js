@@ -0,0 +1,903 @@
+// Deterministic game rules for Space Invaders
+//
+// GameSimulation owns every piece of state that can change the score and
+// advances it one fixed tick at a time from a small input bitmask. The browser
+// game wraps it with rendering, audio and the DOM; the server replays the
+// recorded inputs through the very same class to verify submitted scores.
+// Nothing in here may touch the DOM, the wall clock or Math.random().
+
+// Under Node, load the entity classes, RNG, movement patterns and weapons the browser gets as <script> globals
+if (typeof module !== 'undefined' && module.exports && typeof Player === 'undefined') {
+    Object.assign(globalThis, require('./entities'), require('./movement'), require('./weapons'),
+        { SeededRandom: require('./random') });
+}
+
+class GameSimulation {
+    constructor(width = GameSimulation.WIDTH, height = GameSimulation.HEIGHT) {
+        this.width = width;
+        this.height = height;
+
+        // Callback for things the presentation layer reacts to: (type, data)
+        this.onEvent = null;
+
+        this.reset(0);
+    }
+
+    /**
+     * Start a new run from scratch
+     * @param {number} seed - 32-bit seed for all gameplay randomness
+     * @param {string} [mode] - Game mode, one of GameSimulation.MODES
+     * @param {string} [ship] - Ship class, one of Player.SHIPS; both co-op
+     *     players fly the same class
+     */
+    reset(seed, mode = 'classic', ship = 'fighter') {
+        this.rng = new SeededRandom(seed);
+        this.mode = mode;
+        this.ship = ship;
+        this.status = 'idle'; // idle, playing, levelComplete, gameOver
+        this.tick = 0;
+
+        // Game objects: one player, or two side by side in co-op. `player` is
+        // always player one.
+        this.players = mode === 'coop' ? [this.createPlayer(0), this.createPlayer(1)] : [this.createPlayer(0)];
+        this.player = this.players[0];
+        this.enemies = [];
+        this.bullets = [];
+        this.enemyBullets = [];
+        this.powerUps = [];
+        this.walls = [];
+        this.mysteryShip = null;
+
+        // Game stats; in co-op each player also keeps their own score and
+        // lives, and these are the team's totals
+        this.score = 0;
+        this.lives = this.players.reduce((total, player) => total + player.lives, 0);
+        this.currentLevel = 1;
+        this.levelData = null;
+        this.enemiesKilled = 0;
+        this.totalEnemies = 0;
+
+        // Consecutive hits: a miss, getting hit or a pause longer than
+        // COMBO_WINDOW ends the chain, which raises the score multiplier
+        this.combo = 0;
+        this.comboTimer = 0;
+        this.bestCombo = 0;
+
+        // Movement pattern of the current level's enemies, and its dive attacks
+        this.enemyMovement = null;
+        this.diveAttacks = null;
+
+        // Mystery ship schedule, restarted every level
+        this.mysteryShipTimer = 0;
+        this.shotsSinceMysteryShip = 0;
+
+        // Versus garbage taken this run, see receiveGarbage()
+        this.garbageReceived = 0;
+
+        // Input log, one segment per loaded level
+        this.segments = [];
+    }
+
+    // Players spread evenly along the bottom; player two gets their own color
+    createPlayer(index) {
+        const count = this.mode === 'coop' ? 2 : 1;
+        const player = new Player(this.width * (index + 1) / (count + 1) - 20, this.height - 50, this.ship);
+        player.index = index;
+        player.lives = Player.SHIPS[this.ship].lives;
+        player.score = 0;
+        if (index > 0) {
+            player.color = GameSimulation.PLAYER_COLORS[index];
+        }
+        return player;
+    }
+
+    // Players still in the game; a co-op player out of lives sits the rest out
+    getActivePlayers() {
+        return this.players.filter(player => player.active);
+    }
+
+    /**
+     * The active player nearest to x, for enemies that aim or home in
+     * @param {number} x - Horizontal position to measure from
+     * @returns {Player}
+     */
+    getTarget(x) {
+        const candidates = this.getActivePlayers();
+        if (candidates.length === 0) return this.player;
+
+        return candidates.reduce((nearest, player) =>
+            Math.abs(player.x + player.width / 2 - x) < Math.abs(nearest.x + nearest.width / 2 - x) ? player : nearest
+        );
+    }
+
+    /**
+     * Load level data for the current level and resume play
+     * @param {Object} levelData - Level configuration from the server
+     */
+    loadLevel(levelData) {
+        this.levelData = levelData;
+        this.createEnemies();
+        this.createWalls();
+        this.applyLevelMechanics();
+        this.enemyMovement = EnemyMovement.create(levelData.specialMechanics?.movementPattern, this);
+        this.diveAttacks = levelData.diveAttacks ? new DiveAttacks(this, levelData.diveAttacks) : null;
+        this.powerUpDrops = this.getPowerUpDrops();
+        this.mysteryShip = null;
+        this.mysteryShipTimer = 0;
+        this.shotsSinceMysteryShip = 0;
+
+        this.segments.push({
+            level: this.currentLevel,
+            source: GameSimulation.getLevelSource(levelData),
+            levelData,
+            inputs: []
+        });
+        this.status = 'playing';
+    }
+
+    createEnemies() {
+        this.enemies = [];
+        const { enemyType } = this.levelData;
+        const layout = this.getCustomLayout();
+        const enemyRows = layout ? layout.length : this.levelData.enemyRows;
+        const enemyCols = layout ? Math.max(...layout.map(line => line.length)) : this.levelData.enemyCols;
+        const enemySpacing = 50;
+        // Custom layouts are centered; the regular grid starts at the left
+        const startX = layout ? (this.width - (enemyCols - 1) * enemySpacing - 30) / 2 : 50;
+        const startY = 80;
+        const basePoints = new Enemy(0, 0, enemyType).points;
+
+        for (let row = 0; row < enemyRows; row++) {
+            for (let col = 0; col < enemyCols; col++) {
+                const type = layout ? this.getLayoutType(layout[row][col]) : this.getEnemyType(row, col);
+                if (!type) continue;
+
+                const x = startX + col * enemySpacing;
+                const y = startY + row * enemySpacing;
+                const enemy = new Enemy(x, y, type);
+                enemy.row = row; // for rowCleared
+
+                // Set enemy properties from level data
+                enemy.speed = this.levelData.enemySpeed;
+                enemy.dropSpeed = this.levelData.enemyDropSpeed;
+                enemy.shootFrequency = this.levelData.enemyBulletFrequency;
+                enemy.setHealth(this.getEnemyHealth(type));
+                // Types worth more than the level's base type score proportionally more
+                enemy.points = Math.round(this.levelData.pointsPerEnemy * enemy.points / basePoints);
+
+                this.enemies.push(enemy);
+            }
+        }
+
+        this.totalEnemies = this.enemies.length;
+        this.enemiesKilled = 0;
+    }
+
+    /**
+     * Enemy type for a grid cell. levelData.enemyTypes has one entry per row,
+     * top first: a type for the whole row, or an array of types per column.
+     * Anything it leaves out (or doesn't know) gets levelData.enemyType.
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {string} - Enemy type
+     */
+    getEnemyType(row, col) {
+        const rowTypes = this.levelData.enemyTypes?.[row];
+        const type = Array.isArray(rowTypes) ? rowTypes[col] : rowTypes;
+        return Enemy.TYPES.includes(type) ? type : this.levelData.enemyType;
+    }
+
+    /**
+     * Hits an enemy of a type takes on this level: levelData.enemyHealth
+     * ({ type: hits }), else Enemy.HEALTH. Bosses get theirs from bossProperties.
+     * @param {string} type - Enemy type
+     * @returns {number} - Hit points, 1 to Enemy.MAX_HEALTH
+     */
+    getEnemyHealth(type) {
+        const health = this.levelData.enemyHealth?.[type];
+        return Number.isInteger(health) ? Math.min(Math.max(health, 1), Enemy.MAX_HEALTH) : Enemy.HEALTH[type];
+    }
+
+    /**
+     * Map of a custom formation: specialMechanics.layout, one string per row,
+     * used when specialMechanics.formation is 'custom'
+     * @returns {string[]|null} - Rows, or null to build the regular grid
+     */
+    getCustomLayout() {
+        const { formation, layout } = this.levelData.specialMechanics || {};
+        if (formation !== 'custom' || !Array.isArray(layout) || layout.length === 0) return null;
+        return layout;
+    }
+
+    /**
+     * Enemy type for a character of a custom layout
+     * @param {string} [char] - See GameSimulation.LAYOUT_LEGEND; '#' is the level's enemyType
+     * @returns {string|null} - Enemy type, or null for an empty cell
+     */
+    getLayoutType(char) {
+        if (char === '#') return this.levelData.enemyType;
+        return GameSimulation.LAYOUT_LEGEND[char] || null;
+    }
+
+    /**
+     * What enemies drop: levelData.powerUps ({ dropRate, types: { type: { weight,
+     * duration } } }), or PowerUp.DEFAULT_DROPS. A specialMechanics.powerUps list
+     * narrows that to the listed types; any it adds get weight 1.
+     * @returns {{dropRate: number, pool: Array<{type: string, weight: number, duration: number|undefined}>}}
+     */
+    getPowerUpDrops() {
+        const { powerUps, specialMechanics } = this.levelData;
+        const { dropRate = 0, types = {} } = powerUps || PowerUp.DEFAULT_DROPS;
+        const listed = specialMechanics?.powerUps?.length ? [...new Set(specialMechanics.powerUps)] : null;
+        const entries = listed ? listed.map(type => [type, types[type] || { weight: 1 }]) : Object.entries(types);
+
+        const pool = entries
+            .filter(([type, drop]) => PowerUp.TYPES[type] && drop.weight > 0)
+            .map(([type, drop]) => ({ type, weight: drop.weight, duration: drop.duration }));
+        return { dropRate, pool };
+    }
+
+    /**
+     * Build the level's walls from levelData.walls: `count` walls spaced
+     * evenly, or one centred on each of `positions`, all at `yPosition`. Each
+     * is shaped by its `mask` bitmap or the named `shape` (see Wall.SHAPES).
+     * With `regenerate: false` the walls left from the previous level stay,
+     * damage and all.
+     */
+    createWalls() {
+        // Get wall configuration from level data, or use defaults
+        const wallConfig = this.levelData.walls || {
+            count: 4,
+            width: 80,
+            height: 60,
+            health: 5,
+            yPosition: this.height - 150
+        };
+
+        // Segments so far are the levels already loaded since the reset
+        if (wallConfig.regenerate === false && this.segments.length > 0) return;
+
+        this.walls = [];
+        const mask = this.getWallMask(wallConfig);
+        const positions = Array.isArray(wallConfig.positions) && wallConfig.positions.length > 0 ?
+            wallConfig.positions : this.getWallPositions(wallConfig);
+
+        positions.forEach(centerX => {
+            const x = centerX - wallConfig.width / 2;
+            const y = wallConfig.yPosition;
+
+            this.walls.push(new Wall(x, y, wallConfig.width, wallConfig.height, wallConfig.health, mask));
+        });
+    }
+
+    // Centres of `count` walls spaced evenly across the screen
+    getWallPositions({ count, width }) {
+        const spacing = (this.width - count * width) / (count + 1);
+        return Array.from({ length: count }, (_, i) => spacing + i * (width + spacing) + width / 2);
+    }
+
+    // A custom `mask` wins over the named `shape`; neither is a full rectangle
+    getWallMask({ mask, shape }) {
+        if (Array.isArray(mask) && mask.length > 0 && mask.every(line => typeof line === 'string')) {
+            return mask;
+        }
+        return Object.hasOwn(Wall.SHAPES, shape) ? Wall.SHAPES[shape] : null;
+    }
+
+    // Apply the gameplay side of AI special mechanics (formation, boss)
+    applyLevelMechanics() {
+        const mechanics = this.levelData.specialMechanics;
+        if (!mechanics) return;
+
+        if (mechanics.formation && mechanics.formation !== 'grid') {
+            this.applyEnemyFormation(mechanics.formation);
+        }
+
+        if (mechanics.bossProperties) {
+            this.setupBossLevel(mechanics.bossProperties);
+        }
+    }
+
+    // Apply different enemy formations
+    applyEnemyFormation(formation) {
+        if (!this.enemies.length) return;
+
+        const centerX = this.width / 2;
+        const centerY = 150;
+
+        switch (formation) {
+            case 'diamond':
+                this.arrangeEnemiesDiamond(centerX, centerY);
+                break;
+            case 'wave':
+                this.arrangeEnemiesWave(centerX, centerY);
+                break;
+            case 'scattered':
+                this.arrangeEnemiesScattered();
+                break;
+        }
+    }
+
+    // Diamond formation
+    arrangeEnemiesDiamond(centerX, centerY) {
+        const spacing = 45;
+        const rows = Math.ceil(Math.sqrt(this.enemies.length));
+
+        this.enemies.forEach((enemy, index) => {
+            const row = Math.floor(index / rows);
+            const col = index % rows;
+            const rowWidth = Math.max(1, rows - Math.abs(row - rows/2));
+            enemy.x = centerX + (col - rowWidth/2) * spacing;
+            enemy.y = centerY + row * spacing;
+        });
+    }
+
+    // Wave formation
+    arrangeEnemiesWave(centerX, centerY) {
+        const amplitude = 60;
+        const frequency = 0.02;
+
+        this.enemies.forEach((enemy, index) => {
+            const progress = index / this.enemies.length;
+            const x = 50 + progress * (this.width - 100);
+            enemy.x = x;
+            enemy.y = centerY + Math.sin(x * frequency) * amplitude;
+        });
+    }
+
+    // Scattered formation
+    arrangeEnemiesScattered() {
+        this.enemies.forEach(enemy => {
+            enemy.x = this.rng.random(50, this.width - 50);
+            enemy.y = this.rng.random(50, 250);
+        });
+    }
+
+    // Turn the first boss-type enemy into a multi-hit boss, centered above the rest of the formation
+    setupBossLevel(bossProperties) {
+        const boss = this.enemies.find(enemy => enemy.type === 'boss');
+        if (!boss) return;
+
+        const attacks = bossProperties.specialAttacks?.length ? bossProperties.specialAttacks : ['spread-shot'];
+        const weapons = attacks.map(attack => EnemyWeapon.create(attack)).filter(Boolean);
+        const top = Math.min(...this.enemies.map(enemy => enemy.y));
+
+        boss.makeBoss(bossProperties.health || 3, bossProperties.size || 1.5, weapons);
+        boss.x = this.width / 2 - boss.width / 2;
+        boss.y = top;
+        this.enemies.filter(enemy => enemy !== boss).forEach(enemy => {
+            enemy.y += boss.height + 10;
+        });
+    }
+
+    /**
+     * Advance the game by one fixed tick
+     * @param {number} input - Bitmask of GameSimulation.INPUT flags
+     */
+    step(input) {
+        if (this.status !== 'playing') return;
+
+        this.recordInput(input);
+        this.tick++;
+
+        const deltaTime = GameSimulation.TICK;
+
+        this.applyInput(input);
+        this.getActivePlayers().forEach(player => player.update(deltaTime, this.width));
+        this.updateEnemies(deltaTime);
+        this.updateMysteryShip(deltaTime);
+        this.updateBullets(deltaTime);
+        this.updatePowerUps(deltaTime);
+        this.updateCombo(deltaTime);
+        this.checkCollisions();
+        this.checkGameConditions();
+    }
+
+    // Append to the current segment, run-length encoded as [mask, count] pairs
+    recordInput(input) {
+        const inputs = this.segments[this.segments.length - 1].inputs;
+        const last = inputs[inputs.length - 1];
+        if (last && last[0] === input) {
+            last[1]++;
+        } else {
+            inputs.push([input, 1]);
+        }
+    }
+
+    // Player one reads LEFT/RIGHT/FIRE, player two the P2_ bits
+    applyInput(input) {
+        const { LEFT, RIGHT, FIRE, P2_LEFT, P2_RIGHT, P2_FIRE } = GameSimulation.INPUT;
+        const controls = [[LEFT, RIGHT, FIRE], [P2_LEFT, P2_RIGHT, P2_FIRE]];
+
+        this.getActivePlayers().forEach(player => {
+            const [left, right, fire] = controls[player.index];
+
+            if (input & left) {
+                player.moveLeft();
+            }
+            if (input & right) {
+                player.moveRight();
+            }
+            if (input & fire) {
+                this.playerShoot(player);
+            }
+        });
+    }
+
+    playerShoot(player = this.player) {
+        // Get closest enemy for auto-aim
+        let targetX = null;
+        let targetY = null;
+
+        if (player.hasAutoAim && this.enemies.length > 0) {
+            let closestEnemy = null;
+            let minDist = Infinity;
+
+            this.enemies.forEach(enemy => {
+                const dist = Math.abs(enemy.x + enemy.width / 2 - (player.x + player.width / 2));
+                if (dist < minDist) {
+                    minDist = dist;
+                    closestEnemy = enemy;
+                }
+            });
+
+            if (closestEnemy) {
+                targetX = closestEnemy.x + closestEnemy.width / 2;
+                targetY = closestEnemy.y + closestEnemy.height / 2;
+            }
+        }
+
+        const bullets = player.shoot(targetX, targetY);
+        if (bullets) {
+            bullets.forEach(bullet => {
+                bullet.owner = player; // who gets the points
+            });
+            this.bullets.push(...bullets);
+            this.shotsSinceMysteryShip++;
+            this.emit('playerShoot', { player: player.index });
+        }
+    }
+
+    updateEnemies(deltaTime) {
+        // Divers follow their slot with the formation, then fly on from there
+        this.diveAttacks?.returnToSlots();
+        this.enemyMovement.update(deltaTime);
+        this.diveAttacks?.update(deltaTime);
+
+        // Update individual enemies
+        this.enemies.forEach(enemy => {
+            enemy.update(deltaTime);
+
+            if (enemy.isBoss) {
+                this.updateBossAttack(enemy, deltaTime);
+            }
+
+            // Enemy shooting
+            if (enemy.shouldShoot(this.rng)) {
+                this.fireEnemyWeapon(enemy);
+            }
+        });
+    }
+
+    // Fire an enemy's standard gun (see EnemyWeapon.STANDARD)
+    fireEnemyWeapon(enemy) {
+        enemy.shotsFired++;
+        const weapon = EnemyWeapon.forType(enemy.type);
+
+        if (weapon) {
+            this.enemyBullets.push(...weapon.fire(enemy, this, enemy.phase || 1));
+        } else {
+            const bullet = enemy.shoot();
+            bullet.vy = this.levelData.enemyBulletSpeed;
+            this.enemyBullets.push(bullet);
+        }
+        this.emit('enemyShoot');
+    }
+
+    updateBossAttack(boss, deltaTime) {
+        const weapon = boss.nextAttack(deltaTime);
+        if (!weapon) return;
+
+        this.enemyBullets.push(...weapon.fire(boss, this, boss.phase));
+        this.emit('bossAttack', { attack: weapon.name, x: boss.x + boss.width / 2, y: boss.y + boss.height });
+    }
+
+    // The level's levelData.mysteryShip ({ interval, shots, speed, points }) sends
+    // a bonus saucer across after `interval` seconds or `shots` player shots,
+    // whichever comes first; levels without one (or with enabled: false) get none
+    updateMysteryShip(deltaTime) {
+        const config = this.levelData.mysteryShip;
+        if (!config || config.enabled === false) return;
+
+        if (this.mysteryShip) {
+            this.mysteryShip.update(deltaTime, this.width);
+            if (!this.mysteryShip.active) {
+                this.mysteryShip = null;
+                this.emit('mysteryShipEscaped');
+            }
+            return;
+        }
+
+        this.mysteryShipTimer += deltaTime;
+        if (this.mysteryShipTimer >= config.interval || this.shotsSinceMysteryShip >= config.shots) {
+            this.spawnMysteryShip(config);
+        }
+    }
+
+    spawnMysteryShip(config) {
+        const direction = this.rng.next() < 0.5 ? 1 : -1;
+        const points = this.rng.pick(config.points);
+        const ship = new MysteryShip(0, MysteryShip.Y, direction, config.speed, points);
+        ship.x = direction === 1 ? -ship.width : this.width;
+
+        this.mysteryShip = ship;
+        this.mysteryShipTimer = 0;
+        this.shotsSinceMysteryShip = 0;
+        this.emit('mysteryShipSpawned', { direction });
+    }
+
+    updateBullets(deltaTime) {
+        this.bullets = this.bullets.filter(bullet => {
+            bullet.update(deltaTime, this.width, this.height);
+            if (!bullet.active) {
+                this.breakCombo(); // flew off without hitting anything
+            }
+            return bullet.active;
+        });
+
+        this.enemyBullets = this.enemyBullets.filter(bullet => {
+            bullet.update(deltaTime, this.width, this.height);
+            return bullet.active;
+        });
+    }
+
+    updatePowerUps(deltaTime) {
+        this.powerUps = this.powerUps.filter(powerUp => {
+            powerUp.update(deltaTime, this.height);
+            return powerUp.active;
+        });
+    }
+
+    updateCombo(deltaTime) {
+        if (this.combo === 0) return;
+
+        this.comboTimer -= deltaTime;
+        if (this.comboTimer <= 0) {
+            this.breakCombo();
+        }
+    }
+
+    // A player shot hit an enemy, boss or mystery ship
+    registerHit() {
+        this.combo++;
+        this.comboTimer = GameSimulation.COMBO_WINDOW;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+    }
+
+    breakCombo() {
+        if (this.combo === 0) return;
+
+        this.emit('comboLost', { combo: this.combo });
+        this.combo = 0;
+        this.comboTimer = 0;
+    }
+
+    // Score multiplier for the current chain: +1 every COMBO_STEP hits
+    getComboMultiplier() {
+        return Math.min(GameSimulation.MAX_COMBO_MULTIPLIER, 1 + Math.floor(this.combo / GameSimulation.COMBO_STEP));
+    }
+
+    /**
+     * Add points for a kill at (x, y), multiplied by the combo and the
+     * shooter's score boost; the combo's share floats up from there. In
+     * co-op the chain is the team's, the points the shooter's.
+     * @param {Player} [player] - Whose shot it was
+     * @returns {number} - Points scored
+     */
+    scorePoints(points, x, y, player = this.player) {
+        const boosted = points * player.getScoreMultiplier();
+        const multiplier = this.getComboMultiplier();
+        const bonus = boosted * (multiplier - 1);
+
+        this.score += boosted + bonus;
+        player.score += boosted + bonus;
+        if (bonus > 0) {
+            this.emit('comboBonus', { x, y, bonus, multiplier, combo: this.combo });
+        }
+        return boosted + bonus;
+    }
+
+    checkCollisions() {
+        // Player bullets vs walls
+        this.bullets = this.collideWithWalls(this.bullets, true);
+
+        // Clean up destroyed walls
+        this.walls = this.walls.filter(wall => wall.active);
+
+        // Player bullets vs enemies
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+
+            for (let j = this.enemies.length - 1; j >= 0; j--) {
+                const enemy = this.enemies[j];
+
+                if (bullet.checkCollision(enemy)) {
+                    this.bullets.splice(i, 1);
+                    this.registerHit();
+
+                    // Points only come with the kill
+                    if (enemy.takeHit()) {
+                        this.killEnemy(j, bullet.owner);
+                    } else if (enemy.isBoss) {
+                        this.damageBoss(enemy, bullet);
+                    } else {
+                        this.emit('enemyHit', { x: bullet.x + bullet.width / 2, y: bullet.y, enemy });
+                    }
+                    break;
+                }
+            }
+        }
+
+        // Player bullets vs enemy projectiles that can be shot down (missiles)
+        for (let i = this.bullets.length - 1; i >= 0; i--) {
+            const bullet = this.bullets[i];
+            const index = this.enemyBullets.findIndex(other => other.shootable && bullet.checkCollision(other));
+
+            if (index !== -1) {
+                const [missile] = this.enemyBullets.splice(index, 1);
+                this.bullets.splice(i, 1);
+                this.emit('missileDestroyed', { x: missile.x + missile.width / 2, y: missile.y + missile.height / 2 });
+            }
+        }
+
+        // Player bullets vs mystery ship
+        if (this.mysteryShip) {
+            const index = this.bullets.findIndex(bullet => bullet.checkCollision(this.mysteryShip));
+            if (index !== -1) {
+                const [bullet] = this.bullets.splice(index, 1);
+                this.registerHit();
+                this.killMysteryShip(bullet.owner);
+            }
+        }
+
+        // Power-ups vs players: first to touch one gets it
+        for (let i = this.powerUps.length - 1; i >= 0; i--) {
+            const powerUp = this.powerUps[i];
+            const player = this.getActivePlayers().find(p => powerUp.checkCollision(p));
+
+            if (player) {
+                this.applyPowerUp(powerUp, player);
+                this.powerUps.splice(i, 1);
+            }
+        }
+
+        // Enemy bullets vs walls
+        this.enemyBullets = this.collideWithWalls(this.enemyBullets, false);
+
+        // Enemy bullets vs players
+        for (let i = this.enemyBullets.length - 1; i >= 0; i--) {
+            const bullet = this.enemyBullets[i];
+            const player = this.getActivePlayers().find(p => bullet.checkCollision(p));
+
+            if (player) {
+                if (player.takeDamage()) {
+                    this.loseLife(player);
+                    this.breakCombo();
+                    this.emit('playerHit', {
+                        x: player.x + player.width / 2,
+                        y: player.y + player.height / 2,
+                        player: player.index
+                    });
+                }
+
+                // Beams stay on screen, but only hurt once
+                if (bullet.persistent) {
+                    bullet.spent = true;
+                } else {
+                    this.enemyBullets.splice(i, 1);
+                }
+            }
+        }
+
+        // Check if enemies reached the players
+        this.enemies.forEach(enemy => {
+            if (enemy.y + enemy.height >= this.player.y) {
+                this.players.forEach(player => {
+                    player.lives = 0;
+                });
+                this.lives = 0; // Instant game over
+            }
+        });
+    }
+
+    // Take a life from a player, benching them once they have none left
+    loseLife(player) {
+        player.lives--;
+        this.lives--;
+        if (player.lives <= 0 && this.players.length > 1) {
+            player.active = false;
+            this.emit('playerOut', { player: player.index });
+        }
+    }
+
+    killEnemy(index, player) {
+        const enemy = this.enemies[index];
+        const x = enemy.x + enemy.width / 2;
+        const y = enemy.y + enemy.height / 2;
+
+        this.scorePoints(enemy.points, x, y, player);
+        this.enemiesKilled++;
+        this.emit('enemyKilled', { x, y, enemy });
+
+        // Chance to drop a power-up
+        if (this.rng.next() < this.powerUpDrops.dropRate && this.powerUpDrops.pool.length > 0) {
+            this.spawnPowerUp(x, y);
+        }
+
+        this.enemies.splice(index, 1);
+
+        // Wiping out a formation row is what sends garbage in versus
+        if (!this.enemies.some(other => other.row === enemy.row)) {
+            this.emit('rowCleared', { row: enemy.row });
+        }
+    }
+
+    killMysteryShip(player) {
+        const ship = this.mysteryShip;
+        const x = ship.x + ship.width / 2;
+        const y = ship.y + ship.height / 2;
+        const points = this.scorePoints(ship.points, x, y, player);
+
+        this.mysteryShip = null;
+        this.emit('mysteryShipKilled', { x, y, points });
+    }
+
+    // A hit that a boss survived; it gets more dangerous as its health drops
+    damageBoss(boss, bullet) {
+        this.emit('bossHit', { x: bullet.x + bullet.width / 2, y: bullet.y, boss });
+
+        const phase = boss.getPhase();
+        if (phase !== boss.phase) {
+            boss.phase = phase;
+            this.emit('bossPhase', { x: boss.x + boss.width / 2, y: boss.y + boss.height / 2, phase, boss });
+        }
+    }
+
+    // Damage walls hit by bullets and return the bullets that survived
+    collideWithWalls(bullets, isPlayerBullet) {
+        return bullets.filter(bullet => {
+            if (bullet.passesWalls) return true;
+
+            const wall = this.walls.find(w => w.active && bullet.checkCollision(w) && w.hitsBlock(bullet));
+            if (!wall) return true;
+
+            const x = bullet.x + bullet.width / 2;
+            const y = bullet.y + bullet.height / 2;
+            wall.takeDamage(x, y, isPlayerBullet, bullet.impactRadius);
+            this.emit('wallHit', { x, y, color: wall.color });
+            if (isPlayerBullet) {
+                this.breakCombo();
+            }
+            return false;
+        });
+    }
+
+    checkGameConditions() {
+        // Check game over
+        if (this.lives <= 0) {
+            this.status = 'gameOver';
+            this.emit('gameOver');
+            return;
+        }
+
+        // Check level complete
+        if (this.enemies.length === 0) {
+            this.status = 'levelComplete';
+            this.currentLevel++;
+            this.emit('levelComplete');
+        }
+    }
+
+    /**
+     * Rain enemy bullets down from random points along the top: the garbage an
+     * online versus opponent sends for each row they clear. It arrives from
+     * outside the input log, so runs that took any can't be replayed.
+     * @param {number} count - Bullets to drop
+     */
+    receiveGarbage(count) {
+        for (let i = 0; i < count; i++) {
+            const bullet = new Bullet(this.rng.random(0, this.width - 4), 0, 0, this.levelData.enemyBulletSpeed, '#ff8800', false);
+            this.enemyBullets.push(bullet);
+        }
+        this.garbageReceived += count;
+        this.emit('garbageReceived', { count });
+    }
+
+    spawnPowerUp(x, y) {
+        const drop = this.rng.pickWeighted(this.powerUpDrops.pool, drop => drop.weight);
+        this.powerUps.push(new PowerUp(x - 12, y, drop.type, drop.duration));
+    }
+
+    applyPowerUp(powerUp, player = this.player) {
+        switch (powerUp.type) {
+            case 'shield':
+            case 'multi-shot':
+            case 'auto-aim':
+            case 'rapid-fire':
+            case 'score-boost':
+                player.activatePowerUp(powerUp.type, powerUp.duration);
+                break;
+            case 'life-up':
+                if (player.lives < 5) { // Max 5 lives
+                    player.lives++;
+                    this.lives++;
+                }
+                break;
+            case 'points':
+                player.score += 500;
+                this.score += 500;
+                break;
+        }
+
+        this.emit('powerUp', { powerUp, player: player.index });
+    }
+
+    emit(type, data = {}) {
+        if (this.onEvent) {
+            this.onEvent(type, data);
+        }
+    }
+
+    /**
+     * Compact record of the run, enough to replay it exactly
+     * @param {Object} [options]
+     * @param {boolean} [options.includeLevelData] - Embed each level's config so the
+     *     record plays back without the server (replay files)
+     * @returns {Object} - { version, seed, mode, ship, levels: [{ level, source, inputs, levelData? }] }
+     */
+    getRunRecord({ includeLevelData = false } = {}) {
+        return {
+            version: GameSimulation.RUN_VERSION,
+            seed: this.rng.seed,
+            mode: this.mode,
+            ship: this.ship,
+            levels: this.segments.map(segment => ({
+                level: segment.level,
+                source: segment.source,
+                // AI levels are looked up by the id the server gave them
+                ...(segment.source === 'ai' && { levelId: segment.levelData.levelId }),
+                inputs: segment.inputs.map(pair => pair.slice()),
+                ...(includeLevelData && { levelData: JSON.parse(JSON.stringify(segment.levelData)) })
+            }))
+        };
+    }
+
+    /**
+     * Where level data came from, so a verifier can fetch the same config
+     * @param {Object} levelData - Level configuration
+     * @returns {string} - 'standard', 'ai' or 'fallback'
+     */
+    static getLevelSource(levelData) {
+        if (levelData.generatedBy === 'ai') return 'ai';
+        if (levelData.generatedBy === 'fallback') return 'fallback';
+        return 'standard';
+    }
+}
+
+GameSimulation.WIDTH = 800;
+GameSimulation.HEIGHT = 600;
+GameSimulation.TICK_RATE = 60; // ticks per second
+GameSimulation.TICK = 1 / GameSimulation.TICK_RATE;
+GameSimulation.RUN_VERSION = 5; // 2: combo multipliers, 3: per-type enemy weapons, 4: armored enemies, 5: bunker shapes
+GameSimulation.COMBO_WINDOW = 2; // seconds a chain waits for its next hit
+GameSimulation.COMBO_STEP = 5; // hits per +1 to the multiplier
+GameSimulation.MAX_COMBO_MULTIPLIER = 4;
+GameSimulation.MODES = ['classic', 'coop'];
+GameSimulation.PLAYER_COLORS = [null, '#ff66ff']; // player one flies the ship's own color
+GameSimulation.LAYOUT_LEGEND = { b: 'basic', f: 'fast', a: 'aggressive', B: 'boss' }; // anything else is empty
+GameSimulation.INPUT = { LEFT: 1, RIGHT: 2, FIRE: 4, P2_LEFT: 8, P2_RIGHT: 16, P2_FIRE: 32 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameSimulation;
+}
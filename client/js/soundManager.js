@@ -15,6 +15,10 @@ class SoundManager {
         
         // Sound throttling to prevent audio spam
         this.lastEnemyMoveSound = 0;
+
+        // Looping mystery ship siren, kept apart from the one-shot sources
+        this.mysteryShipFlying = false;
+        this.mysteryShipSound = null;
         
         // Initialize when user first interacts
         this.pendingInit = false;
@@ -214,6 +218,55 @@ class SoundManager {
         this.trackSource(oscillator);
     }
 
+    /**
+     * Generate metallic clink for a hit an armored enemy survives
+     */
+    playArmorHit() {
+        if (!this.initialized || !this.soundEnabled) return;
+
+        const sound = this.createOscillator(1400, 'square', 0.08);
+        if (!sound) return;
+
+        const { oscillator, gainNode } = sound;
+        const now = this.audioContext.currentTime;
+        
+        gainNode.gain.setValueAtTime(0.12, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+        
+        oscillator.frequency.setValueAtTime(1400, now);
+        oscillator.frequency.linearRampToValueAtTime(1100, now + 0.08);
+        
+        oscillator.start(now);
+        oscillator.stop(now + 0.08);
+        
+        this.trackSource(oscillator);
+    }
+
+    /**
+     * Generate falling whistle for an enemy breaking formation to dive
+     */
+    playEnemyDive() {
+        if (!this.initialized || !this.soundEnabled) return;
+
+        const sound = this.createOscillator(900, 'sine', 0.6);
+        if (!sound) return;
+
+        const { oscillator, gainNode } = sound;
+        const now = this.audioContext.currentTime;
+        
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.15, now + 0.05);
+        gainNode.gain.linearRampToValueAtTime(0, now + 0.6);
+        
+        oscillator.frequency.setValueAtTime(900, now);
+        oscillator.frequency.exponentialRampToValueAtTime(250, now + 0.6);
+        
+        oscillator.start(now);
+        oscillator.stop(now + 0.6);
+        
+        this.trackSource(oscillator);
+    }
+
     /**
      * Generate enemy movement beep (classic space invaders sound)
      * Limit frequency to prevent audio spam
@@ -333,6 +386,87 @@ class SoundManager {
         });
     }
 
+    /**
+     * Start the warbling siren that plays while the mystery ship is on screen
+     */
+    startMysteryShipSound() {
+        if (!this.initialized || !this.soundEnabled || this.mysteryShipSound) return;
+
+        const sound = this.createOscillator(600, 'square');
+        if (!sound) return;
+
+        const { oscillator, gainNode } = sound;
+        const now = this.audioContext.currentTime;
+
+        // Wobble the pitch with a low-frequency oscillator
+        const lfo = this.audioContext.createOscillator();
+        const lfoGain = this.audioContext.createGain();
+        lfo.frequency.setValueAtTime(8, now);
+        lfoGain.gain.setValueAtTime(150, now);
+        lfo.connect(lfoGain);
+        lfoGain.connect(oscillator.frequency);
+
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.12, now + 0.05);
+
+        oscillator.start(now);
+        lfo.start(now);
+
+        this.mysteryShipSound = { oscillator, lfo };
+    }
+
+    /**
+     * Stop the mystery ship siren
+     */
+    stopMysteryShipSound() {
+        if (!this.mysteryShipSound) return;
+
+        const { oscillator, lfo } = this.mysteryShipSound;
+        try {
+            oscillator.stop();
+            lfo.stop();
+        } catch (e) {
+            // Already stopped
+        }
+        this.mysteryShipSound = null;
+    }
+
+    /**
+     * The mystery ship is gone: stop its siren for good
+     */
+    endMysteryShipSound() {
+        this.mysteryShipFlying = false;
+        this.stopMysteryShipSound();
+    }
+
+    /**
+     * Generate mystery ship bonus jingle
+     */
+    playMysteryShipBonus() {
+        if (!this.initialized || !this.soundEnabled) return;
+
+        const notes = [784, 1047, 1319, 1568]; // G, C, E, G
+        
+        notes.forEach((freq, index) => {
+            setTimeout(() => {
+                const sound = this.createOscillator(freq, 'square', 0.1);
+                if (sound) {
+                    const { oscillator, gainNode } = sound;
+                    const now = this.audioContext.currentTime;
+                    
+                    gainNode.gain.setValueAtTime(0, now);
+                    gainNode.gain.linearRampToValueAtTime(0.25, now + 0.01);
+                    gainNode.gain.linearRampToValueAtTime(0, now + 0.1);
+                    
+                    oscillator.start(now);
+                    oscillator.stop(now + 0.1);
+                    
+                    this.trackSource(oscillator);
+                }
+            }, index * 70);
+        });
+    }
+
     /**
      * Generate UI button click sound
      */
@@ -411,6 +545,82 @@ class SoundManager {
         });
     }
 
+    /**
+     * Play the sound for a game event (SoundManager is the game's audio adapter)
+     */
+    onGameEvent(type, data) {
+        switch (type) {
+            case 'playerShoot':
+                this.playPlayerShoot();
+                break;
+            case 'enemyShoot':
+            case 'bossAttack':
+                this.playEnemyShoot();
+                break;
+            case 'enemyHit':
+                this.playArmorHit();
+                break;
+            case 'bossHit':
+            case 'missileDestroyed':
+                this.playNoiseBurst(0.15, 0.08);
+                break;
+            case 'enemyMove':
+                this.playEnemyMove(data.pitch);
+                break;
+            case 'enemyDive':
+                this.playEnemyDive();
+                break;
+            case 'enemyKilled':
+            case 'bossPhase':
+                this.playEnemyDeath();
+                break;
+            case 'playerHit':
+                this.playPlayerDeath();
+                break;
+            case 'levelComplete':
+                this.endMysteryShipSound();
+                this.playLevelComplete();
+                break;
+            case 'gameOver':
+                this.endMysteryShipSound();
+                this.playGameOver();
+                break;
+            case 'mysteryShipSpawned':
+                this.mysteryShipFlying = true;
+                this.startMysteryShipSound();
+                break;
+            case 'mysteryShipKilled':
+                this.endMysteryShipSound();
+                this.playEnemyDeath();
+                this.playMysteryShipBonus();
+                break;
+            case 'mysteryShipEscaped':
+            case 'replayStarted':
+            case 'replaySeeked':
+            case 'replayEnded':
+                this.endMysteryShipSound();
+                break;
+            case 'resumed':
+                if (this.mysteryShipFlying) {
+                    this.startMysteryShipSound();
+                }
+                break;
+            case 'runStarted':
+                this.endMysteryShipSound();
+                this.playButtonClick();
+                break;
+            case 'paused':
+                // Silence the siren, but pick it up again on resume
+                this.stopMysteryShipSound();
+                this.playButtonClick();
+                break;
+            case 'powerUp':
+                // Button click doubles as positive feedback for power-ups
+                this.playButtonClick();
+                break;
+        }
+    }
+
     /**
      * Set master volume (0.0 to 1.0)
      */
@@ -435,6 +645,7 @@ class SoundManager {
      * Stop all currently playing sounds
      */
     stopAllSounds() {
+        this.stopMysteryShipSound();
         this.activeSources.forEach(source => {
             try {
                 source.stop();
@@ -34,14 +34,23 @@ class Utils {
         return start + (end - start) * factor;
     }
 
-    // Random number between min and max
-    static random(min, max) {
-        return Math.random() * (max - min) + min;
+    // Random number between min and max (from rng if given, for reproducible runs)
+    static random(min, max, rng = null) {
+        const value = rng ? rng.next() : Math.random();
+        return value * (max - min) + min;
     }
 
     // Random integer between min and max (inclusive)
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, rng = null) {
+        const value = rng ? rng.next() : Math.random();
+        return Math.floor(value * (max - min + 1)) + min;
+    }
+
+    // Format seconds as m:ss
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
     }
 
     // Format score with leading zeros
@@ -50,17 +59,17 @@ class Utils {
     }
 
     // Create particle effect at position
-    static createParticles(x, y, count = 8, color = '#00ff00') {
+    static createParticles(x, y, count = 8, color = '#00ff00', rng = null) {
         const particles = [];
         for (let i = 0; i < count; i++) {
             // Create proper Particle instances instead of plain objects
             const particle = new Particle(
-                x + Utils.random(-5, 5),
-                y + Utils.random(-5, 5),
-                Utils.random(-3, 3),
-                Utils.random(-3, 3),
+                x + Utils.random(-5, 5, rng),
+                y + Utils.random(-5, 5, rng),
+                Utils.random(-3, 3, rng),
+                Utils.random(-3, 3, rng),
                 color,
-                Utils.random(2, 5),
+                Utils.random(2, 5, rng),
                 1.0
             );
             particles.push(particle);
@@ -79,14 +88,14 @@ class Utils {
         };
     }
 
-    static updateScreenShake(shake, deltaTime) {
+    static updateScreenShake(shake, deltaTime, rng = null) {
         if (shake.time < shake.duration) {
             shake.time += deltaTime;
             const progress = shake.time / shake.duration;
             const currentIntensity = shake.intensity * (1 - progress);
             
-            shake.offsetX = Utils.random(-currentIntensity, currentIntensity);
-            shake.offsetY = Utils.random(-currentIntensity, currentIntensity);
+            shake.offsetX = Utils.random(-currentIntensity, currentIntensity, rng);
+            shake.offsetY = Utils.random(-currentIntensity, currentIntensity, rng);
             
             return true;
         } else {
@@ -201,23 +210,29 @@ class Utils {
         } catch (error) {
             console.error('Failed to fetch level data:', error);
             // Return default level data as fallback
-            return {
-                level: levelNumber,
-                enemyCount: 35,
-                enemySpeed: 1,
-                enemyDropSpeed: 20,
-                enemyBulletSpeed: 2,
-                enemyBulletFrequency: 0.003,
-                enemyMoveDirection: 1,
-                enemyRows: 5,
-                enemyCols: 7,
-                pointsPerEnemy: 10,
-                enemyType: 'basic',
-                generatedBy: 'fallback'
-            };
+            return Utils.createFallbackLevel(levelNumber);
         }
     }
 
+    // Default level used when the server can't provide one. Shared with the
+    // server so runs played on it can still be verified.
+    static createFallbackLevel(levelNumber) {
+        return {
+            level: levelNumber,
+            enemyCount: 35,
+            enemySpeed: 1,
+            enemyDropSpeed: 20,
+            enemyBulletSpeed: 2,
+            enemyBulletFrequency: 0.003,
+            enemyMoveDirection: 1,
+            enemyRows: 5,
+            enemyCols: 7,
+            pointsPerEnemy: 10,
+            enemyType: 'basic',
+            generatedBy: 'fallback'
+        };
+    }
+
     // Fetch AI status and capabilities
     static async fetchAIStatus() {
         try {
@@ -337,9 +352,10 @@ class Utils {
         
         const debugInfo = [
             `FPS: ${game.performanceMonitor.fps}`,
-            `Enemies: ${game.enemies.length}`,
-            `Bullets: ${game.bullets.length + game.enemyBullets.length}`,
-            `Particles: ${game.particles.length}`,
+            `Seed: ${game.simulation.rng.seed}`,
+            `Enemies: ${game.simulation.enemies.length}`,
+            `Bullets: ${game.simulation.bullets.length + game.simulation.enemyBullets.length}`,
+            `Particles: ${game.renderer.particles.length}`,
             `Level: ${game.currentLevel}`,
             `Score: ${game.score}`,
             `Lives: ${game.lives}`
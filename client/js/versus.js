@@ -0,0 +1,151 @@
+// Online versus for Space Invaders
+// Talks to the server's versus lobby over a WebSocket: finds an opponent,
+// starts the match on the seed both players share, and trades score updates
+// and garbage with them until one game ends. Needs a signed-in player.
+// Optional: the game runs without it.
+
+class VersusClient {
+    constructor() {
+        this.game = null;
+        this.socket = null;
+        this.status = 'idle'; // idle, connecting, queued, playing
+        this.opponent = null; // { id, username, rating, score, lives, level }
+        this.pendingGarbage = 0; // arrived between levels, dropped on the next one
+    }
+
+    attach(game) {
+        this.game = game;
+    }
+
+    get inMatch() {
+        return this.status === 'playing';
+    }
+
+    // Join the lobby; the match starts as soon as someone else is waiting
+    findMatch() {
+        if (this.status !== 'idle') return;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+        const socket = new WebSocket(`${protocol}://${window.location.host}${VersusClient.PATH}`);
+        this.socket = socket;
+        this.status = 'connecting';
+
+        socket.addEventListener('open', () => this.send({ type: 'queue' }));
+        socket.addEventListener('message', (event) => this.handleMessage(JSON.parse(event.data)));
+        socket.addEventListener('close', () => this.handleClose());
+    }
+
+    // Leave the lobby (or forfeit a match in progress)
+    leave() {
+        if (this.status === 'idle') return;
+
+        this.send({ type: 'cancel' });
+        this.status = 'idle';
+        this.socket?.close();
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'queued':
+                this.status = 'queued';
+                Utils.showMessage('Looking for an opponent...', 'info');
+                break;
+            case 'matched':
+                this.status = 'playing';
+                this.opponent = { ...message.opponent, score: 0, lives: null, level: 1 };
+                this.pendingGarbage = 0;
+                this.game.startVersus(message.seed);
+                break;
+            case 'opponentState':
+                Object.assign(this.opponent, {
+                    score: message.score,
+                    lives: message.lives,
+                    level: message.level
+                });
+                this.game.updateUI();
+                break;
+            case 'garbage':
+                this.receiveGarbage(message.count);
+                break;
+            case 'result':
+                this.status = 'idle';
+                this.game.finishVersus(message);
+                this.opponent = null;
+                this.socket.close();
+                break;
+            case 'error':
+                console.error('Versus error:', message.error);
+                if (message.error === 'ALREADY_QUEUED') {
+                    Utils.showMessage('You are already in the versus lobby in another tab', 'error');
+                }
+                break;
+        }
+    }
+
+    handleClose() {
+        if (this.status === 'connecting') {
+            // The lobby turns away anyone who isn't signed in
+            Utils.showMessage('Sign in to play versus', 'error');
+        } else if (this.status === 'playing') {
+            Utils.showMessage('Lost connection to the versus match', 'error');
+        }
+
+        this.status = 'idle';
+        this.socket = null;
+        this.opponent = null;
+    }
+
+    // Garbage only lands mid-level; anything sent between levels waits
+    receiveGarbage(count) {
+        const simulation = this.game.liveSimulation;
+        if (simulation.status === 'playing') {
+            simulation.receiveGarbage(count);
+        } else {
+            this.pendingGarbage += count;
+        }
+    }
+
+    sendState() {
+        const { score, lives, currentLevel } = this.game.liveSimulation;
+        this.send({ type: 'state', score, lives, level: currentLevel });
+    }
+
+    onGameEvent(type, data) {
+        if (!this.inMatch || this.game.gameState === 'replay') return;
+
+        switch (type) {
+            case 'levelLoaded':
+                if (this.pendingGarbage > 0) {
+                    this.game.liveSimulation.receiveGarbage(this.pendingGarbage);
+                    this.pendingGarbage = 0;
+                }
+                this.sendState();
+                break;
+            case 'rowCleared':
+                this.send({ type: 'rowCleared', rows: 1 });
+                break;
+            case 'enemyKilled':
+            case 'mysteryShipKilled':
+            case 'playerHit':
+            case 'powerUp':
+                this.sendState();
+                break;
+            case 'gameOver':
+                this.send({ type: 'gameOver', score: this.game.liveSimulation.score });
+                break;
+        }
+    }
+}
+
+VersusClient.PATH = '/api/v1/versus';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersusClient;
+}
@@ -0,0 +1,156 @@
+// Enemy weapons for Space Invaders
+//
+// Special attacks a level can give its boss (bossProperties.specialAttacks),
+// and the standard guns each enemy type fires (EnemyWeapon.STANDARD).
+// Each weapon turns one trigger pull into projectiles for the simulation's
+// enemyBullets; the boss phase makes them nastier as its health runs down.
+
+// Under Node, load the entity classes the browser gets as <script> globals
+if (typeof module !== 'undefined' && module.exports && typeof Bullet === 'undefined') {
+    Object.assign(globalThis, require('./entities'));
+}
+
+class EnemyWeapon {
+    /**
+     * Weapon for a special attack name
+     * @param {string} name - spread-shot, laser or missile
+     * @returns {EnemyWeapon|null} - Null for unknown attacks
+     */
+    static create(name) {
+        const Weapon = EnemyWeapon.TYPES[name];
+        return Weapon ? new Weapon(name) : null;
+    }
+
+    /**
+     * Standard gun for an enemy type
+     * @param {string} type - Enemy type
+     * @returns {EnemyWeapon|null} - Null for types that fire plain bullets
+     */
+    static forType(type) {
+        const Weapon = EnemyWeapon.STANDARD[type];
+        return Weapon ? new Weapon(type) : null;
+    }
+
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Fire once from below an enemy
+     * @param {Enemy} enemy - Enemy firing
+     * @param {GameSimulation} simulation - Simulation the projectiles join
+     * @param {number} phase - Boss phase, from 1 upwards
+     * @returns {Entity[]} - New enemy projectiles
+     */
+    fire(enemy, simulation, phase) {
+        return [];
+    }
+}
+
+// Fan of bullets, wider with each phase
+class SpreadShot extends EnemyWeapon {
+    fire(enemy, simulation, phase) {
+        const count = 3 + phase * 2;
+        const speed = simulation.levelData.enemyBulletSpeed;
+        const bullets = [];
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / (count - 1) - 0.5) * SpreadShot.ARC;
+            bullets.push(new Bullet(
+                enemy.x + enemy.width / 2 - 2,
+                enemy.y + enemy.height,
+                Math.sin(angle) * speed,
+                Math.cos(angle) * speed,
+                '#ff3366',
+                false
+            ));
+        }
+        return bullets;
+    }
+}
+
+SpreadShot.ARC = Math.PI / 3; // radians from the first bullet to the last
+
+// Beam straight down after a warning, which gets shorter with each phase
+class LaserBeam extends EnemyWeapon {
+    fire(enemy, simulation, phase) {
+        const y = enemy.y + enemy.height;
+        const chargeTime = Math.max(0.4, 1.2 - (phase - 1) * 0.3);
+        return [new Laser(enemy.x + enemy.width / 2, y, simulation.height - y, chargeTime)];
+    }
+}
+
+// One homing missile per phase, launched side by side
+class MissileLauncher extends EnemyWeapon {
+    fire(enemy, simulation, phase) {
+        const speed = Math.max(2, simulation.levelData.enemyBulletSpeed);
+        const target = simulation.getTarget(enemy.x + enemy.width / 2);
+        const missiles = [];
+
+        for (let i = 0; i < phase; i++) {
+            const x = enemy.x + (enemy.width * (i + 1)) / (phase + 1) - 3;
+            missiles.push(new Missile(x, enemy.y + enemy.height, target, speed));
+        }
+        return missiles;
+    }
+}
+
+// Single shot that weaves side to side as it falls
+class ZigZagShot extends EnemyWeapon {
+    fire(enemy, simulation) {
+        return [new ZigZagBullet(enemy.x + enemy.width / 2 - 2, enemy.y + enemy.height, simulation.levelData.enemyBulletSpeed)];
+    }
+}
+
+// Three pellets fanned around the nearest player
+class AimedSpread extends EnemyWeapon {
+    fire(enemy, simulation) {
+        const x = enemy.x + enemy.width / 2 - Pellet.SIZE / 2;
+        const y = enemy.y + enemy.height;
+        const target = simulation.getTarget(x);
+        const speed = simulation.levelData.enemyBulletSpeed;
+        const heading = Math.atan2(target.y - y, target.x + target.width / 2 - x);
+
+        return [-1, 0, 1].map(offset => {
+            const angle = heading + offset * AimedSpread.ANGLE;
+            return new Pellet(x, y, Math.cos(angle) * speed, Math.sin(angle) * speed);
+        });
+    }
+}
+
+AimedSpread.ANGLE = Math.PI / 12; // radians between neighbouring pellets
+
+// Alternates a slow homing missile with a charged beam
+class BossCannon extends EnemyWeapon {
+    fire(enemy, simulation) {
+        const x = enemy.x + enemy.width / 2;
+        const y = enemy.y + enemy.height;
+
+        if (enemy.shotsFired % 2 === 1) {
+            const speed = Math.max(1.5, simulation.levelData.enemyBulletSpeed * BossCannon.MISSILE_SPEED);
+            return [new Missile(x - 3, y, simulation.getTarget(x), speed)];
+        }
+        return [new Laser(x, y, simulation.height - y, BossCannon.CHARGE_TIME)];
+    }
+}
+
+BossCannon.MISSILE_SPEED = 0.6; // fraction of the level's bullet speed
+BossCannon.CHARGE_TIME = 1; // seconds of warning before the beam fires
+
+EnemyWeapon.TYPES = {
+    'spread-shot': SpreadShot,
+    laser: LaserBeam,
+    missile: MissileLauncher
+};
+
+// Enemy types not listed here (basic) fire a plain bullet straight down
+EnemyWeapon.STANDARD = {
+    fast: ZigZagShot,
+    aggressive: AimedSpread,
+    boss: BossCannon
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EnemyWeapon, SpreadShot, LaserBeam, MissileLauncher, ZigZagShot, AimedSpread, BossCannon };
+}
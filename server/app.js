@@ -0,0 +1,744 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const session = require('express-session');
+const passport = require('passport');
+const aiLevelGenerator = require('./services/aiLevelGenerator');
+const { generateLevel } = require('./services/levelGenerator');
+const AuthService = require('./services/authService');
+const LeaderboardService = require('./services/leaderboardService');
+const ScoreVerifier = require('./services/scoreVerifier');
+const ReplayService = require('./services/replayService');
+const FollowService = require('./services/followService');
+const VersusService = require('./services/versusService');
+const VersusLobby = require('./services/versusLobby');
+const GameSimulation = require('../client/js/simulation');
+const { Player } = require('../client/js/entities');
+const Utils = require('../client/js/utils');
+const { Replay } = require('../client/js/replay');
+
+const MAX_LEVEL = 20; // highest level /api/levels serves; clients play the fallback level beyond it
+
+/**
+ * Build the Express app: services, middleware and every route
+ * @param {Object} options
+ * @param {Database} options.db - SQLite database instance (schema already applied)
+ * @returns {Express} - The app, ready to listen
+ */
+function createApp({ db }) {
+    const app = express();
+
+    // Initialize Services
+    const authService = new AuthService(db);
+
+    // Replays need the exact level configs the client played: AI levels by the
+    // id they were served with, and the fallback only where no level is served
+    const scoreVerifier = new ScoreVerifier((levelNumber, source, levelId) => {
+        switch (source) {
+            case 'ai': {
+                const levelData = aiLevelGenerator.getGeneratedLevel(levelId);
+                return levelData?.level === levelNumber ? levelData : null;
+            }
+            case 'fallback':
+                return levelNumber > MAX_LEVEL ? Utils.createFallbackLevel(levelNumber) : null;
+            default:
+                return generateLevel(levelNumber);
+        }
+    });
+    const leaderboardService = new LeaderboardService(db, scoreVerifier);
+    const replayService = new ReplayService(db, scoreVerifier);
+    const followService = new FollowService(db);
+    const versusService = new VersusService(db);
+    const versusLobby = new VersusLobby(versusService);
+
+    // Initialize AI Level Generator
+    let AI_ENABLED = false;
+    if (process.env.ENABLE_AI_LEVELS === 'true') {
+        AI_ENABLED = aiLevelGenerator.initialize();
+    }
+    console.log(`🤖 AI Level Generation: ${AI_ENABLED ? 'ENABLED' : 'DISABLED'}`);
+    if (!AI_ENABLED && process.env.ENABLE_AI_LEVELS === 'true') {
+        console.log('💡 To enable AI: Set GITHUB_TOKEN in your .env file');
+        console.log('   Get token from: https://github.com/settings/tokens');
+    }
+
+    // Middleware
+    app.use(cors({ 
+        origin: process.env.NODE_ENV === 'production' 
+            ? process.env.CALLBACK_URL 
+            : 'http://localhost:3000',
+        credentials: true 
+    }));
+    app.use(express.json({ limit: '1mb' })); // Score submissions and replays carry an input log
+
+    // Trust first proxy (Azure App Service)
+    if (process.env.NODE_ENV === 'production') {
+        app.set('trust proxy', 1);
+    }
+
+    const sessionMiddleware = [session({
+        secret: process.env.SESSION_SECRET || 'space-invaders-secret-key',
+        resave: false,
+        saveUninitialized: false,
+        proxy: process.env.NODE_ENV === 'production', // Trust proxy for secure cookies
+        cookie: {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: process.env.NODE_ENV === 'production' ? 'lax' : 'lax', // Critical for OAuth
+            maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        }
+    }), passport.initialize(), passport.session()];
+    app.use(sessionMiddleware);
+    app.use(express.static(path.join(__dirname, '../client')));
+
+    // Authentication middleware
+    function requireAuth(req, res, next) {
+        if (req.isAuthenticated()) {
+            return next();
+        }
+        res.status(401).json({
+            error: 'Authentication required',
+            message: 'You must be signed in to perform this action'
+        });
+    }
+
+    // API Routes
+
+    // ============================================================================
+    // Authentication Routes
+    // ============================================================================
+
+    // GitHub OAuth2
+    app.get('/auth/github', passport.authenticate('github', { scope: ['user:email'] }));
+    app.get('/auth/github/callback',
+        passport.authenticate('github', { failureRedirect: '/?auth_error=true' }),
+        (req, res) => res.redirect('/')
+    );
+
+    // Google OAuth2
+    app.get('/auth/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
+    app.get('/auth/google/callback',
+        passport.authenticate('google', { failureRedirect: '/?auth_error=true' }),
+        (req, res) => res.redirect('/')
+    );
+
+    // Microsoft OAuth2
+    app.get('/auth/microsoft', passport.authenticate('microsoft', { scope: ['user.read'] }));
+    app.get('/auth/microsoft/callback',
+        passport.authenticate('microsoft', { failureRedirect: '/?auth_error=true' }),
+        (req, res) => res.redirect('/')
+    );
+
+    // Check current session
+    app.get('/api/v1/auth/session', (req, res) => {
+        if (req.isAuthenticated()) {
+            res.json({
+                authenticated: true,
+                user: {
+                    id: req.user.id,
+                    username: req.user.username,
+                    provider: req.user.provider,
+                    profile_picture_url: req.user.profile_picture_url
+                }
+            });
+        } else {
+            res.json({ authenticated: false, user: null });
+        }
+    });
+
+    // Logout
+    app.post('/api/v1/auth/logout', (req, res) => {
+        req.logout((err) => {
+            if (err) {
+                return res.status(500).json({
+                    error: 'Failed to logout',
+                    message: 'Session destruction failed'
+                });
+            }
+            res.json({ success: true, message: 'Logged out successfully' });
+        });
+    });
+
+    // ============================================================================
+    // Leaderboard Routes
+    // ============================================================================
+
+    // Get global leaderboard (public)
+    // ?period=daily|weekly|monthly|all, with boundaries in ?tz= (IANA name, default UTC)
+    // ?mode=classic|all and ?source=standard|ai|all pick the board (default classic/standard)
+    // ?ship=<ship class>|all narrows it to runs flown with one ship (default all)
+    // ?level=N ranks fastest clears of level N instead of scores
+    // ?scope=friends narrows it to you and the players you follow (authenticated)
+    app.get('/api/v1/leaderboard', (req, res) => {
+        try {
+            const scope = req.query.scope || 'global';
+            if (scope === 'friends' && !req.isAuthenticated()) {
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    message: 'Sign in to see your friends leaderboard'
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 100, 100);
+            const offset = parseInt(req.query.offset) || 0;
+            const data = leaderboardService.getLeaderboard(limit, offset, {
+                period: req.query.period || 'all',
+                timeZone: req.query.tz || 'UTC',
+                mode: req.query.mode || 'classic',
+                levelSource: req.query.source || 'standard',
+                ship: req.query.ship || 'all',
+                level: req.query.level === undefined ? null : Number(req.query.level),
+                scope,
+                viewerId: req.isAuthenticated() ? req.user.id : null
+            });
+            res.json(data);
+        } catch (error) {
+            if (error.message === 'INVALID_SCOPE') {
+                return res.status(400).json({
+                    error: 'Invalid scope',
+                    message: 'Scope must be global or friends'
+                });
+            }
+            if (error.message === 'INVALID_MODE') {
+                return res.status(400).json({
+                    error: 'Invalid mode',
+                    message: `Mode must be one of ${[...GameSimulation.MODES, 'all'].join(', ')}`
+                });
+            }
+            if (error.message === 'INVALID_SHIP') {
+                return res.status(400).json({
+                    error: 'Invalid ship',
+                    message: `Ship must be one of ${[...Object.keys(Player.SHIPS), 'all'].join(', ')}`
+                });
+            }
+            if (error.message === 'INVALID_LEVEL_SOURCE') {
+                return res.status(400).json({
+                    error: 'Invalid level source',
+                    message: 'Source must be one of standard, ai or all'
+                });
+            }
+            if (error.message === 'INVALID_LEVEL') {
+                return res.status(400).json({
+                    error: 'Invalid level',
+                    message: 'Level must be a positive whole number'
+                });
+            }
+            if (error.message === 'INVALID_PERIOD') {
+                return res.status(400).json({
+                    error: 'Invalid period',
+                    message: 'Period must be one of daily, weekly, monthly or all'
+                });
+            }
+            if (error.message === 'INVALID_TIME_ZONE') {
+                return res.status(400).json({
+                    error: 'Invalid time zone',
+                    message: 'Time zone must be an IANA name such as Europe/Berlin'
+                });
+            }
+            console.error('Leaderboard fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch leaderboard',
+                message: error.message
+            });
+        }
+    });
+
+    // Submit score (authenticated)
+    app.post('/api/v1/scores', requireAuth, (req, res) => {
+        try {
+            const { score, level_reached, session_id, run, best_combo } = req.body;
+            const result = leaderboardService.submitScore(
+                req.user.id,
+                score,
+                level_reached,
+                session_id,
+                run,
+                { bestCombo: best_combo }
+            );
+            res.status(201).json({ success: true, score: result });
+        } catch (error) {
+            console.error('Score submission error:', error);
+
+            if (error.message === 'RATE_LIMIT') {
+                return res.status(429).json({
+                    error: 'Rate limit exceeded',
+                    message: 'Please wait before submitting another score',
+                    retry_after: 60
+                });
+            }
+            if (error.message === 'DUPLICATE_SESSION') {
+                return res.status(409).json({
+                    error: 'Duplicate submission',
+                    message: 'This score has already been submitted'
+                });
+            }
+            if (error.message === 'INVALID_SCORE') {
+                return res.status(400).json({
+                    error: 'Invalid score data',
+                    message: 'Score must be between 0 and 999,999'
+                });
+            }
+            if (error.message === 'INVALID_LEVEL') {
+                return res.status(400).json({
+                    error: 'Invalid level data',
+                    message: 'Level must be at least 1'
+                });
+            }
+            if (error.message === 'INVALID_SESSION_ID') {
+                return res.status(400).json({
+                    error: 'Invalid session ID',
+                    message: 'Session ID must be a valid UUID v4'
+                });
+            }
+            if (error.message === 'INVALID_COMBO') {
+                return res.status(400).json({
+                    error: 'Invalid combo data',
+                    message: 'Best combo must be a whole number, 0 or more'
+                });
+            }
+            if (error.message === 'INVALID_REPLAY') {
+                return res.status(400).json({
+                    error: 'Invalid replay data',
+                    message: 'A complete run record (seed and input log) is required'
+                });
+            }
+            if (error.message === 'UNVERIFIABLE_REPLAY') {
+                return res.status(422).json({
+                    error: 'Unverifiable score',
+                    message: 'A level from this run is no longer available for verification'
+                });
+            }
+            if (error.message === 'SCORE_MISMATCH') {
+                return res.status(422).json({
+                    error: 'Score verification failed',
+                    message: 'The submitted score does not match the replay of this run'
+                });
+            }
+
+            res.status(500).json({
+                error: 'Failed to submit score',
+                message: 'An unexpected error occurred'
+            });
+        }
+    });
+
+    // Get user statistics
+    app.get('/api/v1/users/:userId/stats', (req, res) => {
+        try {
+            let userId = req.params.userId;
+
+            // Support 'me' for current user
+            if (userId === 'me') {
+                if (!req.isAuthenticated()) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                userId = req.user.id;
+            } else {
+                userId = parseInt(userId);
+            }
+
+            const stats = leaderboardService.getUserStats(userId);
+            if (!stats) {
+                return res.status(404).json({
+                    error: 'User not found',
+                    message: `No user with ID ${userId}`
+                });
+            }
+
+            const { rating, wins, losses } = versusService.getRating(userId);
+            res.json({ ...stats, versus_rating: rating, versus_wins: wins, versus_losses: losses });
+        } catch (error) {
+            console.error('Stats fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch stats',
+                message: error.message
+            });
+        }
+    });
+
+    // Get user's score history
+    app.get('/api/v1/users/:userId/scores', (req, res) => {
+        try {
+            let userId = req.params.userId;
+
+            // Support 'me' for current user
+            if (userId === 'me') {
+                if (!req.isAuthenticated()) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                userId = req.user.id;
+            } else {
+                userId = parseInt(userId);
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+            const scores = leaderboardService.getUserScores(userId, limit);
+
+            // Get username
+            const user = authService.getUserById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    error: 'User not found',
+                    message: `No user with ID ${userId}`
+                });
+            }
+
+            res.json({
+                user_id: userId,
+                username: user.username,
+                scores,
+                total: scores.length
+            });
+        } catch (error) {
+            console.error('User scores fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch user scores',
+                message: error.message
+            });
+        }
+    });
+
+    // Get the players a user follows
+    app.get('/api/v1/users/:userId/following', (req, res) => {
+        try {
+            let userId = req.params.userId;
+
+            // Support 'me' for current user
+            if (userId === 'me') {
+                if (!req.isAuthenticated()) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                userId = req.user.id;
+            } else {
+                userId = parseInt(userId);
+            }
+
+            if (!authService.getUserById(userId)) {
+                return res.status(404).json({
+                    error: 'User not found',
+                    message: `No user with ID ${userId}`
+                });
+            }
+
+            const following = followService.getFollowing(userId);
+            res.json({ user_id: userId, following, total: following.length });
+        } catch (error) {
+            console.error('Following fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch followed players',
+                message: error.message
+            });
+        }
+    });
+
+    // Follow / unfollow a player (authenticated)
+    function followRoute(action) {
+        return (req, res) => {
+            try {
+                const result = followService[action](req.user.id, Number(req.params.userId));
+                res.json({ success: true, ...result });
+            } catch (error) {
+                if (error.message === 'INVALID_USER_ID') {
+                    return res.status(400).json({
+                        error: 'Invalid user ID',
+                        message: 'User ID must be a positive whole number'
+                    });
+                }
+                if (error.message === 'CANNOT_FOLLOW_SELF') {
+                    return res.status(400).json({
+                        error: 'Cannot follow yourself',
+                        message: 'You are always on your own friends leaderboard'
+                    });
+                }
+                if (error.message === 'USER_NOT_FOUND') {
+                    return res.status(404).json({
+                        error: 'User not found',
+                        message: `No user with ID ${req.params.userId}`
+                    });
+                }
+                console.error(`Failed to ${action} user:`, error);
+                res.status(500).json({
+                    error: `Failed to ${action} user`,
+                    message: error.message
+                });
+            }
+        };
+    }
+    app.post('/api/v1/users/:userId/follow', requireAuth, followRoute('follow'));
+    app.delete('/api/v1/users/:userId/follow', requireAuth, followRoute('unfollow'));
+
+    // ============================================================================
+    // Versus Routes
+    // ============================================================================
+    // Matches themselves run over the WebSocket at /api/v1/versus (versusSocket.js)
+
+    // Players ranked by versus rating (public)
+    app.get('/api/v1/versus/rankings', (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 100);
+            const offset = parseInt(req.query.offset) || 0;
+            res.json(versusService.getRankings(limit, offset));
+        } catch (error) {
+            console.error('Versus rankings fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch versus rankings',
+                message: error.message
+            });
+        }
+    });
+
+    // A player's versus rating and recent matches
+    app.get('/api/v1/users/:userId/versus', (req, res) => {
+        try {
+            let userId = req.params.userId;
+
+            // Support 'me' for current user
+            if (userId === 'me') {
+                if (!req.isAuthenticated()) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+                userId = req.user.id;
+            } else {
+                userId = parseInt(userId);
+            }
+
+            if (!authService.getUserById(userId)) {
+                return res.status(404).json({
+                    error: 'User not found',
+                    message: `No user with ID ${userId}`
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            res.json({ ...versusService.getRating(userId), matches: versusService.getMatches(userId, limit) });
+        } catch (error) {
+            console.error('Versus record fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch versus record',
+                message: error.message
+            });
+        }
+    });
+
+    // ============================================================================
+    // Replay Routes
+    // ============================================================================
+
+    // Attach a replay to one of your scores (authenticated)
+    app.post('/api/v1/replays', requireAuth, (req, res) => {
+        try {
+            const { score_id, replay } = req.body;
+            const result = replayService.attachReplay(req.user.id, score_id, replay);
+            res.status(201).json({ success: true, replay: result });
+        } catch (error) {
+            console.error('Replay upload error:', error);
+
+            if (error.message === 'INVALID_SCORE_ID') {
+                return res.status(400).json({
+                    error: 'Invalid score ID',
+                    message: 'score_id must be a positive integer'
+                });
+            }
+            if (error.message === 'INVALID_REPLAY') {
+                return res.status(400).json({
+                    error: 'Invalid replay data',
+                    message: 'A .sireplay replay with seed, inputs and level data is required'
+                });
+            }
+            if (error.message === 'RATE_LIMIT') {
+                return res.status(429).json({
+                    error: 'Rate limit exceeded',
+                    message: 'Please wait before uploading another replay',
+                    retry_after: 60
+                });
+            }
+            if (error.message === 'SCORE_NOT_FOUND') {
+                return res.status(404).json({
+                    error: 'Score not found',
+                    message: `No score with ID ${req.body.score_id}`
+                });
+            }
+            if (error.message === 'FORBIDDEN') {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'You can only attach replays to your own scores'
+                });
+            }
+            if (error.message === 'REPLAY_EXISTS') {
+                return res.status(409).json({
+                    error: 'Duplicate replay',
+                    message: 'This score already has a replay'
+                });
+            }
+            if (error.message === 'UNVERIFIABLE_REPLAY') {
+                return res.status(422).json({
+                    error: 'Unverifiable replay',
+                    message: 'A level from this run is no longer available for verification'
+                });
+            }
+            if (error.message === 'SCORE_MISMATCH') {
+                return res.status(422).json({
+                    error: 'Replay verification failed',
+                    message: 'The replay does not reproduce this score'
+                });
+            }
+
+            res.status(500).json({
+                error: 'Failed to save replay',
+                message: 'An unexpected error occurred'
+            });
+        }
+    });
+
+    // Get the replay behind a score (public)
+    app.get('/api/v1/replays/:scoreId', (req, res) => {
+        try {
+            const scoreId = parseInt(req.params.scoreId);
+            const replay = Number.isInteger(scoreId) ? replayService.getReplay(scoreId) : null;
+            if (!replay) {
+                return res.status(404).json({
+                    error: 'Replay not found',
+                    message: `No replay for score ${req.params.scoreId}`
+                });
+            }
+
+            if (req.query.download === 'true') {
+                res.attachment(Replay.getFileName(replay));
+            }
+            res.json(replay);
+        } catch (error) {
+            console.error('Replay fetch error:', error);
+            res.status(500).json({
+                error: 'Failed to fetch replay',
+                message: error.message
+            });
+        }
+    });
+
+    // ============================================================================
+    // Game Level Routes
+    // ============================================================================
+
+    // Get all available level numbers
+    app.get('/api/levels', (req, res) => {
+        res.json({
+            availableLevels: Array.from({length: MAX_LEVEL}, (_, i) => i + 1),
+            maxLevel: MAX_LEVEL
+        });
+    });
+
+    // Get specific level configuration
+    app.get('/api/levels/:levelNumber', (req, res) => {
+        const levelNumber = parseInt(req.params.levelNumber);
+
+        if (isNaN(levelNumber) || levelNumber < 1) {
+            return res.status(400).json({ error: 'Invalid level number' });
+        }
+
+        if (levelNumber > MAX_LEVEL) {
+            return res.status(404).json({ error: 'Level not found' });
+        }
+
+        const levelData = generateLevel(levelNumber);
+        res.json(levelData);
+    });
+
+    // Generate AI-powered level configuration
+    app.get('/api/levels/generate/:levelNumber', async (req, res) => {
+        const levelNumber = parseInt(req.params.levelNumber);
+
+        if (isNaN(levelNumber) || levelNumber < 1) {
+            return res.status(400).json({ error: 'Invalid level number' });
+        }
+
+        if (levelNumber > 50) {
+            return res.status(404).json({ error: 'Level number too high (max: 50)' });
+        }
+
+        try {
+            if (!AI_ENABLED) {
+                // Fallback to procedural generation
+                const levelData = generateLevel(levelNumber);
+                levelData.generatedBy = 'procedural';
+                return res.json(levelData);
+            }
+
+            // Get base level for reference
+            const baseLevel = generateLevel(Math.max(1, levelNumber - 1));
+
+            // Generate AI level
+            const aiLevel = await aiLevelGenerator.generateLevel(levelNumber, baseLevel);
+            aiLevel.generatedBy = 'ai';
+
+            res.json(aiLevel);
+
+        } catch (error) {
+            console.error(`Failed to generate AI level ${levelNumber}:`, error.message);
+
+            // Fallback to procedural generation
+            const levelData = generateLevel(levelNumber);
+            levelData.generatedBy = 'procedural-fallback';
+            levelData.aiError = error.message;
+
+            res.json(levelData);
+        }
+    });
+
+    // Get AI generator status and cache info
+    app.get('/api/ai/status', (req, res) => {
+        res.json({
+            enabled: AI_ENABLED,
+            model: process.env.AI_MODEL || 'openai/gpt-4.1-mini',
+            endpoint: process.env.AI_ENDPOINT || 'https://models.github.ai/inference',
+            cacheStats: AI_ENABLED ? aiLevelGenerator.getCacheStats() : null,
+            tokenConfigured: !!process.env.GITHUB_TOKEN
+        });
+    });
+
+    // Clear AI cache (for development/testing)
+    app.post('/api/ai/cache/clear', (req, res) => {
+        if (AI_ENABLED) {
+            aiLevelGenerator.clearCache();
+            res.json({ message: 'AI cache cleared successfully' });
+        } else {
+            res.status(400).json({ error: 'AI level generation not enabled' });
+        }
+    });
+
+    // Get player stats/leaderboard endpoint (for future expansion)
+    app.get('/api/stats', (req, res) => {
+        res.json({
+            highScore: 0,
+            gamesPlayed: 0,
+            highestLevel: 1
+        });
+    });
+
+    // Health check endpoint
+    app.get('/api/health', (req, res) => {
+        res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    });
+
+    // Serve the game
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, '../client/index.html'));
+    });
+
+    // Error handling middleware
+    app.use((err, req, res, next) => {
+        console.error(err.stack);
+        res.status(500).json({ error: 'Something went wrong!' });
+    });
+
+    // 404 handler
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Not found' });
+    });
+
+    // server.js hands these to the versus WebSocket endpoint
+    app.locals.versus = { lobby: versusLobby, sessionMiddleware };
+
+    return app;
+}
+
+module.exports = { createApp };
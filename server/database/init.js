@@ -17,35 +17,44 @@ const getDbPath = () => {
     return path.join(__dirname, 'leaderboard.db');
 };
 
+const Migrator = require('./migrator');
+
 const dbPath = getDbPath();
-const schemaPath = path.join(__dirname, 'schema.sql');
 
 /**
- * Initialize the database with schema
+ * Open the SQLite database, creating its directory if needed
+ * @param {Object} [options] - better-sqlite3 options
+ * @returns {Database} - The SQLite database instance
+ */
+function openDatabase(options = {}) {
+    // Ensure the database directory exists
+    const dbDir = path.dirname(dbPath);
+    if (!fs.existsSync(dbDir)) {
+        console.log(`📁 Creating database directory: ${dbDir}`);
+        fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    return new Database(dbPath, options);
+}
+
+/**
+ * Open the database and apply any pending migrations
  * @returns {Database} - The SQLite database instance
  */
 function initializeDatabase() {
     try {
-        // Ensure the database directory exists
-        const dbDir = path.dirname(dbPath);
-        if (!fs.existsSync(dbDir)) {
-            console.log(`📁 Creating database directory: ${dbDir}`);
-            fs.mkdirSync(dbDir, { recursive: true });
-        }
-        
-        // Create database connection
-        const db = new Database(dbPath, { verbose: console.log });
-        
-        // Read and execute schema
-        const schema = fs.readFileSync(schemaPath, 'utf8');
-        db.exec(schema);
+        const db = openDatabase({ verbose: console.log });
+
+        const applied = new Migrator(db).up();
         
         console.log('✅ Database initialized successfully at:', dbPath);
-        console.log('   - Users table created');
-        console.log('   - Scores table created');
-        console.log('   - Leaderboard view created');
-        console.log('   - User stats view created');
-        console.log('   - Indexes created for performance');
+        if (applied.length > 0) {
+            for (const { version, name } of applied) {
+                console.log(`   - Applied migration ${version}: ${name}`);
+            }
+        } else {
+            console.log('   - Schema up to date');
+        }
         
         return db;
     } catch (error) {
@@ -55,4 +64,4 @@ function initializeDatabase() {
     }
 }
 
-module.exports = { initializeDatabase };
+module.exports = { getDbPath, openDatabase, initializeDatabase };
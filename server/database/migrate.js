@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+//   npm run migrate                  Apply all pending migrations
+//   npm run migrate -- up [version]  Apply pending migrations up to a version
+//   npm run migrate -- down [steps]  Roll back the last migration (or several)
+//   npm run migrate -- status        List migrations and when they were applied
+//   npm run migrate -- seed          Apply pending migrations, then load test data
+
+require('dotenv').config();
+const { getDbPath, openDatabase } = require('./init');
+const Migrator = require('./migrator');
+
+function parseCount(value, fallback) {
+    if (value === undefined) return fallback;
+    const count = parseInt(value, 10);
+    if (isNaN(count) || count < 1) {
+        throw new Error(`Expected a positive number, got "${value}"`);
+    }
+    return count;
+}
+
+function logMigrations(verb, migrations) {
+    if (migrations.length === 0) {
+        console.log(`Nothing to ${verb}.`);
+        return;
+    }
+    for (const { version, name } of migrations) {
+        console.log(`${verb === 'apply' ? '⬆️  Applied' : '⬇️  Rolled back'} ${version}: ${name}`);
+    }
+}
+
+function main([command = 'up', arg] = []) {
+    const db = openDatabase();
+    const migrator = new Migrator(db);
+    console.log(`📦 Database: ${getDbPath()}`);
+
+    try {
+        switch (command) {
+            case 'up':
+                logMigrations('apply', migrator.up({ to: parseCount(arg, Infinity) }));
+                break;
+
+            case 'down':
+                logMigrations('roll back', migrator.down({ steps: parseCount(arg, 1) }));
+                break;
+
+            case 'status':
+                for (const { version, name, applied_at } of migrator.status()) {
+                    console.log(`${applied_at ? '✅' : '⏳'} ${version}: ${name}${applied_at ? ` (applied ${applied_at})` : ''}`);
+                }
+                break;
+
+            case 'seed':
+                logMigrations('apply', migrator.up());
+                for (const file of migrator.seed()) {
+                    console.log(`🌱 Seeded ${file}`);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown command "${command}" (expected up, down, status or seed)`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+}
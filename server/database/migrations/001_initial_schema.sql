@@ -1,9 +1,12 @@
 -- ============================================================================
--- Space Invaders Leaderboard Database Schema
--- Feature: User Leaderboard with Authentication
--- Created: 2025-11-11
+-- Migration 001: Initial leaderboard schema
+-- Users, scores, indexes and the leaderboard/user stats views.
+-- Uses IF NOT EXISTS so databases created before migrations were tracked
+-- adopt this version without changes.
 -- ============================================================================
 
+-- migrate:up
+
 -- Users Table
 CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -63,3 +66,10 @@ SELECT
 FROM users
 LEFT JOIN scores ON users.id = scores.user_id
 GROUP BY users.id;
+
+-- migrate:down
+
+DROP VIEW IF EXISTS user_stats;
+DROP VIEW IF EXISTS leaderboard;
+DROP TABLE IF EXISTS scores;
+DROP TABLE IF EXISTS users;
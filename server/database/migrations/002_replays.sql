@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 002: Replays
+-- One recorded run per score, for playback.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS replays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    score_id INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE CASCADE,
+    UNIQUE(score_id)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS replays;
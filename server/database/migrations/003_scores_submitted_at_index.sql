@@ -0,0 +1,12 @@
+-- ============================================================================
+-- Migration 003: Index scores by submission time
+-- Daily, weekly and monthly leaderboards filter on submitted_at.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE INDEX idx_scores_submitted_at ON scores(submitted_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_scores_submitted_at;
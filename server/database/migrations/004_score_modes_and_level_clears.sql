@@ -0,0 +1,38 @@
+-- ============================================================================
+-- Migration 004: Game modes, level sources and level clears
+-- Scores are tagged with the game mode and where their levels came from
+-- (standard or AI-generated) so each combination is ranked separately.
+-- Each level a verified run cleared is recorded for fastest-clear boards.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE scores ADD COLUMN mode TEXT NOT NULL DEFAULT 'classic';
+ALTER TABLE scores ADD COLUMN level_source TEXT NOT NULL DEFAULT 'standard';
+
+CREATE INDEX idx_scores_mode_source ON scores(mode, level_source, score DESC);
+
+-- Level Clears Table (one row per level a submitted run completed)
+CREATE TABLE level_clears (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    score_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    level INTEGER NOT NULL CHECK(level > 0),
+    level_source TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    ticks INTEGER NOT NULL CHECK(ticks > 0),
+    cleared_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(score_id, level)
+);
+
+CREATE INDEX idx_level_clears_board ON level_clears(level, mode, level_source, ticks);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_level_clears_board;
+DROP TABLE IF EXISTS level_clears;
+DROP INDEX IF EXISTS idx_scores_mode_source;
+ALTER TABLE scores DROP COLUMN level_source;
+ALTER TABLE scores DROP COLUMN mode;
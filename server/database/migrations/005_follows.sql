@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration 005: Follows
+-- Players follow each other; the friends leaderboard shows the people a
+-- player follows, plus themselves.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE follows (
+    follower_id INTEGER NOT NULL,
+    followee_id INTEGER NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (follower_id, followee_id),
+    FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (followee_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK(follower_id != followee_id)
+);
+
+CREATE INDEX idx_follows_followee ON follows(followee_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_follows_followee;
+DROP TABLE IF EXISTS follows;
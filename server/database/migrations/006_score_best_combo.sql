@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Migration 006: Best combo per run
+-- Each score records the longest chain of consecutive hits in its run, and
+-- player stats show their best.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE scores ADD COLUMN best_combo INTEGER NOT NULL DEFAULT 0 CHECK(best_combo >= 0);
+
+DROP VIEW IF EXISTS user_stats;
+CREATE VIEW user_stats AS
+SELECT 
+    users.id as user_id,
+    users.username,
+    COUNT(scores.id) as total_games,
+    MAX(scores.score) as best_score,
+    AVG(scores.score) as average_score,
+    MAX(scores.best_combo) as best_combo,
+    MIN(scores.submitted_at) as first_game,
+    MAX(scores.submitted_at) as last_game
+FROM users
+LEFT JOIN scores ON users.id = scores.user_id
+GROUP BY users.id;
+
+-- migrate:down
+
+DROP VIEW IF EXISTS user_stats;
+CREATE VIEW user_stats AS
+SELECT 
+    users.id as user_id,
+    users.username,
+    COUNT(scores.id) as total_games,
+    MAX(scores.score) as best_score,
+    AVG(scores.score) as average_score,
+    MIN(scores.submitted_at) as first_game,
+    MAX(scores.submitted_at) as last_game
+FROM users
+LEFT JOIN scores ON users.id = scores.user_id
+GROUP BY users.id;
+
+ALTER TABLE scores DROP COLUMN best_combo;
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration 007: Ship classes
+-- Scores and level clears record the ship class the run was flown with, so
+-- leaderboards can be narrowed to one ship.
+-- ============================================================================
+
+-- migrate:up
+
+ALTER TABLE scores ADD COLUMN ship TEXT NOT NULL DEFAULT 'fighter';
+ALTER TABLE level_clears ADD COLUMN ship TEXT NOT NULL DEFAULT 'fighter';
+
+CREATE INDEX idx_scores_ship ON scores(ship, score DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_scores_ship;
+ALTER TABLE level_clears DROP COLUMN ship;
+ALTER TABLE scores DROP COLUMN ship;
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration 008: Online versus
+-- Head-to-head matches between two signed-in players, and the Elo-style
+-- rating each player's wins and losses move.
+-- ============================================================================
+
+-- migrate:up
+
+CREATE TABLE versus_matches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    winner_id INTEGER NOT NULL,
+    loser_id INTEGER NOT NULL,
+    winner_score INTEGER NOT NULL DEFAULT 0 CHECK(winner_score >= 0),
+    loser_score INTEGER NOT NULL DEFAULT 0 CHECK(loser_score >= 0),
+    winner_rating_change INTEGER NOT NULL,
+    loser_rating_change INTEGER NOT NULL,
+    seed INTEGER NOT NULL,
+    reason TEXT NOT NULL CHECK(reason IN ('game-over', 'forfeit')),
+    played_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (winner_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (loser_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK(winner_id != loser_id)
+);
+
+CREATE INDEX idx_versus_matches_winner ON versus_matches(winner_id, played_at DESC);
+CREATE INDEX idx_versus_matches_loser ON versus_matches(loser_id, played_at DESC);
+
+CREATE TABLE versus_ratings (
+    user_id INTEGER PRIMARY KEY,
+    rating INTEGER NOT NULL DEFAULT 1000,
+    wins INTEGER NOT NULL DEFAULT 0 CHECK(wins >= 0),
+    losses INTEGER NOT NULL DEFAULT 0 CHECK(losses >= 0),
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_versus_ratings_rating ON versus_ratings(rating DESC);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_versus_ratings_rating;
+DROP TABLE IF EXISTS versus_ratings;
+DROP INDEX IF EXISTS idx_versus_matches_loser;
+DROP INDEX IF EXISTS idx_versus_matches_winner;
+DROP TABLE IF EXISTS versus_matches;
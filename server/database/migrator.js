@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+// NNN_description.sql, with "-- migrate:up" and "-- migrate:down" sections
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+/**
+ * Migrator
+ * Applies numbered SQL migrations in order and records each one in the
+ * schema_migrations table, so schema changes reach existing databases
+ */
+class Migrator {
+    /**
+     * @param {Database} db - SQLite database instance
+     * @param {Object} [options]
+     * @param {string} [options.migrationsDir] - Directory of NNN_name.sql files
+     * @param {string} [options.seedsDir] - Directory of seed .sql files
+     */
+    constructor(db, { migrationsDir = MIGRATIONS_DIR, seedsDir = SEEDS_DIR } = {}) {
+        this.db = db;
+        this.migrationsDir = migrationsDir;
+        this.seedsDir = seedsDir;
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Read every migration file, ordered by version
+     * @returns {Array} - Array of { version, name, up, down }
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .map(file => file.match(MIGRATION_FILE))
+            .filter(Boolean)
+            .map(([file, version, name]) => ({
+                version: parseInt(version, 10),
+                name,
+                ...this.parseMigration(fs.readFileSync(path.join(this.migrationsDir, file), 'utf8'), file)
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`DUPLICATE_MIGRATION_VERSION: ${migrations[i].version}`);
+            }
+        }
+        return migrations;
+    }
+
+    /**
+     * Split a migration file into its up and down SQL
+     * @param {string} sql - File contents
+     * @param {string} file - File name, for error messages
+     * @returns {Object} - { up, down }
+     */
+    parseMigration(sql, file) {
+        const upMatch = UP_MARKER.exec(sql);
+        const downMatch = DOWN_MARKER.exec(sql);
+        if (!upMatch || !downMatch || downMatch.index < upMatch.index) {
+            throw new Error(`INVALID_MIGRATION: ${file} needs "-- migrate:up" followed by "-- migrate:down"`);
+        }
+
+        return {
+            up: sql.slice(upMatch.index + upMatch[0].length, downMatch.index).trim(),
+            down: sql.slice(downMatch.index + downMatch[0].length).trim()
+        };
+    }
+
+    /**
+     * Versions already applied to this database
+     * @returns {Array} - Array of { version, name, applied_at }, oldest first
+     */
+    getApplied() {
+        return this.db.prepare(`
+            SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC
+        `).all();
+    }
+
+    /**
+     * Every known migration and whether it has been applied
+     * @returns {Array} - Array of { version, name, applied_at } (applied_at null when pending)
+     */
+    status() {
+        const applied = new Map(this.getApplied().map(row => [row.version, row.applied_at]));
+        return this.loadMigrations().map(({ version, name }) => ({
+            version,
+            name,
+            applied_at: applied.get(version) || null
+        }));
+    }
+
+    /**
+     * Apply pending migrations, each in its own transaction
+     * @param {Object} [options]
+     * @param {number} [options.to] - Stop after this version (default: latest)
+     * @returns {Array} - Migrations applied, as { version, name }
+     */
+    up({ to = Infinity } = {}) {
+        const applied = new Set(this.getApplied().map(row => row.version));
+        const pending = this.loadMigrations()
+            .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+        const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                this.db.exec(migration.up);
+                record.run(migration.version, migration.name);
+            })();
+        }
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {Object} [options]
+     * @param {number} [options.steps] - How many migrations to roll back (default 1)
+     * @returns {Array} - Migrations rolled back, as { version, name }
+     */
+    down({ steps = 1 } = {}) {
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const targets = this.getApplied().reverse().slice(0, steps);
+
+        const forget = this.db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+        for (const { version } of targets) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`MISSING_MIGRATION: ${version}`);
+            }
+            this.db.transaction(() => {
+                this.db.exec(migration.down);
+                forget.run(version);
+            })();
+        }
+
+        return targets.map(({ version, name }) => ({ version, name }));
+    }
+
+    /**
+     * Load the development seed data (run after migrating)
+     * @returns {Array} - Seed files executed
+     */
+    seed() {
+        const files = fs.readdirSync(this.seedsDir).filter(file => file.endsWith('.sql')).sort();
+        for (const file of files) {
+            const sql = fs.readFileSync(path.join(this.seedsDir, file), 'utf8');
+            this.db.transaction(() => this.db.exec(sql))();
+        }
+        return files;
+    }
+}
+
+module.exports = Migrator;
@@ -1,7 +1,7 @@
 -- ============================================================================
 -- Sample Data for Testing
 -- Purpose: Seed database with test users and scores for development
--- Usage: Run after schema.sql
+-- Usage: npm run migrate -- seed (applies pending migrations first)
 -- ============================================================================
 
 -- Insert test users
@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const ModelClient = require("@azure-rest/ai-inference").default;
 const { AzureKeyCredential } = require("@azure/core-auth");
 const { isUnexpected } = require("@azure-rest/ai-inference");
+const GameSimulation = require('../../client/js/simulation');
+const { Enemy, PowerUp, Wall } = require('../../client/js/entities');
 
 class AILevelGenerator {
     constructor() {
@@ -9,6 +12,9 @@ class AILevelGenerator {
         this.client = null;
         this.initialized = false;
         this.levelCache = new Map(); // In-memory cache for generated levels
+        // Every level handed out, by levelId, so runs on it can be verified
+        // after the cache is cleared or the level regenerated
+        this.generatedLevels = new Map();
         this.maxRetries = 3;
         this.retryDelay = 1000; // 1 second
     }
@@ -85,10 +91,7 @@ class AILevelGenerator {
                 }
 
                 const content = response.body.choices[0].message.content.trim();
-                const levelConfig = this.parseAndValidateLevel(content, levelNumber, baseLevel);
-                
-                // Cache the generated level
-                this.levelCache.set(cacheKey, levelConfig);
+                const levelConfig = this.storeLevel(this.parseAndValidateLevel(content, levelNumber, baseLevel));
                 
                 console.log(`✅ Successfully generated AI level ${levelNumber}`);
                 return levelConfig;
@@ -137,17 +140,46 @@ REQUIRED JSON STRUCTURE:
   "enemyCols": <integer 5-15>,
   "pointsPerEnemy": <integer based on difficulty>,
   "enemyType": "<basic|fast|aggressive|boss>",
+  "enemyTypes": [<one entry per row, top row first: a type for the whole row, or an array with one type per column>],
+  "enemyHealth": { "<basic|fast|aggressive|boss>": <integer 1-5 hits to destroy, points only on the kill> },
   "walls": {
     "count": <integer 2-4>,
     "width": <integer 70-90>,
     "height": <integer 40-60>,
     "health": <integer 2-6>,
-    "yPosition": 450
+    "yPosition": 450,
+    "shape": "<${Object.keys(Wall.SHAPES).join('|')}>",
+    "mask": ["<optional custom bunker bitmap instead of shape: up to 16 rows of up to 24 characters, # solid, . empty>"],
+    "positions": [<optional: x of each wall's centre, 0-800, instead of spacing count walls evenly>],
+    "regenerate": <true to rebuild the walls, false to keep what is left of the previous level's>
+  },
+  "marchAcceleration": {
+    "minInterval": <float 0.02-1.0 seconds between steps with one enemy left>,
+    "curve": <float 0.25-4, 1 = linear in enemies left, higher speeds up sooner>
+  },
+  "diveAttacks": {
+    "frequency": <float 0-1, dives started per second>,
+    "maxDivers": <integer 1-4 enemies diving at once>,
+    "types": ["<basic|fast|aggressive>"]
+  },
+  "mysteryShip": {
+    "enabled": <true|false>,
+    "interval": <integer seconds 10-60 between bonus ships>,
+    "shots": <integer 5-50 player shots that also bring one>,
+    "speed": <float 1.0-5.0>,
+    "points": [<1-6 bonus values 10-1000>]
+  },
+  "powerUps": {
+    "dropRate": <float 0.02-0.3 chance a killed enemy drops one>,
+    "types": {
+      "<${Object.keys(PowerUp.TYPES).join('|')}>": { "weight": <integer 1-10 relative chance>, "duration": <seconds 3-20, for shield, rapid-fire, auto-aim and score-boost> }
+    }
   },
   "specialMechanics": {
     "formation": "<grid|diamond|wave|scattered|custom>",
+    "layout": ["<custom formation only: one string per row, up to 8 rows of up to 15 characters - b basic, f fast, a aggressive, B boss, # the level's enemyType, . empty>"],
     "movementPattern": "<standard|zigzag|spiral|random>",
-    "powerUps": ["<shield|rapid-fire|multi-shot|score-boost>"],
+    "powerUps": ["<optional: only these of the powerUps types drop>"],
     "bossProperties": {
       "health": <integer if boss level>,
       "size": <float multiplier if boss>,
@@ -165,6 +197,8 @@ CONSTRAINTS:
 - Enemy count should increase gradually but not exceed 80
 - Speed increases should be moderate (max +0.3 per level)
 - Bullet frequency should remain reasonable for playability
+- Mix enemy types by row (e.g. a boss row on top, two aggressive rows, the rest basic); enemyType covers any row or cell enemyTypes leaves out
+- Armor (enemyHealth above 1) should be reserved for a few rows; every extra hit slows the level down
 - Boss levels every 5 levels (5, 10, 15, etc.)
 - Wall count should decrease on harder levels (more walls = easier)
 - Wall health should decrease on harder levels for balance
@@ -232,6 +266,17 @@ Generate ONLY the JSON, no additional text:`;
             enemyType: this.validateEnemyType(config.enemyType) || baseLevel.enemyType
         };
 
+        if (Array.isArray(config.enemyTypes)) {
+            sanitized.enemyTypes = this.sanitizeEnemyTypes(config.enemyTypes, sanitized);
+        }
+
+        // Armor: the AI's own, or the base level's
+        if (config.enemyHealth) {
+            sanitized.enemyHealth = this.sanitizeEnemyHealth(config.enemyHealth);
+        } else if (baseLevel.enemyHealth) {
+            sanitized.enemyHealth = baseLevel.enemyHealth;
+        }
+
         // Add wall configuration
         if (config.walls) {
             sanitized.walls = this.sanitizeWalls(config.walls);
@@ -244,10 +289,39 @@ Generate ONLY the JSON, no additional text:`;
                 width: 80,
                 height: 60,
                 health: 5,
-                yPosition: 450
+                yPosition: 450,
+                shape: 'arch'
             };
         }
 
+        // March acceleration: the AI's own, or the base level's
+        if (config.marchAcceleration) {
+            sanitized.marchAcceleration = this.sanitizeMarchAcceleration(config.marchAcceleration);
+        } else if (baseLevel.marchAcceleration) {
+            sanitized.marchAcceleration = baseLevel.marchAcceleration;
+        }
+
+        // Dive attacks: the AI's own, or the base level's
+        if (config.diveAttacks) {
+            sanitized.diveAttacks = this.sanitizeDiveAttacks(config.diveAttacks);
+        } else if (baseLevel.diveAttacks) {
+            sanitized.diveAttacks = baseLevel.diveAttacks;
+        }
+
+        // Mystery ship: the AI's own, or the base level's
+        if (config.mysteryShip) {
+            sanitized.mysteryShip = this.sanitizeMysteryShip(config.mysteryShip);
+        } else if (baseLevel.mysteryShip) {
+            sanitized.mysteryShip = baseLevel.mysteryShip;
+        }
+
+        // Power-up drops: the AI's own, or the base level's
+        if (config.powerUps) {
+            sanitized.powerUps = this.sanitizePowerUps(config.powerUps, baseLevel.powerUps);
+        } else if (baseLevel.powerUps) {
+            sanitized.powerUps = baseLevel.powerUps;
+        }
+
         // Add AI-specific enhancements if present
         if (config.specialMechanics) {
             sanitized.specialMechanics = this.sanitizeSpecialMechanics(config.specialMechanics);
@@ -265,24 +339,158 @@ Generate ONLY the JSON, no additional text:`;
     }
 
     /**
-     * Sanitize wall configuration
+     * Sanitize wall configuration: a known shape (or a usable custom mask),
+     * and explicit positions only where whole walls fit on screen without
+     * overlapping; they set the count
      */
     sanitizeWalls(walls) {
-        return {
+        const sanitized = {
             count: this.clamp(walls.count || 4, 2, 4),
             width: this.clamp(walls.width || 80, 70, 90),
             height: this.clamp(walls.height || 60, 40, 60),
             health: this.clamp(walls.health || 5, 2, 6),
-            yPosition: walls.yPosition || 450
+            yPosition: walls.yPosition || 450,
+            shape: Object.hasOwn(Wall.SHAPES, walls.shape) ? walls.shape : 'arch'
+        };
+
+        const mask = this.sanitizeWallMask(walls.mask);
+        if (mask) {
+            sanitized.mask = mask;
+        }
+
+        if (Array.isArray(walls.positions)) {
+            const half = sanitized.width / 2;
+            const positions = walls.positions
+                .filter(x => Number.isFinite(x))
+                .map(x => Math.round(this.clamp(x, half, GameSimulation.WIDTH - half)))
+                .sort((a, b) => a - b)
+                .reduce((kept, x) => kept.length === 0 || x - kept[kept.length - 1] >= sanitized.width ? [...kept, x] : kept, [])
+                .slice(0, 4);
+            if (positions.length > 0) {
+                sanitized.positions = positions;
+                sanitized.count = positions.length;
+            }
+        }
+
+        if (walls.regenerate === false) {
+            sanitized.regenerate = false;
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Sanitize a custom bunker bitmap: up to 16 rows of up to 24 cells, with
+     * anything but '#' turned into an empty '.'. Null if nothing is solid.
+     */
+    sanitizeWallMask(mask) {
+        if (!Array.isArray(mask)) return null;
+
+        const rows = mask.slice(0, 16).map(row =>
+            typeof row === 'string' ? row.slice(0, 24).replace(/[^#]/g, '.') : ''
+        );
+        return rows.some(row => row.includes('#')) ? rows : null;
+    }
+
+    /**
+     * Sanitize march acceleration curve
+     */
+    sanitizeMarchAcceleration(acceleration) {
+        return {
+            minInterval: this.clamp(this.numberOr(acceleration.minInterval, 0.1), 0.02, 1.0),
+            curve: this.clamp(this.numberOr(acceleration.curve, 1), 0.25, 4)
         };
     }
 
+    /**
+     * Sanitize dive attack configuration (bosses never dive)
+     */
+    sanitizeDiveAttacks(dives) {
+        const validTypes = ['basic', 'fast', 'aggressive'];
+        const types = Array.isArray(dives.types) ? dives.types.filter(t => validTypes.includes(t)) : [];
+
+        return {
+            frequency: this.clamp(this.numberOr(dives.frequency, 0), 0, 1),
+            maxDivers: this.clamp(Math.round(this.numberOr(dives.maxDivers, 1)), 1, 4),
+            types: types.length ? [...new Set(types)] : ['fast', 'aggressive']
+        };
+    }
+
+    /**
+     * Sanitize mystery ship configuration
+     */
+    sanitizeMysteryShip(ship) {
+        if (ship.enabled === false) {
+            return { enabled: false };
+        }
+
+        const points = Array.isArray(ship.points) ?
+            ship.points.filter(p => Number.isInteger(p)).map(p => this.clamp(p, 10, 1000)).slice(0, 6) : [];
+
+        return {
+            interval: this.clamp(this.numberOr(ship.interval, 25), 10, 60),
+            shots: this.clamp(Math.round(this.numberOr(ship.shots, 22)), 5, 50),
+            speed: this.clamp(this.numberOr(ship.speed, 2), 1.0, 5.0),
+            points: points.length ? points : [50, 100, 150, 300]
+        };
+    }
+
+    /**
+     * Sanitize power-up drops: known types only, with whole weights and, for
+     * power-ups that last, a duration. Without any usable type, the fallback's.
+     */
+    sanitizePowerUps(drops, fallback) {
+        const types = {};
+        Object.entries(drops.types || {}).forEach(([type, drop]) => {
+            if (!PowerUp.TYPES[type] || !drop || typeof drop !== 'object') return;
+
+            types[type] = { weight: this.clamp(Math.round(this.numberOr(drop.weight, 1)), 1, 10) };
+            if (PowerUp.TYPES[type].duration > 0) {
+                types[type].duration = this.clamp(this.numberOr(drop.duration, PowerUp.TYPES[type].duration), 3, 20);
+            }
+        });
+
+        if (Object.keys(types).length === 0) {
+            return fallback || PowerUp.DEFAULT_DROPS;
+        }
+
+        return {
+            dropRate: this.clamp(this.numberOr(drops.dropRate, 0.1), 0.02, 0.3),
+            types
+        };
+    }
+
+    /**
+     * Sanitize per-row enemy types: a type per row, or a list of types per column,
+     * trimmed to the grid. Unknown types fall back to the level's enemyType.
+     */
+    sanitizeEnemyTypes(enemyTypes, level) {
+        const validType = type => this.validateEnemyType(type, level.enemyType);
+
+        return enemyTypes.slice(0, level.enemyRows).map(row =>
+            Array.isArray(row) ? row.slice(0, level.enemyCols).map(validType) : validType(row)
+        );
+    }
+
+    /**
+     * Sanitize per-type enemy health: known types only, 1 to Enemy.MAX_HEALTH hits
+     */
+    sanitizeEnemyHealth(health) {
+        const sanitized = {};
+        Object.entries(health).forEach(([type, hits]) => {
+            if (Enemy.TYPES.includes(type) && Number.isFinite(hits)) {
+                sanitized[type] = this.clamp(Math.round(hits), 1, Enemy.MAX_HEALTH);
+            }
+        });
+        return sanitized;
+    }
+
     /**
      * Validate enemy type
      */
-    validateEnemyType(enemyType) {
+    validateEnemyType(enemyType, fallback = 'basic') {
         const validTypes = ['basic', 'fast', 'aggressive', 'boss'];
-        return validTypes.includes(enemyType) ? enemyType : 'basic';
+        return validTypes.includes(enemyType) ? enemyType : fallback;
     }
 
     /**
@@ -291,9 +499,10 @@ Generate ONLY the JSON, no additional text:`;
     sanitizeSpecialMechanics(mechanics) {
         const validFormations = ['grid', 'diamond', 'wave', 'scattered', 'custom'];
         const validMovements = ['standard', 'zigzag', 'spiral', 'random'];
-        const validPowerUps = ['shield', 'rapid-fire', 'multi-shot', 'score-boost'];
+        const validPowerUps = Object.keys(PowerUp.TYPES);
+        const validAttacks = ['spread-shot', 'laser', 'missile'];
         
-        return {
+        const sanitized = {
             formation: validFormations.includes(mechanics.formation) ? mechanics.formation : 'grid',
             movementPattern: validMovements.includes(mechanics.movementPattern) ? mechanics.movementPattern : 'standard',
             powerUps: Array.isArray(mechanics.powerUps) ? 
@@ -302,9 +511,41 @@ Generate ONLY the JSON, no additional text:`;
                 health: this.clamp(mechanics.bossProperties.health || 3, 1, 10),
                 size: this.clamp(mechanics.bossProperties.size || 1.5, 1.0, 3.0),
                 specialAttacks: Array.isArray(mechanics.bossProperties.specialAttacks) ? 
-                    mechanics.bossProperties.specialAttacks.slice(0, 3) : []
+                    mechanics.bossProperties.specialAttacks.filter(a => validAttacks.includes(a)).slice(0, 3) : []
             } : null
         };
+
+        // A custom formation needs a usable layout map, otherwise it's a grid
+        if (sanitized.formation === 'custom') {
+            const layout = this.sanitizeLayout(mechanics.layout);
+            if (layout) {
+                sanitized.layout = layout;
+            } else {
+                sanitized.formation = 'grid';
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Sanitize a custom formation map: up to 8 rows of up to 15 cells, with
+     * unknown characters turned into gaps. Null if it holds no enemies, or
+     * more than the 80 a level allows.
+     */
+    sanitizeLayout(layout) {
+        if (!Array.isArray(layout)) return null;
+
+        const cells = new RegExp(`[^${Object.keys(GameSimulation.LAYOUT_LEGEND).join('')}#]`, 'g');
+        const rows = layout.slice(0, 8).map(row =>
+            typeof row === 'string' ? row.slice(0, 15).replace(cells, '.').replace(/\.+$/, '') : ''
+        );
+        while (rows.length && rows[rows.length - 1] === '') {
+            rows.pop();
+        }
+
+        const enemies = rows.join('').replace(/\./g, '').length;
+        return enemies > 0 && enemies <= 80 ? rows : null;
     }
 
     /**
@@ -333,6 +574,14 @@ Generate ONLY the JSON, no additional text:`;
         return Math.min(Math.max(value, min), max);
     }
 
+    /**
+     * A number from the AI's config, or the default when it is missing, zero
+     * or not a finite number - clamp would pass a string's NaN through
+     */
+    numberOr(value, fallback) {
+        return Number.isFinite(value) && value !== 0 ? value : fallback;
+    }
+
     /**
      * Delay utility for retries
      */
@@ -340,6 +589,32 @@ Generate ONLY the JSON, no additional text:`;
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Give a generated level its levelId, cache it for its level number and
+     * keep it for verification (the oldest go past MAX_GENERATED_LEVELS)
+     * @param {object} levelConfig - Sanitized level configuration
+     * @returns {object} The level configuration, with levelId set
+     */
+    storeLevel(levelConfig) {
+        levelConfig.levelId = crypto.randomUUID();
+        this.levelCache.set(`level_${levelConfig.level}`, levelConfig);
+        this.generatedLevels.set(levelConfig.levelId, levelConfig);
+
+        if (this.generatedLevels.size > AILevelGenerator.MAX_GENERATED_LEVELS) {
+            this.generatedLevels.delete(this.generatedLevels.keys().next().value);
+        }
+        return levelConfig;
+    }
+
+    /**
+     * Get a level this server generated, cached or not
+     * @param {string} levelId - The levelId it was handed out with
+     * @returns {object|null} Level configuration or null
+     */
+    getGeneratedLevel(levelId) {
+        return this.generatedLevels.get(levelId) || null;
+    }
+
     /**
      * Clear the level cache
      */
@@ -359,4 +634,6 @@ Generate ONLY the JSON, no additional text:`;
     }
 }
 
+AILevelGenerator.MAX_GENERATED_LEVELS = 10000;
+
 module.exports = new AILevelGenerator();
\ No newline at end of file
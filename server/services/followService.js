@@ -0,0 +1,85 @@
+/**
+ * Follow Service
+ * Lets players follow each other for the friends leaderboard
+ */
+class FollowService {
+    /**
+     * @param {Database} db - SQLite database instance
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Follow another player (following twice is a no-op)
+     * @param {number} followerId - User doing the following
+     * @param {number} followeeId - User to follow
+     * @returns {Object} - { user_id, following: true }
+     */
+    follow(followerId, followeeId) {
+        this.checkTarget(followerId, followeeId);
+
+        this.db.prepare(`
+            INSERT INTO follows (follower_id, followee_id)
+            VALUES (?, ?)
+            ON CONFLICT(follower_id, followee_id) DO NOTHING
+        `).run(followerId, followeeId);
+
+        return { user_id: followeeId, following: true };
+    }
+
+    /**
+     * Stop following a player (unfollowing someone you don't follow is a no-op)
+     * @param {number} followerId - User doing the unfollowing
+     * @param {number} followeeId - User to unfollow
+     * @returns {Object} - { user_id, following: false }
+     */
+    unfollow(followerId, followeeId) {
+        this.checkTarget(followerId, followeeId);
+
+        this.db.prepare(`
+            DELETE FROM follows WHERE follower_id = ? AND followee_id = ?
+        `).run(followerId, followeeId);
+
+        return { user_id: followeeId, following: false };
+    }
+
+    /**
+     * Players a user follows
+     * @param {number} userId - User ID
+     * @returns {Array} - Array of { user_id, username, profile_picture_url, followed_at }
+     */
+    getFollowing(userId) {
+        return this.db.prepare(`
+            SELECT 
+                users.id as user_id,
+                users.username,
+                users.profile_picture_url,
+                follows.created_at as followed_at
+            FROM follows
+            INNER JOIN users ON users.id = follows.followee_id
+            WHERE follows.follower_id = ?
+            ORDER BY users.username COLLATE NOCASE ASC
+        `).all(userId);
+    }
+
+    /**
+     * Validate the player being (un)followed
+     * @param {number} followerId - User doing the following
+     * @param {number} followeeId - Target user
+     */
+    checkTarget(followerId, followeeId) {
+        if (!Number.isInteger(followeeId) || followeeId < 1) {
+            throw new Error('INVALID_USER_ID');
+        }
+        if (followeeId === followerId) {
+            throw new Error('CANNOT_FOLLOW_SELF');
+        }
+        const exists = this.db.prepare('SELECT 1 FROM users WHERE id = ?').get(followeeId);
+        if (!exists) {
+            throw new Error('USER_NOT_FOUND');
+        }
+    }
+}
+
+module.exports = FollowService;
@@ -0,0 +1,127 @@
+/**
+ * Leaderboard Periods
+ * Works out when the current day, week or month began in a player's time zone,
+ * as a UTC timestamp comparable with scores.submitted_at
+ */
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'all'];
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Check that a string is an IANA time zone the runtime knows (e.g. "Europe/Berlin")
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} - True if usable
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Local time minus UTC
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const local = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a local midnight falls on. Checked twice so a DST change
+ * between "now" and that midnight still lands on the right hour.
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12, may overflow)
+ * @param {number} day - Local day (may be <= 0 to step back a month)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - UTC instant of local 00:00
+ */
+function zonedMidnight(year, month, day, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day);
+    let instant = new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone));
+    instant = new Date(wallClock - getTimeZoneOffset(instant, timeZone));
+    return instant;
+}
+
+/**
+ * When the current period started
+ * @param {string} period - daily, weekly (weeks start on Monday), monthly or all
+ * @param {string} [timeZone] - IANA time zone the boundaries follow
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} - Start of the period, or null for all-time
+ */
+function getPeriodStart(period, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+    const today = getZonedParts(now, timeZone);
+
+    switch (period) {
+        case 'daily':
+            return zonedMidnight(today.year, today.month, today.day, timeZone);
+        case 'weekly':
+            return zonedMidnight(today.year, today.month, today.day - (today.weekday + 6) % 7, timeZone);
+        case 'monthly':
+            return zonedMidnight(today.year, today.month, 1, timeZone);
+        case 'all':
+            return null;
+        default:
+            throw new Error('INVALID_PERIOD');
+    }
+}
+
+/**
+ * Format an instant the way SQLite's CURRENT_TIMESTAMP stores it
+ * @param {Date} date - Instant
+ * @returns {string} - "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+function toSqliteTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+    PERIODS,
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    getPeriodStart,
+    toSqliteTimestamp
+};
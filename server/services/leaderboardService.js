@@ -1,40 +1,114 @@
+const GameSimulation = require('../../client/js/simulation');
+const { Player } = require('../../client/js/entities');
+const {
+    PERIODS,
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    getPeriodStart,
+    toSqliteTimestamp
+} = require('./leaderboardPeriods');
+
+// Level sources scores are ranked by (see ScoreVerifier.getRunLevelSource)
+const LEVEL_SOURCES = ['standard', 'ai'];
+const SCOPES = ['global', 'friends'];
+
 /**
  * Leaderboard Service
  * Manages score submissions, leaderboard queries, and user statistics
  */
 class LeaderboardService {
-    constructor(db) {
+    /**
+     * @param {Database} db - SQLite database instance
+     * @param {ScoreVerifier} [scoreVerifier] - Replays runs to verify submitted scores
+     */
+    constructor(db, scoreVerifier = null) {
         this.db = db;
+        this.scoreVerifier = scoreVerifier;
         this.rateLimits = new Map(); // userId -> lastSubmitTime
     }
 
     /**
-     * Get global leaderboard with pagination
+     * Get a leaderboard page. Scores are ranked separately per game mode and
+     * level source; passing a level switches to that level's fastest clears.
      * @param {number} limit - Number of entries to return (max 100)
      * @param {number} offset - Pagination offset
+     * @param {Object} [options]
+     * @param {string} [options.period] - daily, weekly, monthly or all (default)
+     * @param {string} [options.timeZone] - IANA time zone for period boundaries (default UTC)
+     * @param {string} [options.mode] - Game mode, or 'all' (default 'classic')
+     * @param {string} [options.levelSource] - 'standard' (default), 'ai' or 'all'
+     * @param {string} [options.ship] - Only runs flown with this ship class, or 'all' (default)
+     * @param {number} [options.level] - Rank fastest clears of this level instead of scores
+     * @param {string} [options.scope] - 'global' (default) or 'friends': the viewer and who they follow
+     * @param {number} [options.viewerId] - Signed-in user, required for the friends scope
      * @returns {Object} - Leaderboard data with metadata
      */
-    getLeaderboard(limit = 100, offset = 0) {
+    getLeaderboard(limit = 100, offset = 0, {
+        period = 'all',
+        timeZone = DEFAULT_TIME_ZONE,
+        mode = 'classic',
+        levelSource = 'standard',
+        ship = 'all',
+        level = null,
+        scope = 'global',
+        viewerId = null
+    } = {}) {
+        // Query strings repeat into arrays; only plain strings are names
+        if (typeof period !== 'string' || !PERIODS.includes(period)) {
+            throw new Error('INVALID_PERIOD');
+        }
+        if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+            throw new Error('INVALID_TIME_ZONE');
+        }
+        if (typeof mode !== 'string' || (mode !== 'all' && !GameSimulation.MODES.includes(mode))) {
+            throw new Error('INVALID_MODE');
+        }
+        if (typeof levelSource !== 'string' || (levelSource !== 'all' && !LEVEL_SOURCES.includes(levelSource))) {
+            throw new Error('INVALID_LEVEL_SOURCE');
+        }
+        if (typeof ship !== 'string' || (ship !== 'all' && !Object.hasOwn(Player.SHIPS, ship))) {
+            throw new Error('INVALID_SHIP');
+        }
+        if (level !== null && (!Number.isInteger(level) || level < 1)) {
+            throw new Error('INVALID_LEVEL');
+        }
+        if (!SCOPES.includes(scope)) {
+            throw new Error('INVALID_SCOPE');
+        }
+        if (scope === 'friends' && !viewerId) {
+            throw new Error('AUTH_REQUIRED');
+        }
+
         try {
             limit = Math.min(limit, 100); // Cap at 100
             
-            const stmt = this.db.prepare(`
-                SELECT * FROM leaderboard
-                LIMIT ? OFFSET ?
-            `);
-            const entries = stmt.all(limit, offset);
+            // Only scores submitted since the period began, on the selected board
+            const periodStart = getPeriodStart(period, timeZone);
+            const filters = {
+                since: periodStart ? toSqliteTimestamp(periodStart) : null,
+                mode: mode === 'all' ? null : mode,
+                source: levelSource === 'all' ? null : levelSource,
+                ship: ship === 'all' ? null : ship,
+                friendsOf: scope === 'friends' ? viewerId : null
+            };
             
-            const countStmt = this.db.prepare(`
-                SELECT COUNT(DISTINCT user_id) as total 
-                FROM scores
-            `);
-            const { total } = countStmt.get();
+            const page = level === null
+                ? this.getScoreRanking(limit, offset, filters)
+                : this.getFastestClears(level, limit, offset, filters);
 
             return { 
-                leaderboard: entries, 
-                total: total || 0, 
+                leaderboard: viewerId ? this.addFollowing(page.leaderboard, viewerId) : page.leaderboard,
+                total: page.total,
                 limit, 
-                offset 
+                offset,
+                period,
+                time_zone: timeZone,
+                period_start: periodStart ? periodStart.toISOString() : null,
+                mode,
+                level_source: levelSource,
+                ship,
+                level,
+                scope
             };
         } catch (error) {
             console.error('Get leaderboard error:', error);
@@ -42,6 +116,167 @@ class LeaderboardService {
         }
     }
 
+    /**
+     * Best score per player
+     * @param {number} limit - Number of entries to return
+     * @param {number} offset - Pagination offset
+     * @param {Object} filters - { since, mode, source, ship, friendsOf }, null meaning any
+     * @returns {Object} - { leaderboard, total }
+     */
+    getScoreRanking(limit, offset, filters) {
+        const where = `
+            (@since IS NULL OR scores.submitted_at >= @since)
+            AND (@mode IS NULL OR scores.mode = @mode)
+            AND (@source IS NULL OR scores.level_source = @source)
+            AND (@ship IS NULL OR scores.ship = @ship)
+            AND (@friendsOf IS NULL OR scores.user_id = @friendsOf
+                 OR scores.user_id IN (SELECT followee_id FROM follows WHERE follower_id = @friendsOf))
+        `;
+        
+        const stmt = this.db.prepare(`
+            SELECT 
+                users.id as user_id,
+                users.username,
+                users.profile_picture_url,
+                MAX(scores.score) as best_score,
+                MAX(scores.level_reached) as best_level,
+                MAX(scores.submitted_at) as last_played,
+                ROW_NUMBER() OVER (ORDER BY MAX(scores.score) DESC, MAX(scores.submitted_at) ASC) as rank
+            FROM users
+            INNER JOIN scores ON users.id = scores.user_id
+            WHERE ${where}
+            GROUP BY users.id
+            ORDER BY best_score DESC, last_played ASC
+            LIMIT @limit OFFSET @offset
+        `);
+        const entries = stmt.all({ ...filters, limit, offset });
+        
+        const countStmt = this.db.prepare(`
+            SELECT COUNT(DISTINCT user_id) as total 
+            FROM scores
+            WHERE ${where}
+        `);
+        const { total } = countStmt.get(filters);
+
+        return {
+            leaderboard: this.addReplayIds(entries, where, filters),
+            total: total || 0
+        };
+    }
+
+    /**
+     * Point each leaderboard entry at the replay of its best score, if one was uploaded
+     * @param {Array} entries - Leaderboard rows
+     * @param {string} where - SQL condition on `scores` the ranking used
+     * @param {Object} filters - Named parameters for the condition
+     * @returns {Array} - Entries with replay_score_id (or null)
+     */
+    addReplayIds(entries, where, filters) {
+        if (entries.length === 0) return entries;
+
+        const placeholders = entries.map(() => '?').join(', ');
+        const stmt = this.db.prepare(`
+            SELECT scores.user_id, scores.id as score_id
+            FROM scores
+            INNER JOIN replays ON replays.score_id = scores.id
+            WHERE scores.user_id IN (${placeholders})
+              AND ${where}
+              AND scores.score = (
+                  SELECT MAX(score) FROM scores AS best
+                  WHERE best.user_id = scores.user_id
+                    AND ${where.replace(/scores\./g, 'best.')}
+              )
+            ORDER BY scores.submitted_at ASC
+        `);
+        const replayIds = new Map();
+        stmt.all(...entries.map(entry => entry.user_id), filters).forEach(row => {
+            if (!replayIds.has(row.user_id)) {
+                replayIds.set(row.user_id, row.score_id);
+            }
+        });
+
+        return entries.map(entry => ({
+            ...entry,
+            replay_score_id: replayIds.get(entry.user_id) || null
+        }));
+    }
+
+    /**
+     * Mark which entries the viewer follows
+     * @param {Array} entries - Leaderboard rows
+     * @param {number} viewerId - Signed-in user
+     * @returns {Array} - Entries with is_following
+     */
+    addFollowing(entries, viewerId) {
+        const following = new Set(this.db.prepare(`
+            SELECT followee_id FROM follows WHERE follower_id = ?
+        `).all(viewerId).map(row => row.followee_id));
+
+        return entries.map(entry => ({
+            ...entry,
+            is_following: following.has(entry.user_id)
+        }));
+    }
+
+    /**
+     * Fastest clear of one level per player
+     * @param {number} level - Level number
+     * @param {number} limit - Number of entries to return
+     * @param {number} offset - Pagination offset
+     * @param {Object} filters - { since, mode, source, ship, friendsOf }, null meaning any
+     * @returns {Object} - { leaderboard, total }
+     */
+    getFastestClears(level, limit, offset, filters) {
+        const where = `
+            level_clears.level = @level
+            AND (@since IS NULL OR level_clears.cleared_at >= @since)
+            AND (@mode IS NULL OR level_clears.mode = @mode)
+            AND (@source IS NULL OR level_clears.level_source = @source)
+            AND (@ship IS NULL OR level_clears.ship = @ship)
+            AND (@friendsOf IS NULL OR level_clears.user_id = @friendsOf
+                 OR level_clears.user_id IN (SELECT followee_id FROM follows WHERE follower_id = @friendsOf))
+        `;
+        
+        // Earliest of each player's fastest clears wins ties
+        const stmt = this.db.prepare(`
+            WITH best AS (
+                SELECT 
+                    level_clears.*,
+                    ROW_NUMBER() OVER (
+                        PARTITION BY level_clears.user_id
+                        ORDER BY level_clears.ticks ASC, level_clears.cleared_at ASC
+                    ) as personal_rank
+                FROM level_clears
+                WHERE ${where}
+            )
+            SELECT 
+                users.id as user_id,
+                users.username,
+                users.profile_picture_url,
+                best.ticks as best_ticks,
+                best.ticks / ${GameSimulation.TICK_RATE}.0 as best_time,
+                best.cleared_at,
+                replays.score_id as replay_score_id,
+                ROW_NUMBER() OVER (ORDER BY best.ticks ASC, best.cleared_at ASC) as rank
+            FROM best
+            INNER JOIN users ON users.id = best.user_id
+            LEFT JOIN replays ON replays.score_id = best.score_id
+            WHERE best.personal_rank = 1
+            ORDER BY rank
+            LIMIT @limit OFFSET @offset
+        `);
+        const entries = stmt.all({ ...filters, level, limit, offset });
+        
+        const countStmt = this.db.prepare(`
+            SELECT COUNT(DISTINCT user_id) as total
+            FROM level_clears
+            WHERE ${where}
+        `);
+        const { total } = countStmt.get({ ...filters, level });
+
+        return { leaderboard: entries, total: total || 0 };
+    }
+
     /**
      * Check if user can submit a score (rate limiting)
      * @param {number} userId - User ID
@@ -61,9 +296,12 @@ class LeaderboardService {
      * @param {number} score - Score value
      * @param {number} levelReached - Level reached
      * @param {string} sessionId - Unique session ID
+     * @param {Object} run - Seed and input log, replayed to verify the score
+     * @param {Object} [stats] - Run stats to store with the score
+     * @param {number} [stats.bestCombo] - Longest chain of consecutive hits; the replay's wins
      * @returns {Object} - Score object with leaderboard position
      */
-    submitScore(userId, score, levelReached, sessionId) {
+    submitScore(userId, score, levelReached, sessionId, run, { bestCombo = null } = {}) {
         // Rate limiting check
         if (!this.canSubmitScore(userId)) {
             throw new Error('RATE_LIMIT');
@@ -79,28 +317,66 @@ class LeaderboardService {
         if (!sessionId || !this.isValidUUID(sessionId)) {
             throw new Error('INVALID_SESSION_ID');
         }
+        if (bestCombo !== null && (!Number.isInteger(bestCombo) || bestCombo < 0)) {
+            throw new Error('INVALID_COMBO');
+        }
+
+        // Count the attempt before replaying: verification is the expensive
+        // part, so failed submissions have to wait out the cooldown too
+        this.rateLimits.set(userId, Date.now());
+
+        // Replay verification - the claimed result must match the simulation.
+        // The replay also decides which board the score goes on.
+        let mode = 'classic';
+        let levelSource = 'standard';
+        let ship = 'fighter';
+        let clears = [];
+        if (this.scoreVerifier) {
+            const replay = this.scoreVerifier.verify(run);
+            if (replay.score !== score || replay.levelReached !== levelReached ||
+                (bestCombo !== null && replay.bestCombo !== bestCombo)) {
+                console.warn(`⚠️ Score mismatch: User ${userId} claimed ${score} (level ${levelReached}, combo ${bestCombo}), replay gave ${replay.score} (level ${replay.levelReached}, combo ${replay.bestCombo})`);
+                throw new Error('SCORE_MISMATCH');
+            }
+            ({ mode, levelSource, clears } = replay);
+            ship = replay.ship ?? ship;
+            bestCombo = replay.bestCombo ?? bestCombo;
+        }
+        bestCombo = bestCombo ?? 0;
 
         try {
-            const stmt = this.db.prepare(`
-                INSERT INTO scores (user_id, score, level_reached, session_id)
-                VALUES (?, ?, ?, ?)
+            const insertScore = this.db.prepare(`
+                INSERT INTO scores (user_id, score, level_reached, session_id, mode, level_source, best_combo, ship)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `);
-            const result = stmt.run(userId, score, levelReached, sessionId);
-            
-            // Update rate limit
-            this.rateLimits.set(userId, Date.now());
+            const insertClear = this.db.prepare(`
+                INSERT INTO level_clears (score_id, user_id, level, level_source, mode, ship, ticks)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const result = this.db.transaction(() => {
+                const inserted = insertScore.run(userId, score, levelReached, sessionId, mode, levelSource, bestCombo, ship);
+                for (const clear of clears) {
+                    insertClear.run(inserted.lastInsertRowid, userId, clear.level, clear.source, mode, ship, clear.ticks);
+                }
+                return inserted;
+            })();
 
-            // Get leaderboard position and previous best
-            const position = this.getUserPosition(userId);
-            const previousBest = this.getUserPreviousBest(userId, result.lastInsertRowid);
+            // Get position and previous best on the board this score counts towards
+            const position = this.getBoardPosition(userId, mode, levelSource);
+            const previousBest = this.getUserPreviousBest(userId, result.lastInsertRowid, mode, levelSource);
 
-            console.log(`✅ Score submitted: User ${userId}, Score ${score}, Level ${levelReached}`);
+            console.log(`✅ Score submitted: User ${userId}, Score ${score}, Level ${levelReached} (${mode}/${levelSource}, ${ship})`);
 
             return {
                 id: result.lastInsertRowid,
                 user_id: userId,
                 score,
                 level_reached: levelReached,
+                best_combo: bestCombo,
+                mode,
+                level_source: levelSource,
+                ship,
+                levels_cleared: clears.length,
                 submitted_at: new Date().toISOString(),
                 leaderboard_position: {
                     rank: position,
@@ -128,19 +404,29 @@ class LeaderboardService {
     }
 
     /**
-     * Get user's current leaderboard position
+     * Get user's rank on one mode/level-source board
      * @param {number} userId - User ID
-     * @returns {number|null} - Rank or null if not in top 100
+     * @param {string} mode - Game mode
+     * @param {string} levelSource - 'standard' or 'ai'
+     * @returns {number|null} - Rank or null if not ranked
      */
-    getUserPosition(userId) {
+    getBoardPosition(userId, mode, levelSource) {
         try {
             const stmt = this.db.prepare(`
-                SELECT rank FROM leaderboard WHERE user_id = ?
+                SELECT rank FROM (
+                    SELECT 
+                        user_id,
+                        ROW_NUMBER() OVER (ORDER BY MAX(score) DESC, MAX(submitted_at) ASC) as rank
+                    FROM scores
+                    WHERE mode = ? AND level_source = ?
+                    GROUP BY user_id
+                )
+                WHERE user_id = ?
             `);
-            const result = stmt.get(userId);
+            const result = stmt.get(mode, levelSource, userId);
             return result ? result.rank : null;
         } catch (error) {
-            console.error('Get user position error:', error);
+            console.error('Get board position error:', error);
             return null;
         }
     }
@@ -149,16 +435,20 @@ class LeaderboardService {
      * Get user's previous best score (excluding current submission)
      * @param {number} userId - User ID
      * @param {number} currentScoreId - Current score ID to exclude
+     * @param {string} [mode] - Only count scores from this game mode
+     * @param {string} [levelSource] - Only count scores on these levels
      * @returns {number|null} - Previous best score or null
      */
-    getUserPreviousBest(userId, currentScoreId) {
+    getUserPreviousBest(userId, currentScoreId, mode = null, levelSource = null) {
         try {
             const stmt = this.db.prepare(`
                 SELECT MAX(score) as best
                 FROM scores
                 WHERE user_id = ? AND id != ?
+                  AND (? IS NULL OR mode = ?)
+                  AND (? IS NULL OR level_source = ?)
             `);
-            const result = stmt.get(userId, currentScoreId);
+            const result = stmt.get(userId, currentScoreId, mode, mode, levelSource, levelSource);
             return result && result.best !== null ? result.best : null;
         } catch (error) {
             console.error('Get previous best error:', error);
@@ -167,7 +457,8 @@ class LeaderboardService {
     }
 
     /**
-     * Get user statistics
+     * Get user statistics, ranked on the default classic/standard board and
+     * on every board the user has a score on
      * @param {number} userId - User ID
      * @returns {Object|null} - User stats object or null
      */
@@ -180,12 +471,26 @@ class LeaderboardService {
             
             if (!stats) return null;
             
-            // Add leaderboard rank
-            const position = this.getUserPosition(userId);
+            // Add leaderboard ranks
+            const boards = this.db.prepare(`
+                SELECT DISTINCT mode, level_source FROM scores WHERE user_id = ?
+                ORDER BY mode, level_source
+            `).all(userId);
+            const boardRanks = boards.map(({ mode, level_source }) => {
+                const rank = this.getBoardPosition(userId, mode, level_source);
+                return {
+                    mode,
+                    level_source,
+                    rank,
+                    percentile: rank ? this.calculatePercentile(rank, mode, level_source) : null
+                };
+            });
+            const main = boardRanks.find(board => board.mode === 'classic' && board.level_source === 'standard');
             return {
                 ...stats,
-                leaderboard_rank: position,
-                percentile: position ? this.calculatePercentile(position) : null
+                leaderboard_rank: main ? main.rank : null,
+                percentile: main ? main.percentile : null,
+                board_ranks: boardRanks
             };
         } catch (error) {
             console.error('Get user stats error:', error);
@@ -196,14 +501,18 @@ class LeaderboardService {
     /**
      * Calculate percentile based on rank
      * @param {number} rank - User's rank
+     * @param {string} [mode] - Only count players from this game mode
+     * @param {string} [levelSource] - Only count players on these levels
      * @returns {number} - Percentile (0-100)
      */
-    calculatePercentile(rank) {
+    calculatePercentile(rank, mode = null, levelSource = null) {
         try {
             const countStmt = this.db.prepare(`
                 SELECT COUNT(DISTINCT user_id) as total FROM scores
+                WHERE (? IS NULL OR mode = ?)
+                  AND (? IS NULL OR level_source = ?)
             `);
-            const { total } = countStmt.get();
+            const { total } = countStmt.get(mode, mode, levelSource, levelSource);
             if (total === 0) return 0;
             return Math.round((1 - (rank - 1) / total) * 100);
         } catch (error) {
@@ -224,8 +533,11 @@ class LeaderboardService {
                     id,
                     score,
                     level_reached,
+                    best_combo,
+                    ship,
                     submitted_at,
-                    score = (SELECT MAX(score) FROM scores WHERE user_id = ?) as is_personal_best
+                    score = (SELECT MAX(score) FROM scores WHERE user_id = ?) as is_personal_best,
+                    EXISTS(SELECT 1 FROM replays WHERE replays.score_id = scores.id) as has_replay
                 FROM scores
                 WHERE user_id = ?
                 ORDER BY submitted_at DESC
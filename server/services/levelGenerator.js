@@ -0,0 +1,258 @@
+/**
+ * Level Generator
+ * Hand-tuned configurations for the first levels and procedural scaling beyond
+ */
+
+// Level configurations with increasing difficulty
+const levels = [
+    {
+        level: 1,
+        enemyCount: 35,
+        enemySpeed: 1,
+        enemyDropSpeed: 20,
+        enemyBulletSpeed: 2,
+        enemyBulletFrequency: 0.001, // Reduced from 0.003
+        enemyMoveDirection: 1,
+        enemyRows: 5,
+        enemyCols: 7,
+        pointsPerEnemy: 10,
+        enemyType: 'basic',
+        enemyTypes: ['fast', 'basic', 'basic', 'basic', 'basic'],
+        walls: {
+            count: 4,
+            width: 80,
+            height: 60,
+            health: 5,
+            yPosition: 450,
+            shape: 'arch'
+        }
+    },
+    {
+        level: 2,
+        enemyCount: 40,
+        enemySpeed: 1.2,
+        enemyDropSpeed: 25,
+        enemyBulletSpeed: 2.5,
+        enemyBulletFrequency: 0.0015, // Reduced from 0.005
+        enemyMoveDirection: 1,
+        enemyRows: 5,
+        enemyCols: 8,
+        pointsPerEnemy: 15,
+        enemyType: 'basic',
+        enemyTypes: ['aggressive', 'fast', 'fast', 'basic', 'basic'],
+        walls: {
+            count: 4,
+            width: 80,
+            height: 60,
+            health: 5,
+            yPosition: 450,
+            shape: 'arch'
+        }
+    },
+    {
+        level: 3,
+        enemyCount: 45,
+        enemySpeed: 1.5,
+        enemyDropSpeed: 30,
+        enemyBulletSpeed: 3,
+        enemyBulletFrequency: 0.002, // Reduced from 0.007
+        enemyMoveDirection: 1,
+        enemyRows: 5,
+        enemyCols: 9,
+        pointsPerEnemy: 20,
+        enemyType: 'fast',
+        enemyTypes: ['aggressive', 'aggressive', 'fast', 'fast', 'fast'],
+        walls: {
+            count: 4,
+            width: 75,
+            height: 55,
+            health: 4,
+            yPosition: 450,
+            shape: 'arch'
+        },
+        diveAttacks: { frequency: 0.15, maxDivers: 1, types: ['fast', 'aggressive'] }
+    },
+    {
+        level: 4,
+        enemyCount: 50,
+        enemySpeed: 1.8,
+        enemyDropSpeed: 35,
+        enemyBulletSpeed: 3.5,
+        enemyBulletFrequency: 0.0025, // Reduced from 0.009
+        enemyMoveDirection: 1,
+        enemyRows: 5,
+        enemyCols: 10,
+        pointsPerEnemy: 25,
+        enemyType: 'fast',
+        enemyTypes: [
+            'aggressive',
+            ['fast', 'aggressive', 'fast', 'aggressive', 'fast', 'fast', 'aggressive', 'fast', 'aggressive', 'fast'],
+            'fast',
+            'fast',
+            'basic'
+        ],
+        walls: {
+            count: 3,
+            width: 90,
+            height: 50,
+            health: 4,
+            yPosition: 450,
+            shape: 'arch'
+        },
+        diveAttacks: { frequency: 0.2, maxDivers: 1, types: ['fast', 'aggressive'] }
+    },
+    {
+        level: 5,
+        enemyCount: 55,
+        enemySpeed: 2,
+        enemyDropSpeed: 40,
+        enemyBulletSpeed: 4,
+        enemyBulletFrequency: 0.003, // Reduced from 0.011
+        enemyMoveDirection: 1,
+        enemyRows: 5,
+        enemyCols: 11,
+        pointsPerEnemy: 30,
+        enemyType: 'aggressive',
+        enemyTypes: ['boss', 'aggressive', 'aggressive', 'fast', 'fast'],
+        walls: {
+            count: 3,
+            width: 85,
+            height: 45,
+            health: 3,
+            yPosition: 450,
+            shape: 'arch'
+        },
+        diveAttacks: { frequency: 0.25, maxDivers: 2, types: ['fast', 'aggressive'] }
+    }
+];
+
+/**
+ * Mystery ship for a level: crosses after `interval` seconds or `shots` player
+ * shots, at `speed` pixels per tick, worth one of `points` at random.
+ * A level in the table can set its own `mysteryShip`, or `{ enabled: false }`.
+ */
+function getMysteryShip(levelNumber) {
+    return {
+        interval: Math.max(15, 25 - levelNumber),
+        shots: 22,
+        speed: Math.min(4, 2 + levelNumber * 0.1),
+        points: [50, 100, 150, 300]
+    };
+}
+
+/**
+ * March acceleration for a level: the step interval shrinks toward
+ * `minInterval` seconds as enemies die, along `curve` (1 = linear in the
+ * enemies left, higher speeds up sooner)
+ */
+function getMarchAcceleration(levelNumber) {
+    return {
+        minInterval: Math.max(0.03, 0.1 - levelNumber * 0.005),
+        curve: levelNumber > 10 ? 1.5 : 1
+    };
+}
+
+/**
+ * Power-up drops for a level: each kill drops one with chance `dropRate`, of a
+ * type picked by `weight`, lasting `duration` seconds (the type's default if
+ * left out). Lives get rarer and score boosts more common later on.
+ */
+function getPowerUps(levelNumber) {
+    return {
+        dropRate: Math.max(0.06, 0.12 - levelNumber * 0.004),
+        types: {
+            shield: { weight: 3, duration: 10 },
+            'rapid-fire': { weight: 3, duration: 8 },
+            'multi-shot': { weight: 2 },
+            'auto-aim': { weight: 2, duration: 12 },
+            'score-boost': { weight: levelNumber > 5 ? 2 : 1, duration: 10 },
+            points: { weight: 2 },
+            'life-up': { weight: levelNumber > 10 ? 1 : 2 }
+        }
+    };
+}
+
+/**
+ * Armor for a level: hits each enemy type takes, on top of the one-hit
+ * default. Boss-type grunts always take two; aggressive enemies get armor
+ * from level 8 and bosses more from level 11. Bosses with bossProperties
+ * use its health instead.
+ */
+function getEnemyHealth(levelNumber) {
+    return {
+        aggressive: levelNumber >= 8 ? 2 : 1,
+        boss: Math.min(4, 2 + Math.floor(Math.max(0, levelNumber - 6) / 5))
+    };
+}
+
+// Row types for procedural levels: a boss row on top from level 9, then
+// aggressive rows, and fast rows below that mix in aggressive columns later on
+function getProceduralEnemyTypes(levelNumber, cols) {
+    const fastRow = levelNumber > 12 ?
+        Array.from({ length: cols }, (_, col) => col % 2 === 0 ? 'fast' : 'aggressive') : 'fast';
+    return [levelNumber > 8 ? 'boss' : 'aggressive', 'aggressive', 'aggressive', fastRow, fastRow, fastRow];
+}
+
+// Generate additional levels with scaling difficulty
+function generateLevel(levelNumber) {
+    if (levelNumber <= levels.length) {
+        // Copy so per-request tweaks (generatedBy, aiError) don't leak into the table
+        const level = { ...levels[levelNumber - 1] };
+        if (!level.mysteryShip) {
+            level.mysteryShip = getMysteryShip(levelNumber);
+        }
+        if (!level.marchAcceleration) {
+            level.marchAcceleration = getMarchAcceleration(levelNumber);
+        }
+        if (!level.powerUps) {
+            level.powerUps = getPowerUps(levelNumber);
+        }
+        if (!level.enemyHealth) {
+            level.enemyHealth = getEnemyHealth(levelNumber);
+        }
+        return level;
+    }
+    
+    // Generate procedural levels beyond level 5
+    const baseLevel = levels[levels.length - 1];
+    const scaleFactor = Math.pow(1.15, levelNumber - levels.length);
+    
+    // Calculate wall configuration for higher levels
+    const wallCount = Math.max(2, 4 - Math.floor((levelNumber - 5) / 3));
+    const wallHealth = Math.max(2, 5 - Math.floor((levelNumber - 5) / 2));
+    const enemyCols = Math.min(12, Math.floor(11 + (levelNumber - levels.length) / 2));
+    
+    return {
+        level: levelNumber,
+        enemyCount: Math.min(60, Math.floor(baseLevel.enemyCount + (levelNumber - levels.length) * 2)),
+        enemySpeed: Math.min(4, baseLevel.enemySpeed * scaleFactor),
+        enemyDropSpeed: Math.min(60, baseLevel.enemyDropSpeed * scaleFactor),
+        enemyBulletSpeed: Math.min(6, baseLevel.enemyBulletSpeed * scaleFactor),
+        enemyBulletFrequency: Math.min(0.005, baseLevel.enemyBulletFrequency * scaleFactor), // Reduced max from 0.02 to 0.005
+        enemyMoveDirection: 1,
+        enemyRows: Math.min(6, Math.floor(5 + (levelNumber - levels.length) / 3)),
+        enemyCols,
+        pointsPerEnemy: baseLevel.pointsPerEnemy + (levelNumber - levels.length) * 5,
+        enemyType: 'aggressive',
+        enemyTypes: getProceduralEnemyTypes(levelNumber, enemyCols),
+        enemyHealth: getEnemyHealth(levelNumber),
+        walls: {
+            count: wallCount,
+            width: 80,
+            height: 45,
+            health: wallHealth,
+            yPosition: 450,
+            shape: 'arch'
+        },
+        mysteryShip: getMysteryShip(levelNumber),
+        marchAcceleration: getMarchAcceleration(levelNumber),
+        powerUps: getPowerUps(levelNumber),
+        diveAttacks: {
+            frequency: Math.min(0.8, 0.25 + (levelNumber - levels.length) * 0.05),
+            maxDivers: Math.min(4, 2 + Math.floor((levelNumber - levels.length) / 4)),
+            types: ['fast', 'aggressive']
+        }
+    };
+}
+
+module.exports = { levels, generateLevel };
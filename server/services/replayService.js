@@ -0,0 +1,126 @@
+const { Replay } = require('../../client/js/replay');
+
+/**
+ * Replay Service
+ * Stores the replay behind a submitted score so anyone can watch the run
+ */
+class ReplayService {
+    /**
+     * @param {Database} db - SQLite database instance
+     * @param {ScoreVerifier} scoreVerifier - Replays runs to check they match the score
+     */
+    constructor(db, scoreVerifier) {
+        this.db = db;
+        this.scoreVerifier = scoreVerifier;
+        this.rateLimits = new Map(); // userId -> lastAttemptTime
+    }
+
+    /**
+     * Check if user can attach a replay (rate limiting)
+     * @param {number} userId - User ID
+     * @returns {boolean} - True if can attach, false otherwise
+     */
+    canAttachReplay(userId) {
+        const lastAttempt = this.rateLimits.get(userId);
+        if (!lastAttempt) return true;
+
+        const elapsed = Date.now() - lastAttempt;
+        return elapsed >= 5000; // 5 seconds
+    }
+
+    /**
+     * Attach a replay to one of the user's scores
+     * @param {number} userId - User ID
+     * @param {number} scoreId - Score the replay belongs to
+     * @param {Object} replay - Replay (.sireplay contents)
+     * @returns {Object} - { score_id, created_at }
+     */
+    attachReplay(userId, scoreId, replay) {
+        if (!Number.isInteger(scoreId) || scoreId < 1) {
+            throw new Error('INVALID_SCORE_ID');
+        }
+
+        const score = this.db.prepare(`
+            SELECT id, user_id, score, level_reached FROM scores WHERE id = ?
+        `).get(scoreId);
+        if (!score) {
+            throw new Error('SCORE_NOT_FOUND');
+        }
+        if (score.user_id !== userId) {
+            throw new Error('FORBIDDEN');
+        }
+        if (this.db.prepare('SELECT 1 FROM replays WHERE score_id = ?').get(scoreId)) {
+            throw new Error('REPLAY_EXISTS');
+        }
+
+        // Replaying the run is the expensive part, so every attempt counts
+        if (!this.canAttachReplay(userId)) {
+            throw new Error('RATE_LIMIT');
+        }
+        this.rateLimits.set(userId, Date.now());
+
+        // The run must be the one that produced this score
+        Replay.validate(replay);
+        const result = this.scoreVerifier.verify(replay.run);
+        if (result.score !== score.score || result.levelReached !== score.level_reached) {
+            console.warn(`⚠️ Replay mismatch: Score ${scoreId} is ${score.score}, replay gave ${result.score}`);
+            throw new Error('SCORE_MISMATCH');
+        }
+
+        // Store the level configs the run was verified against, not the uploaded ones
+        const run = {
+            version: replay.run.version,
+            seed: replay.run.seed,
+            mode: result.mode,
+            ship: result.ship,
+            levels: replay.run.levels.map(segment => ({
+                level: segment.level,
+                source: segment.source,
+                ...(segment.source === 'ai' && { levelId: segment.levelId }),
+                inputs: segment.inputs,
+                levelData: this.scoreVerifier.levelProvider(segment.level, segment.source, segment.levelId)
+            }))
+        };
+        const stored = Replay.create(run, { score: score.score, levelReached: score.level_reached });
+
+        try {
+            this.db.prepare(`
+                INSERT INTO replays (score_id, data) VALUES (?, ?)
+            `).run(scoreId, JSON.stringify(stored));
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint')) {
+                throw new Error('REPLAY_EXISTS');
+            }
+            console.error('Attach replay error:', error);
+            throw error;
+        }
+
+        console.log(`🎬 Replay attached: Score ${scoreId}, ${result.ticks} ticks`);
+        return { score_id: scoreId, created_at: stored.createdAt };
+    }
+
+    /**
+     * Get the replay behind a score
+     * @param {number} scoreId - Score ID
+     * @returns {Object|null} - Replay with the player's name, or null
+     */
+    getReplay(scoreId) {
+        try {
+            const row = this.db.prepare(`
+                SELECT replays.data, users.username
+                FROM replays
+                INNER JOIN scores ON scores.id = replays.score_id
+                INNER JOIN users ON users.id = scores.user_id
+                WHERE replays.score_id = ?
+            `).get(scoreId);
+            if (!row) return null;
+
+            return { ...JSON.parse(row.data), player: row.username };
+        } catch (error) {
+            console.error('Get replay error:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReplayService;
@@ -0,0 +1,131 @@
+const GameSimulation = require('../../client/js/simulation');
+const SeededRandom = require('../../client/js/random');
+const { Player } = require('../../client/js/entities');
+
+const LEVEL_SOURCES = ['standard', 'ai', 'fallback'];
+const MAX_REPLAY_TICKS = 60 * 60 * GameSimulation.TICK_RATE; // one hour of play
+const INPUT_MASK = Object.values(GameSimulation.INPUT).reduce((mask, flag) => mask | flag, 0);
+
+/**
+ * Score Verifier
+ * Replays a submitted run (seed + input log) through the same GameSimulation
+ * the browser uses and reports the score it actually produces
+ */
+class ScoreVerifier {
+    /**
+     * @param {Function} levelProvider - (levelNumber, source, levelId) => level config,
+     *     or null if the server would not have served that level
+     */
+    constructor(levelProvider) {
+        this.levelProvider = levelProvider;
+    }
+
+    /**
+     * Re-simulate a run headlessly
+     * @param {Object} run - Run record from GameSimulation.getRunRecord()
+     * @returns {Object} - { score, levelReached, bestCombo, ticks, mode, ship, levelSource, clears }
+     *     where clears lists each completed level as { level, source, ticks }
+     */
+    verify(run) {
+        this.validateRun(run);
+
+        const simulation = new GameSimulation();
+        simulation.reset(run.seed, run.mode, run.ship);
+        const clears = [];
+
+        for (const [index, segment] of run.levels.entries()) {
+            // Each segment loads the level the game is on: the first one, then
+            // the next after each clear. Reloading mid-level would respawn the
+            // formation for more points.
+            if ((index > 0 && simulation.status !== 'levelComplete') || segment.level !== simulation.currentLevel) {
+                throw new Error('INVALID_REPLAY');
+            }
+
+            const levelData = this.levelProvider(segment.level, segment.source, segment.levelId);
+            if (!levelData) {
+                throw new Error('UNVERIFIABLE_REPLAY');
+            }
+            simulation.loadLevel(levelData);
+            const startTick = simulation.tick;
+
+            for (const [input, count] of segment.inputs) {
+                for (let i = 0; i < count; i++) {
+                    if (simulation.status !== 'playing') {
+                        throw new Error('INVALID_REPLAY');
+                    }
+                    simulation.step(input);
+                }
+            }
+
+            if (simulation.status === 'levelComplete') {
+                clears.push({ level: segment.level, source: segment.source, ticks: simulation.tick - startTick });
+            }
+        }
+
+        // Scores are only submitted once the run has ended
+        if (simulation.status !== 'gameOver') {
+            throw new Error('INVALID_REPLAY');
+        }
+
+        return {
+            score: simulation.score,
+            levelReached: simulation.currentLevel,
+            bestCombo: simulation.bestCombo,
+            ticks: simulation.tick,
+            mode: simulation.mode,
+            ship: simulation.ship,
+            levelSource: ScoreVerifier.getRunLevelSource(run),
+            clears
+        };
+    }
+
+    /**
+     * Which leaderboard a run's levels put it on: any AI-generated level
+     * makes it an AI run, everything else counts as standard
+     * @param {Object} run - Run record
+     * @returns {string} - 'standard' or 'ai'
+     */
+    static getRunLevelSource(run) {
+        return run.levels.some(segment => segment.source === 'ai') ? 'ai' : 'standard';
+    }
+
+    /**
+     * Check the shape of a run record before replaying it
+     * @param {Object} run - Run record
+     */
+    validateRun(run) {
+        if (!run || typeof run !== 'object' ||
+            run.version !== GameSimulation.RUN_VERSION ||
+            !SeededRandom.isValidSeed(run.seed) ||
+            (run.mode !== undefined && !GameSimulation.MODES.includes(run.mode)) ||
+            (run.ship !== undefined && !Object.hasOwn(Player.SHIPS, run.ship)) ||
+            !Array.isArray(run.levels) || run.levels.length === 0) {
+            throw new Error('INVALID_REPLAY');
+        }
+
+        let totalTicks = 0;
+        for (const segment of run.levels) {
+            if (!segment || !Number.isInteger(segment.level) || segment.level < 1 ||
+                !LEVEL_SOURCES.includes(segment.source) ||
+                (segment.source === 'ai' && typeof segment.levelId !== 'string') ||
+                !Array.isArray(segment.inputs)) {
+                throw new Error('INVALID_REPLAY');
+            }
+
+            for (const pair of segment.inputs) {
+                if (!Array.isArray(pair) || pair.length !== 2 ||
+                    !Number.isInteger(pair[0]) || (pair[0] & ~INPUT_MASK) !== 0 ||
+                    !Number.isInteger(pair[1]) || pair[1] < 1) {
+                    throw new Error('INVALID_REPLAY');
+                }
+                totalTicks += pair[1];
+            }
+        }
+
+        if (totalTicks > MAX_REPLAY_TICKS) {
+            throw new Error('INVALID_REPLAY');
+        }
+    }
+}
+
+module.exports = ScoreVerifier;
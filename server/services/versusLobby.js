@@ -0,0 +1,239 @@
+const SeededRandom = require('../../client/js/random');
+const { generateLevel } = require('./levelGenerator');
+
+/**
+ * Versus Lobby
+ * Pairs signed-in players for online versus and referees their matches: both
+ * play the same seed, every formation row one of them clears drops garbage
+ * bullets on the other, and the first whose game ends loses. Connections are
+ * plain { user, send(message) } objects, so the WebSocket endpoint
+ * (versusSocket.js) and tests plug in the same way.
+ *
+ * Clients report their own progress, so the lobby keeps each player's level
+ * and how many rows they cleared on it: garbage stops at the formation's row
+ * count per level, and at MAX_ROWS_PER_WINDOW rows every ROW_WINDOW
+ * milliseconds. A player only moves up a level, one at a time, once every
+ * row of the current one has sent its garbage.
+ *
+ * Client messages: queue, cancel, state { score, lives, level },
+ * rowCleared { rows }, gameOver { score }.
+ * Server messages: queued, matched { seed, rating, opponent }, opponentState,
+ * garbage { count }, result { outcome, reason, score, opponentScore, rating,
+ * ratingChange }, error { error }.
+ */
+class VersusLobby {
+    /**
+     * @param {VersusService} versusService - Records results and ratings
+     * @param {Object} [options]
+     * @param {Function} [options.createSeed] - Seed for each match's games
+     * @param {Function} [options.getRowCount] - Formation rows on a level number
+     * @param {Function} [options.now] - Current time in milliseconds
+     */
+    constructor(versusService, {
+        createSeed = SeededRandom.createSeed,
+        getRowCount = level => VersusLobby.getRowCount(generateLevel(level)),
+        now = Date.now
+    } = {}) {
+        this.versusService = versusService;
+        this.createSeed = createSeed;
+        this.getRowCount = getRowCount;
+        this.now = now;
+        this.queue = [];
+        this.matches = new Set();
+    }
+
+    /**
+     * Handle one parsed message from a player
+     * @param {Object} connection - { user, send }
+     * @param {Object} message - { type, ... }
+     */
+    handleMessage(connection, message) {
+        switch (message?.type) {
+            case 'queue':
+                this.enqueue(connection);
+                break;
+            case 'cancel':
+                this.dequeue(connection);
+                break;
+            case 'state':
+                this.relayState(connection, message);
+                break;
+            case 'rowCleared':
+                this.sendGarbage(connection, message.rows);
+                break;
+            case 'gameOver':
+                this.gameOver(connection, message.score);
+                break;
+            default:
+                connection.send({ type: 'error', error: 'UNKNOWN_MESSAGE' });
+        }
+    }
+
+    /**
+     * A player's connection closed: leave the queue, or forfeit the match
+     * @param {Object} connection - { user, send }
+     */
+    disconnect(connection) {
+        this.dequeue(connection);
+        if (connection.match) {
+            this.finish(connection.match, connection, 'forfeit');
+        }
+    }
+
+    enqueue(connection) {
+        if (connection.match) {
+            connection.send({ type: 'error', error: 'ALREADY_IN_MATCH' });
+            return;
+        }
+        // One seat per player, however many tabs they have open
+        if (this.queue.some(queued => queued.user.id === connection.user.id) ||
+            [...this.matches].some(match => match.players.some(player => player.user.id === connection.user.id))) {
+            connection.send({ type: 'error', error: 'ALREADY_QUEUED' });
+            return;
+        }
+
+        this.queue.push(connection);
+        connection.send({ type: 'queued' });
+
+        if (this.queue.length >= 2) {
+            this.start(this.queue.shift(), this.queue.shift());
+        }
+    }
+
+    dequeue(connection) {
+        this.queue = this.queue.filter(queued => queued !== connection);
+    }
+
+    start(first, second) {
+        const match = { seed: this.createSeed(), players: [first, second] };
+        this.matches.add(match);
+
+        match.players.forEach(connection => {
+            const opponent = this.getOpponent(match, connection);
+            connection.match = match;
+            connection.score = 0;
+            connection.level = 1;
+            connection.rowsCleared = 0; // on connection.level
+            connection.rowWindow = { start: -Infinity, rows: 0 };
+            connection.send({
+                type: 'matched',
+                seed: match.seed,
+                rating: this.versusService.getRating(connection.user.id).rating,
+                opponent: {
+                    id: opponent.user.id,
+                    username: opponent.user.username,
+                    rating: this.versusService.getRating(opponent.user.id).rating
+                }
+            });
+        });
+    }
+
+    relayState(connection, { score, lives, level }) {
+        const { match } = connection;
+        if (!match) return;
+
+        connection.score = VersusLobby.toCount(score);
+        // Levels only come one at a time, once the current formation's rows
+        // are used up; each starts a fresh one. Rows the per-second cap held
+        // back are made up from the next level's, so the lobby catches up.
+        if (VersusLobby.toCount(level) > connection.level &&
+            connection.rowsCleared >= this.getRowCount(connection.level)) {
+            connection.level++;
+            connection.rowsCleared = 0;
+        }
+        this.getOpponent(match, connection).send({
+            type: 'opponentState',
+            score: connection.score,
+            lives: VersusLobby.toCount(lives),
+            level: connection.level
+        });
+    }
+
+    sendGarbage(connection, rows) {
+        const { match } = connection;
+        if (!match) return;
+
+        const now = this.now();
+        const { rowWindow } = connection;
+        if (now - rowWindow.start >= VersusLobby.ROW_WINDOW) {
+            rowWindow.start = now;
+            rowWindow.rows = 0;
+        }
+
+        // No more rows than the level has left, or the window allows
+        const allowed = Math.min(
+            this.getRowCount(connection.level) - connection.rowsCleared,
+            VersusLobby.MAX_ROWS_PER_WINDOW - rowWindow.rows
+        );
+        const cleared = Math.min(VersusLobby.toCount(rows), Math.max(0, allowed));
+        if (cleared > 0) {
+            connection.rowsCleared += cleared;
+            rowWindow.rows += cleared;
+            this.getOpponent(match, connection).send({ type: 'garbage', count: cleared * VersusLobby.GARBAGE_PER_ROW });
+        }
+    }
+
+    gameOver(connection, score) {
+        const { match } = connection;
+        if (!match) return;
+
+        connection.score = VersusLobby.toCount(score);
+        this.finish(match, connection, 'game-over');
+    }
+
+    // End a match with `loser` out, record it and tell both players
+    finish(match, loser, reason) {
+        const winner = this.getOpponent(match, loser);
+        this.matches.delete(match);
+        match.players.forEach(connection => {
+            connection.match = null;
+        });
+
+        let ratings = null;
+        try {
+            ratings = this.versusService.recordMatch({
+                winnerId: winner.user.id,
+                loserId: loser.user.id,
+                winnerScore: winner.score,
+                loserScore: loser.score,
+                seed: match.seed,
+                reason
+            });
+        } catch (error) {
+            console.error('Versus result error:', error);
+        }
+
+        [[winner, loser, 'win', ratings?.winner], [loser, winner, 'loss', ratings?.loser]].forEach(([connection, opponent, outcome, rating]) => {
+            connection.send({
+                type: 'result',
+                outcome,
+                reason,
+                score: connection.score,
+                opponentScore: opponent.score,
+                rating: rating?.rating ?? null,
+                ratingChange: rating?.rating_change ?? null
+            });
+        });
+    }
+
+    getOpponent(match, connection) {
+        return match.players[0] === connection ? match.players[1] : match.players[0];
+    }
+
+    // Rows in a level's formation: its custom layout's, or the grid's
+    static getRowCount(levelData) {
+        const { formation, layout } = levelData.specialMechanics || {};
+        return formation === 'custom' && Array.isArray(layout) ? layout.length : levelData.enemyRows;
+    }
+
+    // Non-negative integer from a client-supplied number, 0 for anything else
+    static toCount(value) {
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+    }
+}
+
+VersusLobby.GARBAGE_PER_ROW = 2; // bullets dropped on the opponent per cleared row
+VersusLobby.MAX_ROWS_PER_WINDOW = 3; // rows a player can send garbage for per ROW_WINDOW
+VersusLobby.ROW_WINDOW = 1000; // milliseconds
+
+module.exports = VersusLobby;
@@ -0,0 +1,148 @@
+/**
+ * Versus Service
+ * Records online head-to-head results and keeps each player's Elo rating
+ */
+class VersusService {
+    /**
+     * @param {Database} db - SQLite database instance
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Record a finished match and move both players' ratings
+     * @param {Object} match
+     * @param {number} match.winnerId - User who outlasted the other
+     * @param {number} match.loserId - User whose game ended first (or who left)
+     * @param {number} [match.winnerScore] - Winner's score when the match ended
+     * @param {number} [match.loserScore] - Loser's final score
+     * @param {number} match.seed - Seed both games were played on
+     * @param {string} [match.reason] - 'game-over', or 'forfeit' when the loser left
+     * @returns {Object} - { match_id, winner: { rating, rating_change }, loser: { rating, rating_change } }
+     */
+    recordMatch({ winnerId, loserId, winnerScore = 0, loserScore = 0, seed, reason = 'game-over' }) {
+        if (winnerId === loserId) {
+            throw new Error('INVALID_MATCH');
+        }
+
+        const record = this.db.transaction(() => {
+            const winner = this.getRating(winnerId);
+            const loser = this.getRating(loserId);
+            const change = VersusService.getRatingChange(winner.rating, loser.rating);
+
+            const upsertRating = this.db.prepare(`
+                INSERT INTO versus_ratings (user_id, rating, wins, losses)
+                VALUES (@userId, @rating, @wins, @losses)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    rating = excluded.rating,
+                    wins = excluded.wins,
+                    losses = excluded.losses,
+                    updated_at = CURRENT_TIMESTAMP
+            `);
+            upsertRating.run({ userId: winnerId, rating: winner.rating + change, wins: winner.wins + 1, losses: winner.losses });
+            upsertRating.run({ userId: loserId, rating: loser.rating - change, wins: loser.wins, losses: loser.losses + 1 });
+
+            const result = this.db.prepare(`
+                INSERT INTO versus_matches (winner_id, loser_id, winner_score, loser_score,
+                    winner_rating_change, loser_rating_change, seed, reason)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(winnerId, loserId, winnerScore, loserScore, change, -change, seed, reason);
+
+            return {
+                match_id: Number(result.lastInsertRowid),
+                winner: { rating: winner.rating + change, rating_change: change },
+                loser: { rating: loser.rating - change, rating_change: -change }
+            };
+        });
+
+        return record();
+    }
+
+    /**
+     * A player's rating and record; players who never played versus start at INITIAL_RATING
+     * @param {number} userId - User ID
+     * @returns {Object} - { user_id, rating, wins, losses }
+     */
+    getRating(userId) {
+        const row = this.db.prepare(`
+            SELECT user_id, rating, wins, losses FROM versus_ratings WHERE user_id = ?
+        `).get(userId);
+
+        return row || { user_id: userId, rating: VersusService.INITIAL_RATING, wins: 0, losses: 0 };
+    }
+
+    /**
+     * Players ranked by rating
+     * @param {number} limit - Number of entries to return
+     * @param {number} offset - Offset for pagination
+     * @returns {Object} - { rankings: [{ rank, user_id, username, profile_picture_url, rating, wins, losses }], total }
+     */
+    getRankings(limit = 100, offset = 0) {
+        const rankings = this.db.prepare(`
+            SELECT
+                users.id as user_id,
+                users.username,
+                users.profile_picture_url,
+                versus_ratings.rating,
+                versus_ratings.wins,
+                versus_ratings.losses
+            FROM versus_ratings
+            INNER JOIN users ON users.id = versus_ratings.user_id
+            ORDER BY versus_ratings.rating DESC, versus_ratings.wins DESC, versus_ratings.updated_at ASC
+            LIMIT ? OFFSET ?
+        `).all(limit, offset);
+
+        const { total } = this.db.prepare('SELECT COUNT(*) as total FROM versus_ratings').get();
+
+        return {
+            rankings: rankings.map((entry, index) => ({ rank: offset + index + 1, ...entry })),
+            total
+        };
+    }
+
+    /**
+     * A player's recent matches, newest first
+     * @param {number} userId - User ID
+     * @param {number} limit - Number of matches to return
+     * @returns {Array} - Array of { match_id, outcome, opponent_id, opponent, score,
+     *     opponent_score, rating_change, reason, played_at }
+     */
+    getMatches(userId, limit = 20) {
+        return this.db.prepare(`
+            SELECT
+                versus_matches.id as match_id,
+                CASE WHEN versus_matches.winner_id = @userId THEN 'win' ELSE 'loss' END as outcome,
+                opponents.id as opponent_id,
+                opponents.username as opponent,
+                CASE WHEN versus_matches.winner_id = @userId THEN winner_score ELSE loser_score END as score,
+                CASE WHEN versus_matches.winner_id = @userId THEN loser_score ELSE winner_score END as opponent_score,
+                CASE WHEN versus_matches.winner_id = @userId THEN winner_rating_change ELSE loser_rating_change END as rating_change,
+                versus_matches.reason,
+                versus_matches.played_at
+            FROM versus_matches
+            INNER JOIN users opponents ON opponents.id =
+                CASE WHEN versus_matches.winner_id = @userId THEN versus_matches.loser_id ELSE versus_matches.winner_id END
+            WHERE versus_matches.winner_id = @userId OR versus_matches.loser_id = @userId
+            ORDER BY versus_matches.played_at DESC, versus_matches.id DESC
+            LIMIT @limit
+        `).all({ userId, limit });
+    }
+
+    /**
+     * Points the winner takes from the loser: more for an upset, fewer for
+     * beating someone rated far below you
+     * @param {number} winnerRating - Winner's rating before the match
+     * @param {number} loserRating - Loser's rating before the match
+     * @returns {number} - Rating change, at least 1
+     */
+    static getRatingChange(winnerRating, loserRating) {
+        const expected = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
+        return Math.max(1, Math.round(VersusService.K_FACTOR * (1 - expected)));
+    }
+}
+
+VersusService.INITIAL_RATING = 1000;
+VersusService.K_FACTOR = 32;
+
+module.exports = VersusService;
@@ -0,0 +1,71 @@
+const { WebSocketServer } = require('ws');
+
+const VERSUS_PATH = '/api/v1/versus';
+
+/**
+ * Serve the versus lobby over WebSockets at VERSUS_PATH. Upgrade requests go
+ * through the app's session middleware first, so only signed-in players get in.
+ * @param {http.Server} server - The listening HTTP server
+ * @param {Object} options
+ * @param {VersusLobby} options.lobby - Matchmaking and match referee
+ * @param {Array<Function>} options.sessionMiddleware - Session and passport middleware
+ * @returns {WebSocketServer}
+ */
+function attachVersusSocket(server, { lobby, sessionMiddleware }) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 4 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+        if (new URL(req.url, 'http://localhost').pathname !== VERSUS_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        runMiddleware(sessionMiddleware, req, (error) => {
+            if (error || !req.user) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) => {
+                const connection = {
+                    user: { id: req.user.id, username: req.user.username },
+                    send: (message) => {
+                        if (ws.readyState === ws.OPEN) {
+                            ws.send(JSON.stringify(message));
+                        }
+                    }
+                };
+
+                ws.on('message', (data) => {
+                    let message;
+                    try {
+                        message = JSON.parse(data);
+                    } catch {
+                        connection.send({ type: 'error', error: 'INVALID_MESSAGE' });
+                        return;
+                    }
+                    lobby.handleMessage(connection, message);
+                });
+                ws.on('close', () => lobby.disconnect(connection));
+            });
+        });
+    });
+
+    return wss;
+}
+
+// Run Express middleware on a bare upgrade request (there is no response yet)
+function runMiddleware(middleware, req, done) {
+    const res = {};
+    const next = (index) => (error) => {
+        if (error || index === middleware.length) {
+            done(error);
+            return;
+        }
+        middleware[index](req, res, next(index + 1));
+    };
+    next(0)();
+}
+
+module.exports = { attachVersusSocket, VERSUS_PATH };
@@ -0,0 +1,220 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const aiLevelGenerator = require('../server/services/aiLevelGenerator');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+describe('AILevelGenerator.storeLevel', () => {
+    it('keeps every level it hands out by id, past cache clears and regeneration', () => {
+        const first = aiLevelGenerator.storeLevel({ ...generateLevel(3) });
+        const second = aiLevelGenerator.storeLevel({ ...generateLevel(3) });
+        aiLevelGenerator.clearCache();
+
+        assert.notEqual(first.levelId, second.levelId);
+        assert.equal(aiLevelGenerator.getGeneratedLevel(first.levelId), first);
+        assert.equal(aiLevelGenerator.getGeneratedLevel(second.levelId), second);
+        assert.equal(aiLevelGenerator.getGeneratedLevel('made-up'), null);
+    });
+});
+
+describe('AILevelGenerator.validateAndSanitizeLevel', () => {
+    const baseLevel = generateLevel(4);
+
+    it('clamps numbers into the playable ranges', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            enemyCount: 500,
+            enemySpeed: 0.1,
+            enemyDropSpeed: 1000,
+            enemyBulletSpeed: 0.2,
+            enemyBulletFrequency: 1,
+            enemyRows: 20,
+            enemyCols: 1,
+            pointsPerEnemy: 1
+        }, 5, baseLevel);
+
+        assert.equal(level.level, 5);
+        assert.equal(level.enemyCount, 80);
+        assert.equal(level.enemySpeed, 0.5);
+        assert.equal(level.enemyDropSpeed, 80);
+        assert.equal(level.enemyBulletSpeed, 1.0);
+        assert.equal(level.enemyBulletFrequency, 0.01);
+        assert.equal(level.enemyRows, 8);
+        assert.equal(level.enemyCols, 5);
+        assert.equal(level.pointsPerEnemy, 10);
+        assert.equal(level.enemyMoveDirection, 1);
+    });
+
+    it('fills missing fields from the base level', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel);
+
+        assert.equal(level.enemySpeed, baseLevel.enemySpeed);
+        assert.equal(level.enemyRows, baseLevel.enemyRows);
+        assert.equal(level.pointsPerEnemy, baseLevel.pointsPerEnemy);
+        assert.deepEqual(level.walls, baseLevel.walls);
+    });
+
+    it('replaces unknown enemy types with basic', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({ enemyType: 'dragon' }, 5, baseLevel);
+
+        assert.equal(level.enemyType, 'basic');
+    });
+
+    it('sanitizes walls', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            walls: { count: 10, width: 10, height: 100, health: 0 }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.walls, { count: 4, width: 70, height: 60, health: 5, yPosition: 450, shape: 'arch' });
+    });
+
+    it('uses default walls when neither config has any', () => {
+        const { walls, ...noWalls } = baseLevel;
+        const level = aiLevelGenerator.validateAndSanitizeLevel({}, 5, noWalls);
+
+        assert.deepEqual(level.walls, { count: 4, width: 80, height: 60, health: 5, yPosition: 450, shape: 'arch' });
+    });
+
+    it('sanitizes wall shapes, masks, positions and regeneration', () => {
+        const { walls } = aiLevelGenerator.validateAndSanitizeLevel({
+            walls: {
+                width: 80,
+                shape: 'castle',
+                mask: ['.##.', '#x##', 7],
+                positions: [700, 'left', 10, 100, 400, 900],
+                regenerate: false
+            }
+        }, 5, baseLevel);
+
+        assert.equal(walls.shape, 'arch');
+        assert.deepEqual(walls.mask, ['.##.', '#.##', '']);
+        // Kept on screen, left to right, and no closer than a wall's width
+        assert.deepEqual(walls.positions, [40, 400, 700]);
+        assert.equal(walls.count, 3);
+        assert.equal(walls.regenerate, false);
+
+        const plain = aiLevelGenerator.validateAndSanitizeLevel({ walls: { shape: 'block', mask: ['....'], positions: [] } }, 5, baseLevel).walls;
+        assert.equal(plain.shape, 'block');
+        assert.equal(plain.mask, undefined);
+        assert.equal(plain.positions, undefined);
+        assert.equal(plain.regenerate, undefined);
+    });
+
+    it('drops unknown special mechanics', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            specialMechanics: {
+                formation: 'spiral-galaxy',
+                movementPattern: 'teleport',
+                powerUps: ['shield', 'nuke', 'rapid-fire'],
+                bossProperties: { health: 50, size: 0.2, specialAttacks: ['laser', 'nuke', 'missile', 'spread-shot', 'laser'] }
+            }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.specialMechanics, {
+            formation: 'grid',
+            movementPattern: 'standard',
+            powerUps: ['shield', 'rapid-fire'],
+            bossProperties: { health: 10, size: 1.0, specialAttacks: ['laser', 'missile', 'spread-shot'] }
+        });
+    });
+
+    it('keeps a custom formation only with a usable layout', () => {
+        const sanitize = layout => aiLevelGenerator.validateAndSanitizeLevel({
+            specialMechanics: { formation: 'custom', layout }
+        }, 5, baseLevel).specialMechanics;
+
+        const custom = sanitize(['..aaa..', 'b?b', 'ffffffffffffffffffff', '..', '']);
+        assert.equal(custom.formation, 'custom');
+        assert.deepEqual(custom.layout, ['..aaa', 'b.b', 'fffffffffffffff']);
+
+        assert.equal(sanitize(['...', 'xyz']).formation, 'grid');
+        assert.equal(sanitize(Array(8).fill('#'.repeat(15))).formation, 'grid');
+        assert.equal(sanitize('#####').layout, undefined);
+    });
+
+    it('trims enemy types to the grid and replaces unknown ones', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            enemyRows: 3,
+            enemyCols: 5,
+            enemyType: 'fast',
+            enemyTypes: ['boss', ['basic', 'dragon', 'aggressive', 'fast', 'basic', 'boss'], 42, 'basic']
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.enemyTypes, ['boss', ['basic', 'fast', 'aggressive', 'fast', 'basic'], 'fast']);
+        assert.equal(aiLevelGenerator.validateAndSanitizeLevel({ enemyTypes: 'boss' }, 5, baseLevel).enemyTypes, undefined);
+    });
+
+    it('sanitizes the march acceleration curve', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({ marchAcceleration: { minInterval: 0, curve: 10 } }, 5, baseLevel);
+
+        assert.deepEqual(level.marchAcceleration, { minInterval: 0.1, curve: 4 });
+        assert.deepEqual(
+            aiLevelGenerator.validateAndSanitizeLevel({ marchAcceleration: { minInterval: 'fast', curve: null } }, 5, baseLevel).marchAcceleration,
+            { minInterval: 0.1, curve: 1 }
+        );
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel).marchAcceleration, baseLevel.marchAcceleration);
+    });
+
+    it('sanitizes dive attacks, or keeps the base level\'s', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            diveAttacks: { frequency: 5, maxDivers: 12, types: ['boss', 'fast', 'fast'] }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.diveAttacks, { frequency: 1, maxDivers: 4, types: ['fast'] });
+        assert.deepEqual(
+            aiLevelGenerator.validateAndSanitizeLevel({ diveAttacks: { frequency: 'often', maxDivers: [2, 3] } }, 5, baseLevel).diveAttacks,
+            { frequency: 0, maxDivers: 1, types: ['fast', 'aggressive'] }
+        );
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel).diveAttacks, baseLevel.diveAttacks);
+    });
+
+    it('sanitizes power-up drops, or keeps the base level\'s', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            powerUps: { dropRate: 0.9, types: { shield: { weight: 2.6, duration: 60 }, points: { weight: 40, duration: 5 }, nuke: { weight: 1 }, 'auto-aim': 'often' } }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.powerUps, { dropRate: 0.3, types: { shield: { weight: 3, duration: 20 }, points: { weight: 10 } } });
+        assert.deepEqual(
+            aiLevelGenerator.validateAndSanitizeLevel({ powerUps: { dropRate: 'high', types: { shield: { weight: 'heavy', duration: 'long' } } } }, 5, baseLevel).powerUps,
+            { dropRate: 0.1, types: { shield: { weight: 1, duration: 10 } } }
+        );
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({ powerUps: { types: { nuke: {} } } }, 5, baseLevel).powerUps, baseLevel.powerUps);
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel).powerUps, baseLevel.powerUps);
+    });
+
+    it('sanitizes the mystery ship, or keeps the base level\'s', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            mysteryShip: { interval: 1, shots: 500, speed: 9, points: [5, 'lots', 200, 5000] }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.mysteryShip, { interval: 10, shots: 50, speed: 5.0, points: [10, 200, 1000] });
+        assert.deepEqual(
+            aiLevelGenerator.validateAndSanitizeLevel({ mysteryShip: { interval: 'soon', shots: {}, speed: '3' } }, 5, baseLevel).mysteryShip,
+            { interval: 25, shots: 22, speed: 2, points: [50, 100, 150, 300] }
+        );
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({ mysteryShip: { enabled: false, interval: 20 } }, 5, baseLevel).mysteryShip,
+            { enabled: false });
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel).mysteryShip, baseLevel.mysteryShip);
+    });
+
+    it('sanitizes enemy armor, or keeps the base level\'s', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            enemyHealth: { basic: 0, aggressive: 2.4, boss: 40, dragon: 3, fast: 'lots' }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.enemyHealth, { basic: 1, aggressive: 2, boss: 5 });
+        assert.deepEqual(aiLevelGenerator.validateAndSanitizeLevel({}, 5, baseLevel).enemyHealth, baseLevel.enemyHealth);
+    });
+
+    it('sanitizes the theme', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({
+            theme: { color: 'red; background: url(x)', atmosphere: 'nebula' }
+        }, 5, baseLevel);
+
+        assert.deepEqual(level.theme, { color: '#ffffff', atmosphere: 'nebula' });
+    });
+
+    it('truncates balance notes', () => {
+        const level = aiLevelGenerator.validateAndSanitizeLevel({ balanceNotes: 'x'.repeat(500) }, 5, baseLevel);
+
+        assert.equal(level.balanceNotes.length, 200);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuthService = require('../server/services/authService');
+const { createTestDatabase, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+describe('AuthService.upsertUser', () => {
+    let db;
+    let service;
+
+    beforeEach(() => {
+        db = createTestDatabase();
+        service = new AuthService(db);
+    });
+
+    it('creates a user from an OAuth profile', () => {
+        const user = service.upsertUser('github', {
+            id: '42',
+            displayName: 'Alice',
+            emails: [{ value: 'alice@example.com' }],
+            photos: [{ value: 'https://example.com/alice.png' }]
+        });
+
+        assert.equal(user.provider, 'github');
+        assert.equal(user.provider_id, '42');
+        assert.equal(user.username, 'Alice');
+        assert.equal(user.email, 'alice@example.com');
+        assert.equal(user.profile_picture_url, 'https://example.com/alice.png');
+        assert.deepEqual(service.getUserById(user.id), user);
+    });
+
+    it('updates the existing user on the next sign-in', () => {
+        const first = service.upsertUser('google', { id: '7', displayName: 'Old Name' });
+        const second = service.upsertUser('google', { id: '7', displayName: 'New Name' });
+
+        assert.equal(second.id, first.id);
+        assert.equal(second.username, 'New Name');
+        assert.equal(db.prepare('SELECT COUNT(*) as count FROM users').get().count, 1);
+    });
+
+    it('keeps the same provider ID on different providers apart', () => {
+        const github = service.upsertUser('github', { id: '1', displayName: 'A' });
+        const microsoft = service.upsertUser('microsoft', { id: '1', displayName: 'B' });
+
+        assert.notEqual(github.id, microsoft.id);
+    });
+
+    it('falls back through username, given name and "Player"', () => {
+        assert.equal(service.upsertUser('github', { id: '1', username: 'octocat' }).username, 'octocat');
+        assert.equal(service.upsertUser('google', { id: '2', name: { givenName: 'Ada' } }).username, 'Ada');
+        assert.equal(service.upsertUser('microsoft', { id: '3' }).username, 'Player');
+    });
+
+    it('stores missing email and photo as null', () => {
+        const user = service.upsertUser('github', { id: '9', displayName: 'NoExtras' });
+
+        assert.equal(user.email, null);
+        assert.equal(user.profile_picture_url, null);
+    });
+
+    it('rejects unsupported providers', () => {
+        assert.throws(() => service.upsertUser('myspace', { id: '1', displayName: 'Tom' }), /CHECK constraint/);
+    });
+});
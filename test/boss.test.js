@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet, Laser, Missile, Wall } = require('../client/js/entities');
+const { EnemyWeapon } = require('../client/js/weapons');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startBossLevel(bossProperties) {
+    const simulation = new GameSimulation();
+    simulation.reset(3);
+    simulation.loadLevel({ ...generateLevel(1), enemyType: 'boss', enemyTypes: null, specialMechanics: { bossProperties } });
+    return simulation;
+}
+
+// Put a player bullet right on top of an enemy and run the collision pass
+function shoot(simulation, enemy) {
+    simulation.bullets.push(new Bullet(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, 0, -8, '#00ff00', true));
+    simulation.checkCollisions();
+}
+
+function recordEvents(simulation) {
+    const events = [];
+    simulation.onEvent = (type, data) => events.push({ type, ...data });
+    return events;
+}
+
+describe('boss levels', () => {
+    it('grows the boss to its size above the formation', () => {
+        const simulation = startBossLevel({ health: 6, size: 2, specialAttacks: ['laser'] });
+        const [boss, ...others] = simulation.enemies;
+
+        assert.equal(boss.isBoss, true);
+        assert.equal(boss.width, 80);
+        assert.equal(boss.height, 70);
+        assert.equal(boss.x + boss.width / 2, simulation.width / 2);
+        assert.ok(others.every(enemy => enemy.y >= boss.y + boss.height));
+        assert.deepEqual(boss.weapons.map(weapon => weapon.name), ['laser']);
+    });
+
+    it('takes many hits, changing phase on the way down, and scores on the last', () => {
+        const simulation = startBossLevel({ health: 6, size: 1.5, specialAttacks: ['spread-shot'] });
+        const events = recordEvents(simulation);
+        const boss = simulation.enemies[0];
+
+        for (let hit = 0; hit < 5; hit++) {
+            shoot(simulation, boss);
+        }
+
+        assert.equal(boss.health, 1);
+        assert.equal(simulation.enemies[0], boss);
+        assert.equal(simulation.score, 0);
+        assert.equal(events.filter(e => e.type === 'bossHit').length, 5);
+        assert.deepEqual(events.filter(e => e.type === 'bossPhase').map(e => e.phase), [2, 3]);
+
+        shoot(simulation, boss);
+
+        assert.equal(simulation.enemies.includes(boss), false);
+        assert.equal(simulation.combo, 6);
+        assert.equal(simulation.score, boss.points * 2); // sixth hit in a row
+        assert.equal(boss.points, simulation.levelData.pointsPerEnemy * 6);
+    });
+
+    it('fires its special attacks in turn, faster in later phases', () => {
+        const simulation = startBossLevel({ health: 3, size: 1.5, specialAttacks: ['spread-shot', 'laser', 'missile'] });
+        const events = recordEvents(simulation);
+        const boss = simulation.enemies[0];
+
+        // Stay out of reach so the run doesn't end
+        simulation.player.invulnerable = true;
+        simulation.player.invulnerabilityTime = Infinity;
+
+        const attacksWithin = seconds => {
+            for (let i = 0; i < seconds * GameSimulation.TICK_RATE; i++) {
+                simulation.step(0);
+            }
+            return events.filter(e => e.type === 'bossAttack').map(e => e.attack);
+        };
+
+        assert.deepEqual(attacksWithin(9.5), ['spread-shot', 'laser', 'missile']);
+
+        shoot(simulation, boss);
+        shoot(simulation, boss);
+        assert.equal(boss.phase, 3);
+
+        events.length = 0;
+        assert.equal(attacksWithin(5.5).length, 3);
+    });
+});
+
+describe('enemy weapons', () => {
+    const simulation = startBossLevel({ health: 3, size: 1.5, specialAttacks: ['spread-shot'] });
+    const boss = simulation.enemies[0];
+
+    it('spread shot fans out more bullets each phase', () => {
+        const weapon = EnemyWeapon.create('spread-shot');
+
+        assert.equal(weapon.fire(boss, simulation, 1).length, 5);
+        const bullets = weapon.fire(boss, simulation, 3);
+        assert.equal(bullets.length, 9);
+        assert.ok(bullets[0].vx < 0 && bullets[8].vx > 0);
+        assert.ok(bullets.every(bullet => bullet.vy > 0));
+    });
+
+    it('laser warns first, passes walls and hits only once', () => {
+        const [laser] = EnemyWeapon.create('laser').fire(boss, simulation, 1);
+        const target = { getBounds: () => ({ x: laser.x, y: 500, width: 40, height: 30 }) };
+
+        assert.ok(laser instanceof Laser);
+        assert.equal(laser.y + laser.height, simulation.height);
+        assert.equal(laser.checkCollision(target), false);
+
+        laser.update(laser.chargeTime);
+        assert.equal(laser.checkCollision(target), true);
+        assert.equal(laser.passesWalls, true);
+
+        laser.spent = true;
+        assert.equal(laser.checkCollision(target), false);
+
+        laser.update(laser.fireTime);
+        assert.equal(laser.active, false);
+    });
+
+    it('missiles steer toward the player', () => {
+        const missiles = EnemyWeapon.create('missile').fire(boss, simulation, 2);
+        const player = simulation.player;
+        player.x = 700;
+
+        assert.equal(missiles.length, 2);
+        assert.ok(missiles[0] instanceof Missile);
+
+        const missile = missiles[0];
+        for (let i = 0; i < 30; i++) {
+            missile.update(GameSimulation.TICK, simulation.width, simulation.height);
+        }
+        assert.ok(missile.vx > 0);
+        assert.ok(Math.abs(Math.hypot(missile.vx, missile.vy) - missile.speed) < 1e-9);
+    });
+
+    it('walls stop missiles but not lasers', () => {
+        const wall = new Wall(100, 400, 80, 60, 5);
+        simulation.walls = [wall];
+        const laser = new Laser(140, 380, 100, 0);
+        const missile = new Missile(138, 420, simulation.player, 3);
+        laser.update(0);
+
+        assert.deepEqual(simulation.collideWithWalls([laser, missile], false), [laser]);
+    });
+
+    it('ignores unknown attacks', () => {
+        assert.equal(EnemyWeapon.create('nuke'), null);
+    });
+});
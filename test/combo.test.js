@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet } = require('../client/js/entities');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startLevel() {
+    const simulation = new GameSimulation();
+    simulation.reset(9);
+    simulation.loadLevel({ ...generateLevel(1), enemyTypes: null, enemyBulletFrequency: 0, powerUps: { dropRate: 0, types: {} } });
+    simulation.enemies.forEach(enemy => {
+        enemy.shootFrequency = 0;
+    });
+    return simulation;
+}
+
+function recordEvents(simulation) {
+    const events = [];
+    simulation.onEvent = (type, data) => events.push({ type, ...data });
+    return events;
+}
+
+// Put a player bullet on the last enemy and run the collision pass
+function hit(simulation) {
+    const enemy = simulation.enemies[simulation.enemies.length - 1];
+    simulation.bullets.push(new Bullet(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, 0, -8, '#00ff00', true));
+    simulation.checkCollisions();
+}
+
+describe('combos', () => {
+    it('raises the multiplier every few hits in a row, up to the maximum', () => {
+        const simulation = startLevel();
+        const multipliers = [];
+
+        for (let i = 0; i < 20; i++) {
+            hit(simulation);
+            multipliers.push(simulation.getComboMultiplier());
+        }
+
+        assert.deepEqual(multipliers.slice(0, 6), [1, 1, 1, 1, 2, 2]);
+        assert.equal(multipliers[9], 3);
+        assert.equal(multipliers[19], GameSimulation.MAX_COMBO_MULTIPLIER);
+    });
+
+    it('scores the bonus on top and floats it up from the kill', () => {
+        const simulation = startLevel();
+        const events = recordEvents(simulation);
+        const points = simulation.enemies[0].points;
+
+        for (let i = 0; i < GameSimulation.COMBO_STEP; i++) {
+            hit(simulation);
+        }
+
+        const bonuses = events.filter(event => event.type === 'comboBonus');
+        assert.equal(simulation.score, points * (GameSimulation.COMBO_STEP + 1));
+        assert.equal(bonuses.length, 1);
+        assert.equal(bonuses[0].bonus, points);
+        assert.equal(bonuses[0].multiplier, 2);
+    });
+
+    it('ends the chain on a miss', () => {
+        const simulation = startLevel();
+        const events = recordEvents(simulation);
+        hit(simulation);
+        hit(simulation);
+
+        simulation.bullets.push(new Bullet(5, -5, 0, -8, '#00ff00', true));
+        simulation.step(0);
+
+        assert.equal(simulation.combo, 0);
+        assert.equal(simulation.bestCombo, 2);
+        assert.deepEqual(events.filter(event => event.type === 'comboLost'), [{ type: 'comboLost', combo: 2 }]);
+    });
+
+    it('ends the chain when the player is hit', () => {
+        const simulation = startLevel();
+        const { player } = simulation;
+        hit(simulation);
+
+        simulation.enemyBullets.push(new Bullet(player.x + player.width / 2, player.y + 5, 0, 0, '#ff0000', false));
+        simulation.checkCollisions();
+
+        assert.equal(simulation.combo, 0);
+    });
+
+    it('ends the chain when the next hit takes too long', () => {
+        const simulation = startLevel();
+        hit(simulation);
+
+        for (let i = 0; i < (GameSimulation.COMBO_WINDOW - 0.1) * GameSimulation.TICK_RATE; i++) {
+            simulation.updateCombo(GameSimulation.TICK);
+        }
+        assert.equal(simulation.combo, 1);
+
+        for (let i = 0; i < 0.2 * GameSimulation.TICK_RATE; i++) {
+            simulation.updateCombo(GameSimulation.TICK);
+        }
+        assert.equal(simulation.combo, 0);
+    });
+});
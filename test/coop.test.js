@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet } = require('../client/js/entities');
+const ScoreVerifier = require('../server/services/scoreVerifier');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+const { LEFT, FIRE, P2_LEFT, P2_RIGHT, P2_FIRE } = GameSimulation.INPUT;
+
+function startRun(mode = 'coop', ship = 'fighter') {
+    const simulation = new GameSimulation();
+    simulation.reset(9, mode, ship);
+    simulation.loadLevel(generateLevel(1));
+    return simulation;
+}
+
+// An enemy bullet right on top of a player
+function shootAt(simulation, player) {
+    const bullet = new Bullet(player.x + player.width / 2, player.y + 5, 0, 0, '#ff0000', false);
+    simulation.enemyBullets.push(bullet);
+}
+
+describe('co-op mode', () => {
+    it('puts two players side by side with their own color and lives', () => {
+        const simulation = startRun('coop', 'tank');
+        const [one, two] = simulation.players;
+
+        assert.equal(simulation.players.length, 2);
+        assert.equal(simulation.player, one);
+        assert.ok(one.x < simulation.width / 2 && two.x > simulation.width / 2);
+        assert.notEqual(one.color, two.color);
+        assert.equal(one.ship, 'tank');
+        assert.equal(two.ship, 'tank');
+        assert.deepEqual([one.lives, two.lives, simulation.lives], [4, 4, 8]);
+    });
+
+    it('keeps a single centered player in classic', () => {
+        const simulation = startRun('classic');
+
+        assert.equal(simulation.players.length, 1);
+        assert.equal(simulation.player.x, simulation.width / 2 - 20);
+    });
+
+    it('moves and fires each player from their own input bits', () => {
+        const simulation = startRun();
+        const [one, two] = simulation.players;
+        const start = [one.x, two.x];
+
+        simulation.step(LEFT | P2_RIGHT);
+        assert.ok(one.x < start[0]);
+        assert.ok(two.x > start[1]);
+
+        simulation.step(P2_FIRE);
+        assert.equal(simulation.bullets.length, 1);
+        assert.equal(simulation.bullets[0].owner, two);
+
+        simulation.step(P2_LEFT | FIRE);
+        assert.equal(simulation.bullets.length, 2);
+        assert.equal(simulation.bullets[1].owner, one);
+    });
+
+    it('ignores player two\'s bits in classic', () => {
+        const simulation = startRun('classic');
+        const x = simulation.player.x;
+
+        simulation.step(P2_LEFT | P2_FIRE);
+
+        assert.equal(simulation.player.x, x);
+        assert.equal(simulation.bullets.length, 0);
+    });
+
+    it('credits a kill to whoever shot it, and adds it to the team score', () => {
+        const simulation = startRun();
+        const [one, two] = simulation.players;
+        const enemy = simulation.enemies.find(e => !e.isBoss);
+        const bullet = new Bullet(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, 0, -8, '#00ff00', true);
+        bullet.owner = two;
+        simulation.bullets.push(bullet);
+
+        simulation.checkCollisions();
+
+        assert.equal(one.score, 0);
+        assert.equal(two.score, enemy.points);
+        assert.equal(simulation.score, enemy.points);
+    });
+
+    it('benches a player out of lives and ends the game once both are out', () => {
+        const simulation = startRun();
+        const [one, two] = simulation.players;
+        const events = [];
+        simulation.onEvent = type => events.push(type);
+
+        for (let life = 0; life < 3; life++) {
+            one.invulnerable = false;
+            shootAt(simulation, one);
+            simulation.checkCollisions();
+        }
+
+        assert.equal(one.lives, 0);
+        assert.equal(one.active, false);
+        assert.equal(simulation.lives, 3);
+        assert.ok(events.includes('playerOut'));
+        simulation.checkGameConditions();
+        assert.equal(simulation.status, 'playing');
+
+        // Enemies aim at whoever is left
+        assert.equal(simulation.getTarget(one.x), two);
+
+        for (let life = 0; life < 3; life++) {
+            two.invulnerable = false;
+            shootAt(simulation, two);
+            simulation.checkCollisions();
+        }
+        simulation.checkGameConditions();
+
+        assert.equal(simulation.lives, 0);
+        assert.equal(simulation.status, 'gameOver');
+    });
+
+    it('records the mode, and the verifier replays both players', () => {
+        const simulation = startRun();
+        let frame = 0;
+        while (simulation.status === 'playing') {
+            simulation.step(frame % 2 === 0 ? FIRE | P2_FIRE : 0);
+            frame++;
+        }
+        while (simulation.status !== 'gameOver') {
+            simulation.loadLevel(generateLevel(simulation.currentLevel));
+            while (simulation.status === 'playing') {
+                simulation.step(0);
+            }
+        }
+
+        const run = simulation.getRunRecord();
+        assert.equal(run.mode, 'coop');
+
+        const verifier = new ScoreVerifier(level => generateLevel(level));
+        const result = verifier.verify(run);
+        assert.equal(result.mode, 'coop');
+        assert.equal(result.score, simulation.score);
+        assert.ok(simulation.players.every(player => player.score > 0));
+    });
+});
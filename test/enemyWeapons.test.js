@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet, Enemy, Laser, Missile, Pellet, Wall, ZigZagBullet } = require('../client/js/entities');
+const { EnemyWeapon } = require('../client/js/weapons');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startLevel() {
+    const simulation = new GameSimulation();
+    simulation.reset(3);
+    simulation.loadLevel(generateLevel(1));
+    simulation.enemyBullets = [];
+    return simulation;
+}
+
+// Fire one enemy of a type from the middle of the top of the screen
+function fire(simulation, type) {
+    const enemy = new Enemy(simulation.width / 2 - 15, 50, type);
+    simulation.fireEnemyWeapon(enemy);
+    return enemy;
+}
+
+describe('enemy weapons', () => {
+    it('keeps plain bullets for basic enemies', () => {
+        const simulation = startLevel();
+        fire(simulation, 'basic');
+
+        assert.equal(simulation.enemyBullets.length, 1);
+        assert.equal(simulation.enemyBullets[0].constructor, Bullet);
+        assert.equal(EnemyWeapon.forType('basic'), null);
+    });
+
+    it('gives fast enemies shots that weave around where they were fired', () => {
+        const simulation = startLevel();
+        fire(simulation, 'fast');
+        const [shot] = simulation.enemyBullets;
+        assert.ok(shot instanceof ZigZagBullet);
+
+        const xs = [];
+        for (let i = 0; i < 30; i++) {
+            shot.update(GameSimulation.TICK, simulation.width, simulation.height);
+            xs.push(shot.x);
+        }
+        assert.ok(Math.min(...xs) < shot.originX && Math.max(...xs) > shot.originX);
+        assert.ok(xs.every(x => Math.abs(x - shot.originX) <= ZigZagBullet.AMPLITUDE));
+    });
+
+    it('aims the aggressive spread at the nearest player', () => {
+        const simulation = startLevel();
+        simulation.player.x = 0;
+        fire(simulation, 'aggressive');
+
+        assert.equal(simulation.enemyBullets.length, 3);
+        assert.ok(simulation.enemyBullets.every(pellet => pellet instanceof Pellet && pellet.vy > 0));
+        // The middle pellet heads left, toward the player
+        assert.ok(simulation.enemyBullets[1].vx < 0);
+    });
+
+    it('alternates boss missiles and beams', () => {
+        const simulation = startLevel();
+        const enemy = fire(simulation, 'boss');
+        simulation.fireEnemyWeapon(enemy);
+
+        assert.equal(enemy.shotsFired, 2);
+        assert.ok(simulation.enemyBullets[0] instanceof Missile);
+        assert.ok(simulation.enemyBullets[0].speed < simulation.levelData.enemyBulletSpeed);
+        assert.ok(simulation.enemyBullets[1] instanceof Laser);
+    });
+
+    it('lets player shots bring down missiles', () => {
+        const simulation = startLevel();
+        fire(simulation, 'boss');
+        const [missile] = simulation.enemyBullets;
+        const events = [];
+        simulation.onEvent = (type) => events.push(type);
+
+        simulation.bullets.push(new Bullet(missile.x, missile.y, 0, -8, '#00ff00', true));
+        simulation.checkCollisions();
+
+        assert.equal(simulation.enemyBullets.length, 0);
+        assert.equal(simulation.bullets.length, 0);
+        assert.ok(events.includes('missileDestroyed'));
+    });
+
+    it('blasts craters in walls by projectile', () => {
+        const destroyed = (projectile) => {
+            const simulation = startLevel();
+            const wall = new Wall(100, 400, 80, 60, 5);
+            simulation.walls = [wall];
+            projectile.x = 140 - projectile.width / 2;
+            projectile.y = 430 - projectile.height / 2;
+            simulation.enemyBullets = [projectile];
+            simulation.checkCollisions();
+
+            assert.equal(simulation.enemyBullets.length, 0);
+            return wall.blocks.filter(block => !block.active).length;
+        };
+
+        const pellet = destroyed(new Pellet(0, 0, 0, 3));
+        const bullet = destroyed(new Bullet(0, 0, 0, 3, '#ff0000', false));
+        const missile = destroyed(new Missile(0, 0, null, 2));
+        assert.ok(pellet < bullet && bullet < missile);
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Player, PowerUp, Wall } = require('../client/js/entities');
+
+describe('Wall.takeDamage', () => {
+    it('knocks out blocks around the impact and loses health', () => {
+        const wall = new Wall(100, 400, 80, 60, 5);
+        const blocksBefore = wall.blocks.filter(block => block.active).length;
+
+        assert.equal(wall.takeDamage(140, 430, true), true);
+
+        assert.equal(wall.health, 4);
+        assert.ok(wall.blocks.filter(block => block.active).length < blocksBefore);
+        assert.equal(wall.active, true);
+    });
+
+    it('misses when there are no blocks left at the impact point', () => {
+        const wall = new Wall(100, 400, 80, 60, 5);
+        wall.takeDamage(140, 430, true);
+
+        assert.equal(wall.takeDamage(140, 430, true), false);
+        assert.equal(wall.health, 4);
+    });
+
+    it('enemy bullets blast a bigger hole', () => {
+        const playerHit = new Wall(100, 400, 80, 60, 5);
+        const enemyHit = new Wall(100, 400, 80, 60, 5);
+
+        playerHit.takeDamage(140, 430, true);
+        enemyHit.takeDamage(140, 430, false);
+
+        const destroyed = wall => wall.blocks.filter(block => !block.active).length;
+        assert.ok(destroyed(enemyHit) > destroyed(playerHit));
+    });
+
+    it('is destroyed when its health runs out', () => {
+        const wall = new Wall(100, 400, 80, 60, 2);
+
+        wall.takeDamage(110, 410, true);
+        wall.takeDamage(160, 450, true);
+
+        assert.equal(wall.health, 0);
+        assert.equal(wall.active, false);
+        assert.equal(wall.takeDamage(130, 430, true), false);
+    });
+});
+
+describe('bunker masks', () => {
+    it('leaves the arch open', () => {
+        const wall = new Wall(100, 400, 80, 60, 5, Wall.SHAPES.arch);
+        const full = new Wall(100, 400, 80, 60, 5);
+        const underArch = { x: 138, y: 452, width: 4, height: 8 };
+
+        assert.ok(wall.blocks.length < full.blocks.length);
+        assert.equal(wall.hitsBlock(underArch), false);
+        assert.equal(full.hitsBlock(underArch), true);
+        assert.equal(wall.hitsBlock({ x: 138, y: 410, width: 4, height: 8 }), true);
+    });
+
+    it('stretches a custom bitmap over the wall', () => {
+        const wall = new Wall(0, 0, 40, 40, 5, ['#.', '.#']);
+        const solid = (x, y) => wall.hitsBlock({ x, y, width: 1, height: 1 });
+
+        assert.equal(wall.blocks.length, 50);
+        assert.deepEqual([solid(5, 5), solid(30, 5), solid(5, 30), solid(30, 30)], [true, false, false, true]);
+    });
+
+    it('lets shots through holes blasted into it', () => {
+        const wall = new Wall(100, 400, 80, 60, 5);
+        const shot = { x: 138, y: 428, width: 4, height: 4 };
+        wall.takeDamage(140, 430, true);
+
+        assert.equal(wall.hitsBlock(shot), false);
+    });
+});
+
+describe('Player.takeDamage', () => {
+    it('becomes invulnerable for a while after a hit', () => {
+        const player = new Player(100, 550);
+
+        assert.equal(player.takeDamage(), true);
+        assert.equal(player.invulnerable, true);
+        assert.equal(player.takeDamage(), false);
+    });
+
+    it('can be hit again once invulnerability wears off', () => {
+        const player = new Player(100, 550);
+        player.takeDamage();
+
+        player.update(player.maxInvulnerabilityTime, 800);
+
+        assert.equal(player.invulnerable, false);
+        assert.equal(player.takeDamage(), true);
+    });
+
+    it('loses the shield instead of a life', () => {
+        const player = new Player(100, 550);
+        player.activatePowerUp('shield', 10);
+
+        assert.equal(player.takeDamage(), false);
+        assert.equal(player.hasShield, false);
+        assert.equal(player.invulnerable, false);
+    });
+
+    it('loses multi-shot when hit', () => {
+        const player = new Player(100, 550);
+        player.activatePowerUp('multi-shot', 0);
+
+        player.takeDamage();
+
+        assert.equal(player.hasMultiShot, false);
+    });
+});
+
+describe('power-up timers', () => {
+    it('expire timed power-ups after their duration', () => {
+        const player = new Player(100, 550);
+        player.activatePowerUp('shield', 1);
+        player.activatePowerUp('auto-aim', 2);
+
+        player.update(1, 800);
+        assert.equal(player.hasShield, false);
+        assert.equal(player.hasAutoAim, true);
+
+        player.update(1, 800);
+        assert.equal(player.hasAutoAim, false);
+    });
+
+    it('restore the normal fire rate when rapid fire ends', () => {
+        const player = new Player(100, 550);
+        player.activatePowerUp('rapid-fire', 8);
+        assert.equal(player.maxShootCooldown, 0.1);
+
+        player.update(8, 800);
+
+        assert.equal(player.hasRapidFire, false);
+        assert.equal(player.maxShootCooldown, player.baseShootCooldown);
+    });
+
+    it('keep multi-shot until the player is hit', () => {
+        const player = new Player(100, 550);
+        player.activatePowerUp('multi-shot', 0);
+
+        player.update(60, 800);
+
+        assert.equal(player.hasMultiShot, true);
+        assert.equal(player.shoot().length, 3);
+    });
+
+    it('give each power-up its duration', () => {
+        assert.equal(new PowerUp(0, 0, 'rapid-fire').duration, 8);
+        assert.equal(new PowerUp(0, 0, 'shield').duration, 10);
+        assert.equal(new PowerUp(0, 0, 'auto-aim').duration, 12);
+        assert.equal(new PowerUp(0, 0, 'life-up').duration, 0);
+    });
+
+    it('despawn uncollected power-ups after their lifetime', () => {
+        const powerUp = new PowerUp(100, 0, 'shield');
+
+        powerUp.update(10, 600);
+
+        assert.equal(powerUp.active, false);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const FollowService = require('../server/services/followService');
+const { createTestDatabase, createUser } = require('./helpers');
+
+describe('FollowService', () => {
+    let db;
+    let service;
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+        db = createTestDatabase();
+        service = new FollowService(db);
+        alice = createUser(db, 'alice');
+        bob = createUser(db, 'bob');
+    });
+
+    it('follows and unfollows', () => {
+        assert.deepEqual(service.follow(alice.id, bob.id), { user_id: bob.id, following: true });
+        assert.deepEqual(service.getFollowing(alice.id).map(user => user.username), ['bob']);
+        assert.deepEqual(service.getFollowing(bob.id), []);
+
+        assert.deepEqual(service.unfollow(alice.id, bob.id), { user_id: bob.id, following: false });
+        assert.deepEqual(service.getFollowing(alice.id), []);
+    });
+
+    it('treats repeated follows and unfollows as no-ops', () => {
+        service.follow(alice.id, bob.id);
+        service.follow(alice.id, bob.id);
+        assert.equal(service.getFollowing(alice.id).length, 1);
+
+        service.unfollow(alice.id, bob.id);
+        assert.doesNotThrow(() => service.unfollow(alice.id, bob.id));
+    });
+
+    it('rejects invalid, unknown and self targets', () => {
+        assert.throws(() => service.follow(alice.id, NaN), /INVALID_USER_ID/);
+        assert.throws(() => service.follow(alice.id, 999), /USER_NOT_FOUND/);
+        assert.throws(() => service.follow(alice.id, alice.id), /CANNOT_FOLLOW_SELF/);
+    });
+
+    it('forgets follows when a user is deleted', () => {
+        db.pragma('foreign_keys = ON');
+        service.follow(alice.id, bob.id);
+
+        db.prepare('DELETE FROM users WHERE id = ?').run(bob.id);
+
+        assert.deepEqual(service.getFollowing(alice.id), []);
+    });
+});
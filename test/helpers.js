@@ -0,0 +1,98 @@
+// Shared fixtures for the test suite
+const Database = require('better-sqlite3');
+const Migrator = require('../server/database/migrator');
+const GameSimulation = require('../client/js/simulation');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+/**
+ * Fresh in-memory database with every migration applied
+ * @returns {Database}
+ */
+function createTestDatabase() {
+    const db = new Database(':memory:');
+    new Migrator(db).up();
+    return db;
+}
+
+/**
+ * Insert a user directly
+ * @returns {Object} - The users row
+ */
+function createUser(db, username = 'player', provider = 'github') {
+    return db.prepare(`
+        INSERT INTO users (provider, provider_id, username)
+        VALUES (?, ?, ?)
+        RETURNING *
+    `).get(provider, `${username}-id`, username);
+}
+
+/**
+ * Insert a score directly, bypassing rate limiting and verification
+ * @returns {number} - Score ID
+ */
+function insertScore(db, userId, score, levelReached = 1, submittedAt = null) {
+    const result = db.prepare(`
+        INSERT INTO scores (user_id, score, level_reached, session_id, submitted_at)
+        VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `).run(userId, score, levelReached, uuid(), submittedAt);
+    return Number(result.lastInsertRowid);
+}
+
+// Random UUID v4, as the client generates for session IDs
+function uuid() {
+    return require('crypto').randomUUID();
+}
+
+/**
+ * Play a whole run on the standard levels with a bot that chases the nearest
+ * enemy column and keeps firing (clears level 1 on the default seed)
+ * @param {number} [seed] - Run seed
+ * @param {Object} [options] - { mode, ship } as GameSimulation.reset takes them
+ * @returns {Object} - { run, score, levelReached, bestCombo } as the client would submit them
+ */
+function playRun(seed = 1, { mode, ship } = {}) {
+    const { LEFT, RIGHT, FIRE } = GameSimulation.INPUT;
+    const simulation = new GameSimulation();
+    simulation.reset(seed, mode, ship);
+
+    let frame = 0;
+    while (simulation.status !== 'gameOver') {
+        if (simulation.status !== 'playing') {
+            simulation.loadLevel(generateLevel(simulation.currentLevel));
+        }
+
+        const center = simulation.player.x + simulation.player.width / 2;
+        const offset = enemy => enemy.x + enemy.width / 2 - center;
+        const target = simulation.enemies.reduce((best, enemy) =>
+            !best || Math.abs(offset(enemy)) < Math.abs(offset(best)) ? enemy : best, null);
+
+        let input = frame % 2 === 0 ? FIRE : 0;
+        if (target && offset(target) < -4) input |= LEFT;
+        if (target && offset(target) > 4) input |= RIGHT;
+        simulation.step(input);
+        frame++;
+    }
+
+    return {
+        run: simulation.getRunRecord({ includeLevelData: true }),
+        score: simulation.score,
+        levelReached: simulation.currentLevel,
+        bestCombo: simulation.bestCombo
+    };
+}
+
+// Silence service logging for the duration of a test file
+function silenceConsole() {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+}
+
+module.exports = {
+    createTestDatabase,
+    createUser,
+    insertScore,
+    uuid,
+    playRun,
+    silenceConsole
+};
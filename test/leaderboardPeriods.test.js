@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPeriodStart, isValidTimeZone, toSqliteTimestamp } = require('../server/services/leaderboardPeriods');
+
+describe('leaderboard periods', () => {
+    // Wednesday 2025-03-12 01:30 UTC
+    const now = new Date('2025-03-12T01:30:00Z');
+
+    it('starts each period at UTC midnight by default', () => {
+        assert.equal(getPeriodStart('daily', 'UTC', now).toISOString(), '2025-03-12T00:00:00.000Z');
+        assert.equal(getPeriodStart('weekly', 'UTC', now).toISOString(), '2025-03-10T00:00:00.000Z');
+        assert.equal(getPeriodStart('monthly', 'UTC', now).toISOString(), '2025-03-01T00:00:00.000Z');
+        assert.equal(getPeriodStart('all', 'UTC', now), null);
+    });
+
+    it('follows the local calendar of the time zone', () => {
+        // Still Tuesday evening in New York (UTC-4 since the DST switch on March 9)
+        assert.equal(getPeriodStart('daily', 'America/New_York', now).toISOString(), '2025-03-11T04:00:00.000Z');
+        assert.equal(getPeriodStart('weekly', 'America/New_York', now).toISOString(), '2025-03-10T04:00:00.000Z');
+        // March 1 was before the DST switch, so that midnight was UTC-5
+        assert.equal(getPeriodStart('monthly', 'America/New_York', now).toISOString(), '2025-03-01T05:00:00.000Z');
+
+        assert.equal(getPeriodStart('daily', 'Asia/Kolkata', now).toISOString(), '2025-03-11T18:30:00.000Z');
+    });
+
+    it('starts the week on Monday, even on a Sunday', () => {
+        const sunday = new Date('2025-03-16T12:00:00Z');
+
+        assert.equal(getPeriodStart('weekly', 'UTC', sunday).toISOString(), '2025-03-10T00:00:00.000Z');
+    });
+
+    it('steps back across month and year boundaries', () => {
+        const newYearsDay = new Date('2026-01-01T08:00:00Z'); // Thursday
+
+        assert.equal(getPeriodStart('weekly', 'UTC', newYearsDay).toISOString(), '2025-12-29T00:00:00.000Z');
+        assert.equal(getPeriodStart('monthly', 'Pacific/Auckland', newYearsDay).toISOString(), '2025-12-31T11:00:00.000Z');
+    });
+
+    it('rejects unknown periods and time zones', () => {
+        assert.throws(() => getPeriodStart('yearly', 'UTC', now), /INVALID_PERIOD/);
+        assert.equal(isValidTimeZone('Europe/Berlin'), true);
+        assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+        assert.equal(isValidTimeZone(''), false);
+    });
+
+    it('formats timestamps like SQLite', () => {
+        assert.equal(toSqliteTimestamp(new Date('2025-03-10T04:00:00.000Z')), '2025-03-10 04:00:00');
+    });
+});
@@ -0,0 +1,330 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LeaderboardService = require('../server/services/leaderboardService');
+const { createTestDatabase, createUser, insertScore, uuid, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+describe('LeaderboardService', () => {
+    let db;
+    let service;
+    let user;
+
+    beforeEach(() => {
+        db = createTestDatabase();
+        service = new LeaderboardService(db);
+        user = createUser(db, 'alice');
+    });
+
+    describe('submitScore', () => {
+        it('stores the score and reports its leaderboard position', () => {
+            const result = service.submitScore(user.id, 1500, 3, uuid());
+
+            assert.equal(result.score, 1500);
+            assert.equal(result.level_reached, 3);
+            assert.deepEqual(result.leaderboard_position, {
+                rank: 1,
+                is_new_personal_best: true,
+                previous_best: null
+            });
+        });
+
+        it('compares against the previous best', () => {
+            insertScore(db, user.id, 2000);
+
+            const result = service.submitScore(user.id, 1000, 2, uuid());
+
+            assert.equal(result.leaderboard_position.is_new_personal_best, false);
+            assert.equal(result.leaderboard_position.previous_best, 2000);
+        });
+
+        it('rate limits submissions from the same user', () => {
+            service.submitScore(user.id, 100, 1, uuid());
+
+            assert.throws(() => service.submitScore(user.id, 200, 1, uuid()), /RATE_LIMIT/);
+        });
+
+        it('allows another submission once the cooldown has passed', () => {
+            service.submitScore(user.id, 100, 1, uuid());
+            service.rateLimits.set(user.id, Date.now() - 5000);
+
+            assert.doesNotThrow(() => service.submitScore(user.id, 200, 1, uuid()));
+        });
+
+        it('does not rate limit other users', () => {
+            const bob = createUser(db, 'bob');
+            service.submitScore(user.id, 100, 1, uuid());
+
+            assert.doesNotThrow(() => service.submitScore(bob.id, 200, 1, uuid()));
+        });
+
+        it('rejects a session ID that was already submitted', () => {
+            const bob = createUser(db, 'bob');
+            const sessionId = uuid();
+            service.submitScore(user.id, 100, 1, sessionId);
+
+            assert.throws(() => service.submitScore(bob.id, 100, 1, sessionId), /DUPLICATE_SESSION/);
+        });
+
+        it('validates score, level and session ID', () => {
+            assert.throws(() => service.submitScore(user.id, -1, 1, uuid()), /INVALID_SCORE/);
+            assert.throws(() => service.submitScore(user.id, 1000000, 1, uuid()), /INVALID_SCORE/);
+            assert.throws(() => service.submitScore(user.id, 100, 0, uuid()), /INVALID_LEVEL/);
+            assert.throws(() => service.submitScore(user.id, 100, 1, 'not-a-uuid'), /INVALID_SESSION_ID/);
+        });
+
+        it('rejects scores the replay does not reproduce', () => {
+            const verifier = { verify: () => ({ score: 500, levelReached: 2, mode: 'classic', levelSource: 'standard', clears: [] }) };
+            service = new LeaderboardService(db, verifier);
+
+            assert.throws(() => service.submitScore(user.id, 900, 2, uuid(), {}), /SCORE_MISMATCH/);
+            // The failed attempt still counts towards the rate limit
+            assert.throws(() => service.submitScore(user.id, 500, 2, uuid(), {}), /RATE_LIMIT/);
+            service.rateLimits.set(user.id, Date.now() - 5000);
+            assert.equal(service.submitScore(user.id, 500, 2, uuid(), {}).score, 500);
+        });
+
+        it('stores the replay\'s best combo, which a claimed one must match', () => {
+            const verifier = { verify: () => ({ score: 500, levelReached: 2, bestCombo: 12, mode: 'classic', levelSource: 'standard', clears: [] }) };
+            service = new LeaderboardService(db, verifier);
+
+            assert.throws(() => service.submitScore(user.id, 500, 2, uuid(), {}, { bestCombo: 30 }), /SCORE_MISMATCH/);
+            service.rateLimits.set(user.id, Date.now() - 5000);
+            assert.throws(() => service.submitScore(user.id, 500, 2, uuid(), {}, { bestCombo: -1 }), /INVALID_COMBO/);
+            assert.equal(service.submitScore(user.id, 500, 2, uuid(), {}, { bestCombo: 12 }).best_combo, 12);
+            assert.equal(db.prepare('SELECT best_combo FROM scores').get().best_combo, 12);
+            assert.equal(service.getUserStats(user.id).best_combo, 12);
+        });
+
+        it('files the score and its level clears under the replay\'s mode and level source', () => {
+            const verifier = {
+                verify: () => ({
+                    score: 800,
+                    levelReached: 3,
+                    mode: 'classic',
+                    levelSource: 'ai',
+                    clears: [{ level: 1, source: 'ai', ticks: 1200 }, { level: 2, source: 'fallback', ticks: 2400 }]
+                })
+            };
+            service = new LeaderboardService(db, verifier);
+            insertScore(db, user.id, 5000);
+
+            const result = service.submitScore(user.id, 800, 3, uuid(), {});
+
+            assert.equal(result.level_source, 'ai');
+            assert.equal(result.levels_cleared, 2);
+            // The standard-levels 5000 is on another board
+            assert.deepEqual(result.leaderboard_position, { rank: 1, is_new_personal_best: true, previous_best: null });
+            assert.deepEqual(
+                db.prepare('SELECT level, level_source, ticks FROM level_clears ORDER BY level').all(),
+                [{ level: 1, level_source: 'ai', ticks: 1200 }, { level: 2, level_source: 'fallback', ticks: 2400 }]
+            );
+        });
+    });
+
+    describe('getLeaderboard', () => {
+        it('ranks each player by their best score', () => {
+            const bob = createUser(db, 'bob');
+            insertScore(db, user.id, 300);
+            insertScore(db, user.id, 900);
+            insertScore(db, bob.id, 500);
+
+            const { leaderboard, total } = service.getLeaderboard();
+
+            assert.equal(total, 2);
+            assert.deepEqual(
+                leaderboard.map(entry => [entry.rank, entry.username, entry.best_score]),
+                [[1, 'alice', 900], [2, 'bob', 500]]
+            );
+        });
+
+        it('caps the page size at 100', () => {
+            assert.equal(service.getLeaderboard(500).limit, 100);
+        });
+
+        it('only counts scores from the selected period', () => {
+            const bob = createUser(db, 'bob');
+            insertScore(db, user.id, 900, 1, '2020-01-01 12:00:00');
+            insertScore(db, user.id, 200);
+            insertScore(db, bob.id, 500);
+
+            const daily = service.getLeaderboard(100, 0, { period: 'daily' });
+
+            assert.equal(daily.total, 2);
+            assert.deepEqual(daily.leaderboard.map(entry => [entry.username, entry.best_score]), [['bob', 500], ['alice', 200]]);
+            assert.equal(daily.period, 'daily');
+            assert.match(daily.period_start, /T00:00:00\.000Z$/);
+            assert.equal(service.getLeaderboard(100, 0, { period: 'all' }).leaderboard[0].best_score, 900);
+        });
+
+        it('rejects unknown periods and time zones', () => {
+            assert.throws(() => service.getLeaderboard(100, 0, { period: 'hourly' }), /INVALID_PERIOD/);
+            assert.throws(() => service.getLeaderboard(100, 0, { timeZone: 'Nowhere/Land' }), /INVALID_TIME_ZONE/);
+        });
+
+        it('ranks each mode and level source separately', () => {
+            const bob = createUser(db, 'bob');
+            insertScore(db, user.id, 900);
+            db.prepare("UPDATE scores SET level_source = 'ai'").run();
+            insertScore(db, bob.id, 500);
+
+            const standard = service.getLeaderboard();
+            const ai = service.getLeaderboard(100, 0, { levelSource: 'ai' });
+            const everything = service.getLeaderboard(100, 0, { mode: 'all', levelSource: 'all' });
+
+            assert.deepEqual(standard.leaderboard.map(entry => entry.username), ['bob']);
+            assert.deepEqual(ai.leaderboard.map(entry => entry.username), ['alice']);
+            assert.equal(everything.total, 2);
+            assert.throws(() => service.getLeaderboard(100, 0, { mode: 'battle-royale' }), /INVALID_MODE/);
+            assert.throws(() => service.getLeaderboard(100, 0, { levelSource: 'fallback' }), /INVALID_LEVEL_SOURCE/);
+        });
+
+        it('narrows the board to one ship class', () => {
+            const bob = createUser(db, 'bob');
+            insertScore(db, user.id, 900);
+            db.prepare("UPDATE scores SET ship = 'tank'").run();
+            insertScore(db, bob.id, 500);
+
+            assert.equal(service.getLeaderboard().total, 2);
+            assert.deepEqual(service.getLeaderboard(100, 0, { ship: 'tank' }).leaderboard.map(entry => entry.username), ['alice']);
+            assert.deepEqual(service.getLeaderboard(100, 0, { ship: 'fighter' }).leaderboard.map(entry => entry.username), ['bob']);
+            assert.throws(() => service.getLeaderboard(100, 0, { ship: 'constructor' }), /INVALID_SHIP/);
+        });
+
+        it('ranks the fastest clears of a level', () => {
+            const bob = createUser(db, 'bob');
+            const addClear = (userId, level, ticks, levelSource = 'standard') => {
+                const scoreId = insertScore(db, userId, 100);
+                db.prepare(`
+                    INSERT INTO level_clears (score_id, user_id, level, level_source, mode, ticks)
+                    VALUES (?, ?, ?, ?, 'classic', ?)
+                `).run(scoreId, userId, level, levelSource, ticks);
+                return scoreId;
+            };
+            addClear(user.id, 2, 3000);
+            const fastest = addClear(user.id, 2, 1800);
+            addClear(bob.id, 2, 2400);
+            addClear(bob.id, 1, 600);
+            addClear(bob.id, 2, 600, 'ai');
+            db.prepare('INSERT INTO replays (score_id, data) VALUES (?, ?)').run(fastest, '{}');
+
+            const board = service.getLeaderboard(100, 0, { level: 2 });
+
+            assert.equal(board.level, 2);
+            assert.equal(board.total, 2);
+            assert.deepEqual(
+                board.leaderboard.map(entry => [entry.rank, entry.username, entry.best_ticks, entry.best_time, entry.replay_score_id]),
+                [[1, 'alice', 1800, 30, fastest], [2, 'bob', 2400, 40, null]]
+            );
+            assert.throws(() => service.getLeaderboard(100, 0, { level: 0 }), /INVALID_LEVEL/);
+        });
+
+        it('shows the viewer and the players they follow on the friends board', () => {
+            const bob = createUser(db, 'bob');
+            const carol = createUser(db, 'carol');
+            insertScore(db, user.id, 300);
+            insertScore(db, bob.id, 500);
+            insertScore(db, carol.id, 900);
+            db.prepare('INSERT INTO follows (follower_id, followee_id) VALUES (?, ?)').run(user.id, bob.id);
+
+            const friends = service.getLeaderboard(100, 0, { scope: 'friends', viewerId: user.id });
+
+            assert.equal(friends.scope, 'friends');
+            assert.equal(friends.total, 2);
+            assert.deepEqual(
+                friends.leaderboard.map(entry => [entry.rank, entry.username, entry.is_following]),
+                [[1, 'bob', true], [2, 'alice', false]]
+            );
+            assert.throws(() => service.getLeaderboard(100, 0, { scope: 'friends' }), /AUTH_REQUIRED/);
+            assert.throws(() => service.getLeaderboard(100, 0, { scope: 'team' }), /INVALID_SCOPE/);
+        });
+
+        it('links entries to the replay of their best score', () => {
+            const best = insertScore(db, user.id, 900);
+            db.prepare('INSERT INTO replays (score_id, data) VALUES (?, ?)').run(best, '{}');
+
+            const [entry] = service.getLeaderboard().leaderboard;
+
+            assert.equal(entry.replay_score_id, best);
+        });
+
+        it('links to the best replay within the period', () => {
+            const old = insertScore(db, user.id, 900, 1, '2020-01-01 12:00:00');
+            const recent = insertScore(db, user.id, 300);
+            db.prepare('INSERT INTO replays (score_id, data) VALUES (?, ?), (?, ?)').run(old, '{}', recent, '{}');
+
+            const [entry] = service.getLeaderboard(100, 0, { period: 'monthly' }).leaderboard;
+
+            assert.equal(entry.replay_score_id, recent);
+        });
+    });
+
+    describe('getUserStats', () => {
+        it('returns null for unknown users', () => {
+            assert.equal(service.getUserStats(999), null);
+        });
+
+        it('includes rank and percentile', () => {
+            insertScore(db, user.id, 100);
+            insertScore(db, user.id, 300);
+
+            const stats = service.getUserStats(user.id);
+
+            assert.equal(stats.total_games, 2);
+            assert.equal(stats.best_score, 300);
+            assert.equal(stats.average_score, 200);
+            assert.equal(stats.leaderboard_rank, 1);
+            assert.equal(stats.percentile, 100);
+        });
+
+        it('ranks the user on each board they have played', () => {
+            const bob = createUser(db, 'bob');
+            insertScore(db, bob.id, 900);
+            insertScore(db, user.id, 500);
+            insertScore(db, user.id, 100);
+            db.prepare("UPDATE scores SET mode = 'coop' WHERE score = 100").run();
+            // Bob's AI-level score doesn't outrank alice on the standard board
+            db.prepare("UPDATE scores SET level_source = 'ai' WHERE user_id = ?").run(bob.id);
+
+            const stats = service.getUserStats(user.id);
+
+            assert.equal(stats.leaderboard_rank, 1);
+            assert.equal(stats.percentile, 100);
+            assert.deepEqual(stats.board_ranks, [
+                { mode: 'classic', level_source: 'standard', rank: 1, percentile: 100 },
+                { mode: 'coop', level_source: 'standard', rank: 1, percentile: 100 }
+            ]);
+        });
+    });
+
+    describe('calculatePercentile', () => {
+        it('is 0 when nobody has played', () => {
+            assert.equal(service.calculatePercentile(1), 0);
+        });
+
+        it('scales rank against the number of ranked players', () => {
+            for (const name of ['a', 'b', 'c', 'd']) {
+                insertScore(db, createUser(db, name).id, 100);
+            }
+
+            assert.equal(service.calculatePercentile(1), 100);
+            assert.equal(service.calculatePercentile(2), 75);
+            assert.equal(service.calculatePercentile(4), 25);
+        });
+    });
+
+    describe('getUserScores', () => {
+        it('lists recent scores and flags the personal best', () => {
+            insertScore(db, user.id, 100, 1, '2025-01-01 10:00:00');
+            insertScore(db, user.id, 700, 3, '2025-01-02 10:00:00');
+            insertScore(db, user.id, 200, 2, '2025-01-03 10:00:00');
+
+            const scores = service.getUserScores(user.id, 2);
+
+            assert.deepEqual(
+                scores.map(score => [score.score, score.is_personal_best]),
+                [[200, 0], [700, 1]]
+            );
+        });
+    });
+});
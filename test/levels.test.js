@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet, Enemy, Wall } = require('../client/js/entities');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function loadLevel(levelData) {
+    const simulation = new GameSimulation();
+    simulation.reset(1);
+    simulation.loadLevel(levelData);
+    return simulation;
+}
+
+function typeGrid(simulation) {
+    const { enemyRows, enemyCols } = simulation.levelData;
+    return Array.from({ length: enemyRows }, (_, row) =>
+        simulation.enemies.slice(row * enemyCols, (row + 1) * enemyCols).map(enemy => enemy.type));
+}
+
+describe('mixed enemy types', () => {
+    const base = { ...generateLevel(1), enemyRows: 3, enemyCols: 3, enemyType: 'basic', enemyTypes: null, pointsPerEnemy: 10 };
+
+    it('builds rows and cells from enemyTypes, falling back to enemyType', () => {
+        const simulation = loadLevel({ ...base, enemyTypes: ['aggressive', ['fast', 'dragon']] });
+
+        assert.deepEqual(typeGrid(simulation), [
+            ['aggressive', 'aggressive', 'aggressive'],
+            ['fast', 'basic', 'basic'],
+            ['basic', 'basic', 'basic']
+        ]);
+    });
+
+    it('scores types relative to the level\'s own enemyType', () => {
+        const simulation = loadLevel({ ...base, enemyTypes: ['boss', 'fast'] });
+        const points = typeGrid(simulation).map((row, index) => simulation.enemies[index * 3].points);
+
+        assert.deepEqual(points, [50, 20, 10]);
+        assert.ok(loadLevel({ ...base, enemyType: 'fast' }).enemies.every(enemy => enemy.points === 10));
+    });
+
+    it('makes the first boss-type enemy the boss on boss levels', () => {
+        const simulation = loadLevel({
+            ...base,
+            enemyTypes: ['aggressive', ['basic', 'boss']],
+            specialMechanics: { bossProperties: { health: 4, size: 1.5, specialAttacks: [] } }
+        });
+        const bosses = simulation.enemies.filter(enemy => enemy.isBoss);
+
+        assert.equal(bosses.length, 1);
+        assert.equal(bosses[0].type, 'boss');
+        assert.equal(bosses[0].health, 4);
+    });
+
+    it('mixes types in the hand-written and procedural levels', () => {
+        for (const levelNumber of [1, 2, 3, 4, 5, 9, 14]) {
+            const simulation = loadLevel(generateLevel(levelNumber));
+            const types = new Set(simulation.enemies.map(enemy => enemy.type));
+
+            assert.ok(types.size > 1, `level ${levelNumber}`);
+        }
+        assert.equal(loadLevel(generateLevel(9)).enemies[0].type, 'boss');
+    });
+});
+
+describe('custom formation layouts', () => {
+    const layout = ['..B..', '', 'a#.#a', '.fff'];
+    const simulation = loadLevel({
+        ...generateLevel(1),
+        enemyType: 'basic',
+        enemyTypes: null,
+        specialMechanics: { formation: 'custom', layout }
+    });
+
+    it('spawns exactly the enemies on the map, centred', () => {
+        const cells = simulation.enemies.map(enemy => [(enemy.x - simulation.enemies[1].x) / 50, (enemy.y - 80) / 50, enemy.type]);
+
+        assert.deepEqual(cells, [
+            [2, 0, 'boss'],
+            [0, 2, 'aggressive'], [1, 2, 'basic'], [3, 2, 'basic'], [4, 2, 'aggressive'],
+            [1, 3, 'fast'], [2, 3, 'fast'], [3, 3, 'fast']
+        ]);
+        assert.equal(simulation.totalEnemies, 8);
+        const middle = simulation.enemies[6];
+        assert.equal(middle.x + middle.width / 2, simulation.width / 2);
+    });
+
+    it('ignores the layout for other formations', () => {
+        const grid = loadLevel({ ...generateLevel(1), specialMechanics: { formation: 'grid', layout } });
+        assert.equal(grid.enemies.length, grid.levelData.enemyRows * grid.levelData.enemyCols);
+    });
+});
+
+describe('armored enemies', () => {
+    const base = { ...generateLevel(1), enemyRows: 2, enemyCols: 3, enemyType: 'basic', enemyTypes: ['aggressive', 'basic'], pointsPerEnemy: 10 };
+
+    // Put a player bullet on an enemy and run the collision pass
+    function shoot(simulation, enemy) {
+        simulation.bullets.push(new Bullet(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2, 0, -8, '#00ff00', true));
+        simulation.checkCollisions();
+    }
+
+    it('takes the level\'s hits per type, and the type default otherwise', () => {
+        const simulation = loadLevel({ ...base, enemyHealth: { aggressive: 3, basic: 99 } });
+
+        assert.deepEqual(simulation.enemies.map(enemy => enemy.maxHealth), [3, 3, 3, 5, 5, 5]);
+        assert.equal(loadLevel({ ...base, enemyTypes: ['boss'] }).enemies[0].health, Enemy.HEALTH.boss);
+        assert.equal(loadLevel(generateLevel(8)).enemies.find(enemy => enemy.type === 'aggressive').health, 2);
+    });
+
+    it('scores only on the kill, and shows damage on the way', () => {
+        const simulation = loadLevel({ ...base, enemyHealth: { aggressive: 2 } });
+        const events = [];
+        simulation.onEvent = (type) => events.push(type);
+        const [enemy] = simulation.enemies;
+
+        shoot(simulation, enemy);
+        assert.equal(enemy.health, 1);
+        assert.equal(simulation.score, 0);
+        assert.deepEqual(events, ['enemyHit']);
+        assert.notEqual(enemy.getDamageColor(), enemy.color);
+
+        shoot(simulation, enemy);
+        assert.ok(!simulation.enemies.includes(enemy));
+        assert.equal(simulation.score, enemy.points);
+        assert.ok(events.includes('enemyKilled'));
+    });
+});
+
+describe('wall placement', () => {
+    const walls = { count: 3, width: 80, height: 60, health: 5, yPosition: 450 };
+
+    it('spaces walls evenly, or centres one on each position', () => {
+        const even = loadLevel({ ...generateLevel(1), walls });
+        assert.deepEqual(even.walls.map(wall => wall.x), [140, 360, 580]);
+
+        const placed = loadLevel({ ...generateLevel(1), walls: { ...walls, positions: [100, 700] } });
+        assert.deepEqual(placed.walls.map(wall => wall.x + wall.width / 2), [100, 700]);
+    });
+
+    it('shapes walls by mask, then by named shape', () => {
+        const arch = loadLevel({ ...generateLevel(1), walls: { ...walls, shape: 'arch' } });
+        const custom = loadLevel({ ...generateLevel(1), walls: { ...walls, shape: 'arch', mask: ['#'] } });
+
+        assert.equal(arch.walls[0].mask, Wall.SHAPES.arch);
+        assert.equal(custom.walls[0].blocks.length, 20 * 15);
+    });
+
+    it('keeps the previous level\'s damaged walls unless they regenerate', () => {
+        const simulation = loadLevel({ ...generateLevel(1), walls });
+        simulation.walls[0].takeDamage(150, 480, false);
+        simulation.walls.pop();
+
+        simulation.loadLevel({ ...generateLevel(2), walls: { ...walls, regenerate: false } });
+        assert.equal(simulation.walls.length, 2);
+        assert.equal(simulation.walls[0].health, 4);
+
+        simulation.loadLevel({ ...generateLevel(3), walls });
+        assert.equal(simulation.walls.length, 3);
+        assert.equal(simulation.walls[0].health, 5);
+    });
+});
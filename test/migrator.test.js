@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const Migrator = require('../server/database/migrator');
+
+function tableNames(db) {
+    return db.prepare(`
+        SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name
+    `).all().map(row => row.name);
+}
+
+describe('Migrator', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new Database(':memory:');
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    it('applies every migration to a new database', () => {
+        const migrator = new Migrator(db);
+
+        const applied = migrator.up();
+
+        assert.deepEqual(applied.map(m => m.version), migrator.loadMigrations().map(m => m.version));
+        assert.deepEqual(tableNames(db), ['follows', 'leaderboard', 'level_clears', 'replays', 'schema_migrations', 'scores', 'user_stats', 'users', 'versus_matches', 'versus_ratings']);
+        assert.deepEqual(migrator.up(), []);
+    });
+
+    it('adopts a database created before migrations were tracked', () => {
+        db.exec(`
+            CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, provider TEXT NOT NULL, provider_id TEXT NOT NULL,
+                username TEXT NOT NULL, email TEXT, profile_picture_url TEXT,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP, last_login DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(provider, provider_id));
+            INSERT INTO users (provider, provider_id, username) VALUES ('github', '1', 'veteran');
+        `);
+
+        new Migrator(db).up();
+
+        assert.equal(db.prepare('SELECT username FROM users').get().username, 'veteran');
+    });
+
+    it('applies up to a version and rolls back step by step', () => {
+        const migrator = new Migrator(db);
+
+        migrator.up({ to: 1 });
+        assert.equal(tableNames(db).includes('replays'), false);
+        assert.deepEqual(migrator.status().filter(m => m.applied_at).map(m => m.version), [1]);
+
+        migrator.up();
+        const rolledBack = migrator.down();
+        assert.equal(rolledBack.length, 1);
+        assert.equal(migrator.getApplied().length, migrator.loadMigrations().length - 1);
+
+        migrator.down({ steps: 10 });
+        assert.deepEqual(tableNames(db), ['schema_migrations']);
+    });
+
+    it('loads the seed data', () => {
+        const migrator = new Migrator(db);
+        migrator.up();
+
+        migrator.seed();
+        migrator.seed();
+
+        assert.equal(db.prepare('SELECT COUNT(*) as count FROM users').get().count, 3);
+        assert.equal(db.prepare('SELECT username FROM leaderboard LIMIT 1').get().username, 'SpaceAce');
+    });
+
+    describe('with custom migrations', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        function write(file, up, down = '') {
+            fs.writeFileSync(path.join(dir, file), `-- migrate:up\n${up}\n-- migrate:down\n${down}\n`);
+        }
+
+        it('runs migrations in version order', () => {
+            write('010_second.sql', 'ALTER TABLE things ADD COLUMN size INTEGER;');
+            write('002_first.sql', 'CREATE TABLE things (id INTEGER PRIMARY KEY);');
+
+            const applied = new Migrator(db, { migrationsDir: dir }).up();
+
+            assert.deepEqual(applied, [{ version: 2, name: 'first' }, { version: 10, name: 'second' }]);
+        });
+
+        it('leaves a failing migration unapplied', () => {
+            write('001_ok.sql', 'CREATE TABLE things (id INTEGER PRIMARY KEY);', 'DROP TABLE things;');
+            write('002_broken.sql', 'CREATE TABLE others (id INTEGER PRIMARY KEY); INSERT INTO nowhere VALUES (1);');
+            const migrator = new Migrator(db, { migrationsDir: dir });
+
+            assert.throws(() => migrator.up(), /no such table: nowhere/);
+
+            assert.deepEqual(migrator.getApplied().map(m => m.version), [1]);
+            assert.equal(tableNames(db).includes('others'), false);
+        });
+
+        it('rejects files without up and down sections', () => {
+            fs.writeFileSync(path.join(dir, '001_bad.sql'), 'CREATE TABLE things (id INTEGER);');
+
+            assert.throws(() => new Migrator(db, { migrationsDir: dir }).up(), /INVALID_MIGRATION/);
+        });
+
+        it('rejects two migrations with the same version', () => {
+            write('001_a.sql', 'SELECT 1;');
+            write('001_b.sql', 'SELECT 1;');
+
+            assert.throws(() => new Migrator(db, { migrationsDir: dir }).up(), /DUPLICATE_MIGRATION_VERSION/);
+        });
+    });
+});
@@ -0,0 +1,236 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { StandardMovement, ZigzagMovement, SpiralMovement, RandomMovement, DiveAttacks } = require('../client/js/movement');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startLevel(movementPattern, seed = 7) {
+    const simulation = new GameSimulation();
+    simulation.reset(seed);
+    simulation.loadLevel({ ...generateLevel(1), specialMechanics: { formation: 'grid', movementPattern } });
+    return simulation;
+}
+
+function positions(simulation) {
+    return simulation.enemies.map(enemy => [enemy.x, enemy.y]);
+}
+
+function run(simulation, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        simulation.step(0);
+    }
+}
+
+describe('enemy movement patterns', () => {
+    it('picks the controller named by the level config', () => {
+        assert.ok(startLevel('zigzag').enemyMovement instanceof ZigzagMovement);
+        assert.ok(startLevel('spiral').enemyMovement instanceof SpiralMovement);
+        assert.ok(startLevel('random').enemyMovement instanceof RandomMovement);
+        assert.equal(startLevel('standard').enemyMovement.constructor, StandardMovement);
+    });
+
+    it('falls back to the classic march without a known pattern', () => {
+        const simulation = new GameSimulation();
+        simulation.reset(7);
+        simulation.loadLevel(generateLevel(1));
+
+        assert.equal(simulation.enemyMovement.constructor, StandardMovement);
+        assert.equal(startLevel('teleport').enemyMovement.constructor, StandardMovement);
+    });
+
+    it('marches the formation sideways in step', () => {
+        const simulation = startLevel('standard');
+        const before = positions(simulation);
+
+        run(simulation, 90);
+
+        positions(simulation).forEach(([x, y], index) => {
+            assert.equal(x, before[index][0] + 1);
+            assert.equal(y, before[index][1]);
+        });
+    });
+
+    it('zigzags down and back up between the sideways steps', () => {
+        const simulation = startLevel('zigzag');
+        const startY = simulation.enemies[0].y;
+        const heights = [];
+
+        for (let i = 0; i < 6; i++) {
+            simulation.enemyMovement.step();
+            heights.push(simulation.enemies[0].y - startY);
+        }
+
+        assert.deepEqual(heights, [10, 20, 30, 20, 10, 0]);
+    });
+
+    it('circles each enemy around its place in the formation', () => {
+        const simulation = startLevel('spiral');
+        const enemy = simulation.enemies[0];
+        const start = { x: enemy.x, y: enemy.y };
+        let farthest = 0;
+
+        // Hold the march still and watch a full wind out and back in
+        simulation.enemyMovement.interval = Infinity;
+        for (let i = 0; i < 2 * Math.PI / SpiralMovement.WIND / GameSimulation.TICK; i++) {
+            simulation.enemyMovement.update(GameSimulation.TICK);
+            farthest = Math.max(farthest, Math.hypot(enemy.x - start.x, enemy.y - start.y));
+        }
+
+        assert.ok(Math.abs(farthest - SpiralMovement.RADIUS) < 0.1);
+        assert.ok(Math.hypot(enemy.x - start.x, enemy.y - start.y) < 0.1);
+    });
+
+    it('plays the random pattern back identically from the same seed', () => {
+        const first = startLevel('random', 42);
+        const second = startLevel('random', 42);
+        const classic = startLevel('standard', 42);
+
+        run(first, 1200);
+        run(second, 1200);
+        run(classic, 1200);
+
+        assert.deepEqual(positions(first), positions(second));
+        assert.notDeepEqual(positions(first), positions(classic));
+    });
+
+    for (const pattern of ['standard', 'zigzag', 'spiral', 'random']) {
+        it(`keeps ${pattern} enemies on screen`, () => {
+            const simulation = startLevel(pattern);
+
+            for (let i = 0; i < 3000 && simulation.status === 'playing'; i++) {
+                simulation.step(0);
+                simulation.enemies.forEach(enemy => {
+                    assert.ok(enemy.x >= -SpiralMovement.RADIUS - enemy.speed, `${pattern} x ${enemy.x}`);
+                    assert.ok(enemy.x + enemy.width <= simulation.width + SpiralMovement.RADIUS + enemy.speed, `${pattern} x ${enemy.x}`);
+                    assert.ok(enemy.y >= 0, `${pattern} y ${enemy.y}`);
+                });
+            }
+        });
+    }
+});
+
+describe('march acceleration', () => {
+    function startMarch(marchAcceleration) {
+        const simulation = new GameSimulation();
+        simulation.reset(7);
+        simulation.loadLevel({ ...generateLevel(1), marchAcceleration });
+        return simulation;
+    }
+
+    function leave(simulation, count) {
+        simulation.enemies.length = count;
+        return simulation.enemyMovement;
+    }
+
+    it('speeds up the beat as enemies die, down to minInterval for the last', () => {
+        const simulation = startMarch({ minInterval: 0.1, curve: 1 });
+        const movement = simulation.enemyMovement;
+        const full = movement.getInterval();
+
+        assert.equal(full, movement.interval);
+        assert.ok(Math.abs(leave(simulation, 18).getInterval() - (full + 0.1) / 2) < 1e-9);
+        assert.ok(Math.abs(leave(simulation, 1).getInterval() - 0.1) < 1e-9);
+    });
+
+    it('bends the speed-up with the curve', () => {
+        const linear = startMarch({ minInterval: 0.1, curve: 1 });
+        const steep = startMarch({ minInterval: 0.1, curve: 3 });
+
+        assert.ok(leave(steep, 18).getInterval() < leave(linear, 18).getInterval());
+    });
+
+    it('raises the heartbeat pitch with it', () => {
+        const simulation = startMarch({ minInterval: 0.1, curve: 1 });
+        const pitches = [];
+        simulation.onEvent = (type, data) => type === 'enemyMove' && pitches.push(data.pitch);
+
+        simulation.enemyMovement.step();
+        leave(simulation, 1).step();
+
+        assert.equal(pitches[0], 1);
+        assert.equal(pitches[1], 1 + StandardMovement.PITCH_RISE);
+    });
+
+    it('keeps a steady beat for levels without it', () => {
+        const simulation = startMarch(undefined);
+        const full = simulation.enemyMovement.getInterval();
+
+        assert.equal(leave(simulation, 1).getInterval(), full);
+    });
+});
+
+describe('dive attacks', () => {
+    function startDiving(diveAttacks, movementPattern = 'standard') {
+        const simulation = new GameSimulation();
+        simulation.reset(11);
+        simulation.loadLevel({
+            ...generateLevel(1),
+            enemyBulletFrequency: 0,
+            enemyTypes: ['basic', 'fast'],
+            diveAttacks,
+            specialMechanics: { movementPattern }
+        });
+        simulation.player.invulnerable = true;
+        simulation.player.invulnerabilityTime = Infinity;
+        return simulation;
+    }
+
+    it('leaves the formation alone without diveAttacks', () => {
+        const simulation = startLevel('standard');
+        run(simulation, 600);
+
+        assert.equal(simulation.diveAttacks, null);
+        assert.ok(simulation.enemies.every(enemy => !enemy.dive));
+    });
+
+    it('dives only with the listed types, up to maxDivers at a time', () => {
+        const simulation = startDiving({ frequency: 1000, maxDivers: 2, types: ['fast'] });
+
+        run(simulation, 30);
+
+        const divers = simulation.enemies.filter(enemy => enemy.dive);
+        assert.equal(divers.length, 2);
+        assert.ok(divers.every(enemy => enemy.type === 'fast'));
+    });
+
+    it('swoops toward the player firing, then loops back into its slot', () => {
+        const simulation = startDiving({ frequency: 1000, maxDivers: 1, types: ['fast'] });
+        const events = [];
+        simulation.onEvent = type => events.push(type);
+
+        simulation.step(0);
+        simulation.diveAttacks.frequency = 0;
+        const diver = simulation.enemies.find(enemy => enemy.dive);
+        const neighbor = simulation.enemies[simulation.enemies.indexOf(diver) - simulation.levelData.enemyCols];
+        const slotOffset = { x: diver.x - diver.dive.offsetX - neighbor.x, y: diver.y - diver.dive.offsetY - neighbor.y };
+        let lowest = diver.y;
+
+        for (let i = 0; i < DiveAttacks.DURATION * GameSimulation.TICK_RATE; i++) {
+            simulation.step(0);
+            lowest = Math.max(lowest, diver.y);
+            assert.ok(diver.y + diver.height < simulation.player.y);
+        }
+
+        assert.equal(diver.dive, null);
+        assert.ok(lowest > simulation.player.y - DiveAttacks.CLEARANCE - 40);
+        assert.deepEqual(events.filter(type => type === 'enemyDive' || type === 'enemyShoot'), ['enemyDive', 'enemyShoot', 'enemyShoot']);
+        assert.ok(Math.abs(diver.x - neighbor.x - slotOffset.x) < 1e-9);
+        assert.ok(Math.abs(diver.y - neighbor.y - slotOffset.y) < 1e-9);
+    });
+
+    it('keeps its slot while the formation spirals and marches', () => {
+        const simulation = startDiving({ frequency: 1000, maxDivers: 1, types: ['fast'] }, 'spiral');
+
+        simulation.step(0);
+        simulation.diveAttacks.frequency = 0;
+        const diver = simulation.enemies.find(enemy => enemy.dive);
+        const index = simulation.enemies.indexOf(diver);
+        const twin = startDiving(undefined, 'spiral');
+
+        run(simulation, DiveAttacks.DURATION * GameSimulation.TICK_RATE + 1);
+        run(twin, DiveAttacks.DURATION * GameSimulation.TICK_RATE + 2);
+
+        assert.ok(Math.abs(diver.x - twin.enemies[index].x) < 1e-9);
+        assert.ok(Math.abs(diver.y - twin.enemies[index].y) < 1e-9);
+    });
+});
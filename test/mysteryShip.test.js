@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Bullet } = require('../client/js/entities');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startLevel(mysteryShip, seed = 5) {
+    const simulation = new GameSimulation();
+    simulation.reset(seed);
+    simulation.loadLevel({ ...generateLevel(1), enemyBulletFrequency: 0, mysteryShip });
+    simulation.enemies.forEach(enemy => {
+        enemy.shootFrequency = 0;
+    });
+    return simulation;
+}
+
+function recordEvents(simulation) {
+    const events = [];
+    simulation.onEvent = type => events.push(type);
+    return events;
+}
+
+function runFor(simulation, seconds, input = 0) {
+    for (let i = 0; i < seconds * GameSimulation.TICK_RATE; i++) {
+        simulation.step(input);
+    }
+}
+
+describe('mystery ship', () => {
+    const config = { interval: 2, shots: 1000, speed: 4, points: [50, 100, 150, 300] };
+
+    it('crosses above the formation once its interval is up', () => {
+        const simulation = startLevel(config);
+        const events = recordEvents(simulation);
+
+        runFor(simulation, 1.9);
+        assert.equal(simulation.mysteryShip, null);
+
+        runFor(simulation, 0.2);
+        const ship = simulation.mysteryShip;
+        assert.ok(ship);
+        assert.ok(ship.y + ship.height < Math.min(...simulation.enemies.map(enemy => enemy.y)));
+        assert.ok(config.points.includes(ship.points));
+
+        // 800px + its own width at 4px a tick
+        runFor(simulation, 3.5);
+        assert.equal(simulation.mysteryShip, null);
+        assert.deepEqual(events.filter(type => type.startsWith('mysteryShip')), ['mysteryShipSpawned', 'mysteryShipEscaped']);
+    });
+
+    it('also comes after enough player shots', () => {
+        const simulation = startLevel({ ...config, interval: 60, shots: 3 });
+
+        // One shot every quarter second while the cooldown allows
+        runFor(simulation, 0.9, GameSimulation.INPUT.FIRE);
+
+        assert.ok(simulation.mysteryShip);
+    });
+
+    it('scores its bonus when shot down', () => {
+        const simulation = startLevel(config);
+        const events = [];
+        simulation.onEvent = (type, data) => events.push({ type, ...data });
+        runFor(simulation, 2.1);
+
+        const ship = simulation.mysteryShip;
+        simulation.bullets.push(new Bullet(ship.x + ship.width / 2, ship.y + 5, 0, -8, '#00ff00', true));
+        simulation.checkCollisions();
+
+        assert.equal(simulation.mysteryShip, null);
+        assert.equal(simulation.score, ship.points);
+        const killed = events.find(e => e.type === 'mysteryShipKilled');
+        assert.equal(killed.points, ship.points);
+        assert.equal(killed.x, ship.x + ship.width / 2);
+    });
+
+    it('stays away from levels that disable it or have none', () => {
+        const disabled = startLevel({ ...config, enabled: false });
+        const missing = startLevel(undefined);
+
+        runFor(disabled, 5);
+        runFor(missing, 5);
+
+        assert.equal(disabled.mysteryShip, null);
+        assert.equal(missing.mysteryShip, null);
+    });
+
+    it('comes from the same side with the same bonus for the same seed', () => {
+        const first = startLevel(config, 77);
+        const second = startLevel(config, 77);
+
+        runFor(first, 2.1);
+        runFor(second, 2.1);
+
+        assert.equal(first.mysteryShip.direction, second.mysteryShip.direction);
+        assert.equal(first.mysteryShip.points, second.mysteryShip.points);
+        assert.equal(first.mysteryShip.x, second.mysteryShip.x);
+    });
+});
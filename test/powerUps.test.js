@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { PowerUp } = require('../client/js/entities');
+const { generateLevel } = require('../server/services/levelGenerator');
+
+function startLevel(levelChanges) {
+    const simulation = new GameSimulation();
+    simulation.reset(3);
+    simulation.loadLevel({ ...generateLevel(1), ...levelChanges });
+    return simulation;
+}
+
+// Types of the power-ups dropped by killing enemies until none are left
+function dropsFrom(simulation) {
+    const types = [];
+    while (simulation.enemies.length > 0) {
+        simulation.killEnemy(0);
+        types.push(...simulation.powerUps.map(powerUp => powerUp.type));
+        simulation.powerUps = [];
+    }
+    return types;
+}
+
+describe('power-up drops', () => {
+    it('keeps the old pool and drop rate for levels without powerUps', () => {
+        const simulation = startLevel({ powerUps: undefined });
+
+        assert.equal(simulation.powerUpDrops.dropRate, 0.1);
+        assert.deepEqual(simulation.powerUpDrops.pool.map(drop => drop.type), ['shield', 'multi-shot', 'auto-aim', 'rapid-fire', 'life-up']);
+    });
+
+    it('drops only the level\'s types, as often as its drop rate', () => {
+        const simulation = startLevel({ powerUps: { dropRate: 1, types: { points: { weight: 1 }, 'score-boost': { weight: 3 }, nuke: { weight: 5 } } } });
+        const drops = dropsFrom(simulation);
+
+        assert.equal(drops.length, simulation.totalEnemies);
+        assert.ok(drops.every(type => type === 'points' || type === 'score-boost'));
+        assert.ok(drops.filter(type => type === 'score-boost').length > drops.filter(type => type === 'points').length);
+    });
+
+    it('narrows the pool to a specialMechanics.powerUps list', () => {
+        const simulation = startLevel({ specialMechanics: { powerUps: ['shield', 'points'] } });
+
+        assert.deepEqual(simulation.powerUpDrops.pool, [
+            { type: 'shield', weight: 3, duration: 10 },
+            { type: 'points', weight: 2, duration: undefined }
+        ]);
+    });
+
+    it('lasts for the level\'s duration instead of the type\'s default', () => {
+        const simulation = startLevel({ powerUps: { dropRate: 1, types: { shield: { weight: 1, duration: 4 } } } });
+        simulation.killEnemy(0);
+
+        assert.equal(simulation.powerUps[0].duration, 4);
+        assert.equal(new PowerUp(0, 0, 'shield').duration, PowerUp.TYPES.shield.duration);
+    });
+
+    it('doubles the score while a score boost lasts', () => {
+        const simulation = startLevel({ powerUps: { dropRate: 0, types: {} } });
+        const points = simulation.enemies[0].points;
+
+        simulation.applyPowerUp(new PowerUp(0, 0, 'score-boost', 1));
+        simulation.killEnemy(0);
+        assert.equal(simulation.score, points * 2);
+
+        simulation.player.update(1, simulation.width);
+        simulation.killEnemy(0);
+        assert.equal(simulation.score, points * 3);
+    });
+
+    it('gives every served level a drop table of known types', () => {
+        for (const levelNumber of [1, 5, 12]) {
+            const { powerUps } = generateLevel(levelNumber);
+            assert.ok(powerUps.dropRate > 0);
+            assert.ok(Object.keys(powerUps.types).every(type => PowerUp.TYPES[type]));
+        }
+    });
+});
@@ -0,0 +1,601 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const passport = require('passport');
+const WebSocket = require('ws');
+const { createApp } = require('../server/app');
+const { attachVersusSocket } = require('../server/versusSocket');
+const { ReplayPlayer } = require('../client/js/replay');
+const aiLevelGenerator = require('../server/services/aiLevelGenerator');
+const { generateLevel } = require('../server/services/levelGenerator');
+const { createTestDatabase, createUser, insertScore, uuid, playRun, silenceConsole } = require('./helpers');
+
+silenceConsole();
+
+/**
+ * Stands in for an OAuth provider: signs in whichever test user
+ * the callback URL names with ?as=<username>
+ */
+class MockStrategy extends passport.Strategy {
+    constructor(name, users) {
+        super();
+        this.name = name;
+        this.users = users;
+    }
+
+    authenticate(req) {
+        const user = this.users[req.query.as];
+        if (user) {
+            this.success(user);
+        } else {
+            this.redirect(`/auth/${this.name}/callback`);
+        }
+    }
+}
+
+describe('API routes', () => {
+    const users = {};
+    let db;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        delete process.env.ENABLE_AI_LEVELS;
+        db = createTestDatabase();
+        const app = createApp({ db });
+
+        users.alice = createUser(db, 'alice');
+        users.bob = createUser(db, 'bob', 'google');
+        for (const provider of ['github', 'google', 'microsoft']) {
+            passport.use(provider, new MockStrategy(provider, users));
+        }
+
+        server = app.listen(0);
+        attachVersusSocket(server, app.locals.versus);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        db.close();
+    });
+
+    function request(path, { cookie, method = 'GET', body } = {}) {
+        const headers = {};
+        if (cookie) headers.Cookie = cookie;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        return fetch(baseUrl + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+    }
+
+    async function signIn(username, provider = 'github') {
+        const res = await request(`/auth/${provider}/callback?as=${username}`);
+        assert.equal(res.status, 302);
+        return res.headers.get('set-cookie').split(';')[0];
+    }
+
+    // A rejected run still starts the submitter's cooldown, so tests that
+    // submit several get a new player for each
+    let newPlayers = 0;
+    async function signInNewPlayer() {
+        const username = `player${++newPlayers}`;
+        users[username] = createUser(db, username);
+        return signIn(username);
+    }
+
+    describe('authentication', () => {
+        it('sends each provider through OAuth', async () => {
+            for (const provider of ['github', 'google', 'microsoft']) {
+                const res = await request(`/auth/${provider}`);
+                assert.equal(res.status, 302);
+            }
+        });
+
+        it('signs in on the provider callback and redirects home', async () => {
+            const res = await request('/auth/google/callback?as=bob');
+
+            assert.equal(res.status, 302);
+            assert.equal(res.headers.get('location'), '/');
+            assert.match(res.headers.get('set-cookie'), /connect\.sid/);
+        });
+
+        it('reports the session', async () => {
+            const anonymous = await (await request('/api/v1/auth/session')).json();
+            assert.deepEqual(anonymous, { authenticated: false, user: null });
+
+            const cookie = await signIn('alice', 'microsoft');
+            const session = await (await request('/api/v1/auth/session', { cookie })).json();
+
+            assert.equal(session.authenticated, true);
+            assert.equal(session.user.id, users.alice.id);
+            assert.equal(session.user.username, 'alice');
+        });
+
+        it('logs out', async () => {
+            const cookie = await signIn('alice');
+
+            const res = await request('/api/v1/auth/logout', { cookie, method: 'POST' });
+            assert.equal(res.status, 200);
+            assert.equal((await res.json()).success, true);
+
+            const session = await (await request('/api/v1/auth/session', { cookie })).json();
+            assert.equal(session.authenticated, false);
+        });
+    });
+
+    describe('scores and leaderboard', () => {
+        let played;
+        let scoreId;
+
+        before(() => {
+            played = playRun();
+        });
+
+        it('requires sign-in to submit', async () => {
+            const res = await request('/api/v1/scores', { method: 'POST', body: {} });
+
+            assert.equal(res.status, 401);
+        });
+
+        it('rejects a score the replay does not reproduce', async () => {
+            const cookie = await signIn('bob', 'google');
+            const res = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: played.score + 100, level_reached: played.levelReached, session_id: uuid(), run: played.run }
+            });
+
+            assert.equal(res.status, 422);
+        });
+
+        it('rejects levels the server would not have served', async () => {
+            const relabel = (source, extra) => ({
+                ...played.run,
+                levels: played.run.levels.map(segment => ({ ...segment, source, ...extra }))
+            });
+            const submit = async run => request('/api/v1/scores', {
+                cookie: await signInNewPlayer(),
+                method: 'POST',
+                body: { score: played.score, level_reached: played.levelReached, session_id: uuid(), run }
+            });
+
+            // The fallback only stands in beyond the last served level
+            assert.equal((await submit(relabel('fallback'))).status, 422);
+            assert.equal((await submit(relabel('ai', { levelId: 'made-up' }))).status, 422);
+            assert.equal((await submit(relabel('ai'))).status, 400);
+        });
+
+        it('verifies AI levels by the id they were served with', async () => {
+            users.erin = createUser(db, 'erin');
+            const cookie = await signIn('erin');
+            const levelIds = {};
+            for (const { level } of played.run.levels) {
+                levelIds[level] ??= aiLevelGenerator.storeLevel({ ...generateLevel(level) }).levelId;
+            }
+            aiLevelGenerator.clearCache();
+            const run = {
+                ...played.run,
+                levels: played.run.levels.map(segment => ({ ...segment, source: 'ai', levelId: levelIds[segment.level] }))
+            };
+
+            const res = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: played.score, level_reached: played.levelReached, session_id: uuid(), run }
+            });
+            assert.equal(res.status, 201);
+        });
+
+        it('rejects a run that reloads a level before clearing it', async () => {
+            const cookie = await signInNewPlayer();
+            const [first] = played.run.levels;
+            const reloaded = { ...first, inputs: [[0, 60]] };
+            const run = { ...played.run, levels: [reloaded, ...played.run.levels] };
+
+            const res = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: played.score, level_reached: played.levelReached, session_id: uuid(), run }
+            });
+            assert.equal(res.status, 400);
+        });
+
+        it('rejects malformed runs', async () => {
+            const cookie = await signInNewPlayer();
+            const res = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: 0, level_reached: 1, session_id: uuid(), run: { seed: 'x' } }
+            });
+
+            assert.equal(res.status, 400);
+        });
+
+        it('accepts a verified score, then rate limits', async () => {
+            const cookie = await signIn('alice');
+            const body = { score: played.score, level_reached: played.levelReached, best_combo: played.bestCombo, session_id: uuid(), run: played.run };
+
+            const res = await request('/api/v1/scores', { cookie, method: 'POST', body });
+            assert.equal(res.status, 201);
+            const { score } = await res.json();
+            assert.equal(score.score, played.score);
+            assert.ok(played.bestCombo > 0);
+            assert.equal(score.best_combo, played.bestCombo);
+            scoreId = score.id;
+
+            const again = await request('/api/v1/scores', { cookie, method: 'POST', body: { ...body, session_id: uuid() } });
+            assert.equal(again.status, 429);
+        });
+
+        it('counts a rejected run towards the rate limit', async () => {
+            const cookie = await signInNewPlayer();
+            const body = { score: played.score, level_reached: played.levelReached, session_id: uuid(), run: played.run };
+
+            const rejected = await request('/api/v1/scores', { cookie, method: 'POST', body: { ...body, score: played.score + 100 } });
+            assert.equal(rejected.status, 422);
+
+            const res = await request('/api/v1/scores', { cookie, method: 'POST', body });
+            assert.equal(res.status, 429);
+        });
+
+        it('rejects a reused session ID', async () => {
+            const alice = await (await request(`/api/v1/users/${users.alice.id}/scores`)).json();
+            const cookie = await signInNewPlayer();
+            const sessionId = db.prepare('SELECT session_id FROM scores WHERE id = ?').get(alice.scores[0].id).session_id;
+
+            const res = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: played.score, level_reached: played.levelReached, session_id: sessionId, run: played.run }
+            });
+
+            assert.equal(res.status, 409);
+        });
+
+        it('lists the leaderboard', async () => {
+            insertScore(db, users.bob.id, 1);
+
+            const res = await request('/api/v1/leaderboard?limit=1');
+            const data = await res.json();
+
+            assert.equal(res.status, 200);
+            assert.equal(data.total, 2);
+            assert.equal(data.leaderboard.length, 1);
+            assert.equal(data.leaderboard[0].username, 'alice');
+        });
+
+        it('filters the leaderboard by period', async () => {
+            db.prepare("UPDATE scores SET submitted_at = '2020-01-01 00:00:00' WHERE user_id = ?").run(users.bob.id);
+
+            const data = await (await request('/api/v1/leaderboard?period=weekly&tz=Europe/Berlin')).json();
+
+            assert.equal(data.period, 'weekly');
+            assert.equal(data.time_zone, 'Europe/Berlin');
+            assert.deepEqual(data.leaderboard.map(entry => entry.username), ['alice']);
+
+            assert.equal((await request('/api/v1/leaderboard?period=yearly')).status, 400);
+            assert.equal((await request('/api/v1/leaderboard?tz=Not/AZone')).status, 400);
+        });
+
+        it('ranks fastest level clears from verified runs', async () => {
+            const levelOneTicks = played.run.levels[0].inputs.reduce((ticks, [, count]) => ticks + count, 0);
+
+            const data = await (await request('/api/v1/leaderboard?level=1')).json();
+
+            assert.equal(data.level, 1);
+            assert.deepEqual(data.leaderboard.map(entry => [entry.username, entry.best_ticks]), [['alice', levelOneTicks]]);
+
+            assert.equal((await request('/api/v1/leaderboard?level=zero')).status, 400);
+            assert.equal((await request('/api/v1/leaderboard?source=moon')).status, 400);
+            assert.equal((await request('/api/v1/leaderboard?mode=solo')).status, 400);
+            assert.equal((await request('/api/v1/leaderboard?ship=ufo')).status, 400);
+
+            // A repeated parameter arrives as an array
+            for (const query of ['ship=fighter&ship=tank', 'mode=classic&mode=coop', 'source=ai&source=standard',
+                'period=daily&period=weekly', 'tz=UTC&tz=Europe/Berlin']) {
+                assert.equal((await request(`/api/v1/leaderboard?${query}`)).status, 400, query);
+            }
+        });
+
+        it('stores and serves the replay', async () => {
+            const replay = {
+                format: 'sireplay',
+                version: 1,
+                score: played.score,
+                levelReached: played.levelReached,
+                run: played.run
+            };
+
+            assert.equal((await request('/api/v1/replays', { method: 'POST', body: {} })).status, 401);
+
+            const bob = await signIn('bob', 'google');
+            const forbidden = await request('/api/v1/replays', { cookie: bob, method: 'POST', body: { score_id: scoreId, replay } });
+            assert.equal(forbidden.status, 403);
+
+            const alice = await signIn('alice');
+            const missing = await request('/api/v1/replays', { cookie: alice, method: 'POST', body: { score_id: 9999, replay } });
+            assert.equal(missing.status, 404);
+
+            const res = await request('/api/v1/replays', { cookie: alice, method: 'POST', body: { score_id: scoreId, replay } });
+            assert.equal(res.status, 201);
+
+            const duplicate = await request('/api/v1/replays', { cookie: alice, method: 'POST', body: { score_id: scoreId, replay } });
+            assert.equal(duplicate.status, 409);
+
+            const fetched = await (await request(`/api/v1/replays/${scoreId}`)).json();
+            assert.equal(fetched.player, 'alice');
+            assert.equal(fetched.score, played.score);
+
+            const download = await request(`/api/v1/replays/${scoreId}?download=true`);
+            assert.match(download.headers.get('content-disposition'), /attachment; filename=".*\.sireplay"/);
+
+            assert.equal((await request('/api/v1/replays/9999')).status, 404);
+        });
+
+        it('plays a stored replay back to its score with the mode and ship it was played with', async () => {
+            const runs = { carol: { ship: 'tank' }, dave: { mode: 'coop', ship: 'interceptor' } };
+
+            for (const [username, options] of Object.entries(runs)) {
+                users[username] = createUser(db, username);
+                const cookie = await signIn(username);
+                const played = playRun(1, options);
+                const submitted = await request('/api/v1/scores', {
+                    cookie,
+                    method: 'POST',
+                    body: { score: played.score, level_reached: played.levelReached, session_id: uuid(), run: played.run }
+                });
+                const { score } = await submitted.json();
+                const replay = { format: 'sireplay', version: 1, score: played.score, levelReached: played.levelReached, run: played.run };
+                await request('/api/v1/replays', { cookie, method: 'POST', body: { score_id: score.id, replay } });
+
+                const fetched = await (await request(`/api/v1/replays/${score.id}`)).json();
+                const player = new ReplayPlayer(fetched);
+                player.seek(player.totalTicks);
+
+                assert.equal(fetched.run.mode, options.mode || 'classic');
+                assert.equal(fetched.run.ship, options.ship);
+                assert.equal(player.simulation.score, played.score, username);
+            }
+        });
+
+        it('rate limits replay uploads, rejected ones included', async () => {
+            const cookie = await signInNewPlayer();
+            const submitted = await request('/api/v1/scores', {
+                cookie,
+                method: 'POST',
+                body: { score: played.score, level_reached: played.levelReached, session_id: uuid(), run: played.run }
+            });
+            const { score } = await submitted.json();
+            const replay = { format: 'sireplay', version: 1, score: played.score, levelReached: played.levelReached, run: played.run };
+            const upload = run => request('/api/v1/replays', { cookie, method: 'POST', body: { score_id: score.id, replay: { ...replay, run } } });
+
+            // Cut short before the game is over
+            const unfinished = { ...played.run, levels: played.run.levels.slice(0, -1) };
+            assert.equal((await upload(unfinished)).status, 400);
+            assert.equal((await upload(played.run)).status, 429);
+        });
+    });
+
+    describe('user stats and scores', () => {
+        it('returns stats for a user', async () => {
+            const res = await request(`/api/v1/users/${users.alice.id}/stats`);
+            const stats = await res.json();
+
+            assert.equal(res.status, 200);
+            assert.equal(stats.username, 'alice');
+            assert.equal(stats.total_games, 1);
+        });
+
+        it('resolves "me" to the signed-in user', async () => {
+            assert.equal((await request('/api/v1/users/me/stats')).status, 401);
+            assert.equal((await request('/api/v1/users/me/scores')).status, 401);
+
+            const cookie = await signIn('bob', 'google');
+            const stats = await (await request('/api/v1/users/me/stats', { cookie })).json();
+            assert.equal(stats.username, 'bob');
+        });
+
+        it('lists recent scores', async () => {
+            const res = await request(`/api/v1/users/${users.alice.id}/scores?limit=5`);
+            const data = await res.json();
+
+            assert.equal(res.status, 200);
+            assert.equal(data.scores.length, 1);
+            assert.equal(data.scores[0].has_replay, 1);
+            assert.ok(data.scores[0].best_combo > 0);
+        });
+
+        it('404s for unknown users', async () => {
+            assert.equal((await request('/api/v1/users/9999/stats')).status, 404);
+            assert.equal((await request('/api/v1/users/9999/scores')).status, 404);
+        });
+    });
+
+    describe('follows', () => {
+        it('requires sign-in', async () => {
+            assert.equal((await request(`/api/v1/users/${users.bob.id}/follow`, { method: 'POST' })).status, 401);
+            assert.equal((await request(`/api/v1/users/${users.bob.id}/follow`, { method: 'DELETE' })).status, 401);
+            assert.equal((await request('/api/v1/users/me/following')).status, 401);
+            assert.equal((await request('/api/v1/leaderboard?scope=friends')).status, 401);
+        });
+
+        it('follows a player and narrows the friends leaderboard to them', async () => {
+            const cookie = await signIn('bob', 'google');
+
+            const before = await (await request('/api/v1/leaderboard?scope=friends&source=all', { cookie })).json();
+            assert.deepEqual(before.leaderboard.map(entry => entry.username), ['bob']);
+
+            const res = await request(`/api/v1/users/${users.alice.id}/follow`, { cookie, method: 'POST' });
+            assert.equal(res.status, 200);
+            assert.deepEqual(await res.json(), { success: true, user_id: users.alice.id, following: true });
+
+            const following = await (await request('/api/v1/users/me/following', { cookie })).json();
+            assert.deepEqual(following.following.map(user => user.username), ['alice']);
+
+            const after = await (await request('/api/v1/leaderboard?scope=friends&source=all', { cookie })).json();
+            assert.deepEqual(after.leaderboard.map(entry => [entry.username, entry.is_following]), [['alice', true], ['bob', false]]);
+
+            const unfollow = await request(`/api/v1/users/${users.alice.id}/follow`, { cookie, method: 'DELETE' });
+            assert.equal((await unfollow.json()).following, false);
+        });
+
+        it('rejects bad targets', async () => {
+            const cookie = await signIn('bob', 'google');
+
+            assert.equal((await request(`/api/v1/users/${users.bob.id}/follow`, { cookie, method: 'POST' })).status, 400);
+            assert.equal((await request('/api/v1/users/abc/follow', { cookie, method: 'POST' })).status, 400);
+            assert.equal((await request('/api/v1/users/9999/follow', { cookie, method: 'POST' })).status, 404);
+            assert.equal((await request('/api/v1/users/9999/following')).status, 404);
+            assert.equal((await request('/api/v1/leaderboard?scope=team')).status, 400);
+        });
+    });
+
+    describe('versus', () => {
+        // Open a lobby socket, collecting what the server sends
+        function openSocket(cookie) {
+            const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/v1/versus`, { headers: cookie ? { Cookie: cookie } : {} });
+            ws.opened = new Promise(resolve => ws.once('open', resolve));
+            ws.received = [];
+            ws.on('message', data => ws.received.push(JSON.parse(data)));
+            ws.next = type => new Promise(resolve => {
+                const check = () => {
+                    const message = ws.received.find(m => m.type === type);
+                    if (message) resolve(message); else setTimeout(check, 5);
+                };
+                check();
+            });
+            return ws;
+        }
+
+        it('turns away players who are not signed in', async () => {
+            const ws = openSocket();
+            const status = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+            assert.equal(status, 401);
+        });
+
+        it('matches two players and rates the result', async () => {
+            const alice = openSocket(await signIn('alice'));
+            const bob = openSocket(await signIn('bob', 'google'));
+            await Promise.all([alice.opened, bob.opened]);
+
+            alice.send(JSON.stringify({ type: 'queue' }));
+            await alice.next('queued');
+            bob.send(JSON.stringify({ type: 'queue' }));
+            const matched = await alice.next('matched');
+            assert.equal(matched.opponent.username, 'bob');
+            assert.equal((await bob.next('matched')).seed, matched.seed);
+
+            bob.send(JSON.stringify({ type: 'rowCleared', rows: 1 }));
+            assert.ok((await alice.next('garbage')).count > 0);
+
+            alice.send(JSON.stringify({ type: 'gameOver', score: 120 }));
+            assert.equal((await bob.next('result')).outcome, 'win');
+            assert.equal((await alice.next('result')).outcome, 'loss');
+            alice.close();
+            bob.close();
+
+            const { rankings } = await (await request('/api/v1/versus/rankings')).json();
+            assert.deepEqual(rankings.map(entry => entry.username), ['bob', 'alice']);
+
+            const record = await (await request(`/api/v1/users/${users.alice.id}/versus`)).json();
+            assert.equal(record.losses, 1);
+            assert.equal(record.matches[0].opponent, 'bob');
+
+            const stats = await (await request(`/api/v1/users/${users.bob.id}/stats`)).json();
+            assert.equal(stats.versus_wins, 1);
+            assert.ok(stats.versus_rating > 1000);
+        });
+
+        it('caps repeated and oversized row clears', async () => {
+            const alice = openSocket(await signIn('alice'));
+            const bob = openSocket(await signIn('bob', 'google'));
+            await Promise.all([alice.opened, bob.opened]);
+
+            alice.send(JSON.stringify({ type: 'queue' }));
+            await alice.next('queued');
+            bob.send(JSON.stringify({ type: 'queue' }));
+            await Promise.all([alice.next('matched'), bob.next('matched')]);
+
+            bob.send(JSON.stringify({ type: 'rowCleared', rows: 1000 }));
+            for (let i = 0; i < 20; i++) {
+                bob.send(JSON.stringify({ type: 'rowCleared', rows: 3 }));
+            }
+            // The state reply shows the lobby has handled everything sent before it
+            bob.send(JSON.stringify({ type: 'state', score: 0, lives: 3, level: 1 }));
+            await alice.next('opponentState');
+
+            const garbage = alice.received.filter(message => message.type === 'garbage');
+            assert.deepEqual(garbage.map(message => message.count), [3 * 2]);
+
+            alice.close();
+            await bob.next('result');
+            bob.close();
+        });
+
+        it('resolves "me" and 404s unknown players', async () => {
+            assert.equal((await request('/api/v1/users/me/versus')).status, 401);
+            assert.equal((await request('/api/v1/users/9999/versus')).status, 404);
+        });
+    });
+
+    describe('levels', () => {
+        it('lists available levels', async () => {
+            const data = await (await request('/api/levels')).json();
+
+            assert.equal(data.maxLevel, 20);
+            assert.equal(data.availableLevels.length, 20);
+        });
+
+        it('serves level configs within range', async () => {
+            const level = await (await request('/api/levels/3')).json();
+            assert.equal(level.level, 3);
+            assert.deepEqual(level.mysteryShip.points, [50, 100, 150, 300]);
+
+            assert.equal((await request('/api/levels/0')).status, 400);
+            assert.equal((await request('/api/levels/abc')).status, 400);
+            assert.equal((await request('/api/levels/21')).status, 404);
+        });
+
+        it('falls back to procedural levels when AI is disabled', async () => {
+            const level = await (await request('/api/levels/generate/25')).json();
+            assert.equal(level.level, 25);
+            assert.equal(level.generatedBy, 'procedural');
+
+            assert.equal((await request('/api/levels/generate/0')).status, 400);
+            assert.equal((await request('/api/levels/generate/51')).status, 404);
+        });
+    });
+
+    describe('AI and misc', () => {
+        it('reports AI status', async () => {
+            const status = await (await request('/api/ai/status')).json();
+
+            assert.equal(status.enabled, false);
+            assert.equal(status.cacheStats, null);
+        });
+
+        it('refuses to clear the cache when AI is disabled', async () => {
+            assert.equal((await request('/api/ai/cache/clear', { method: 'POST' })).status, 400);
+        });
+
+        it('serves stats, health and the game page', async () => {
+            assert.deepEqual(await (await request('/api/stats')).json(), { highScore: 0, gamesPlayed: 0, highestLevel: 1 });
+            assert.equal((await (await request('/api/health')).json()).status, 'OK');
+
+            const page = await request('/');
+            assert.equal(page.status, 200);
+            assert.match(await page.text(), /<canvas/);
+        });
+
+        it('404s unknown routes', async () => {
+            const res = await request('/api/nope');
+
+            assert.equal(res.status, 404);
+            assert.deepEqual(await res.json(), { error: 'Not found' });
+        });
+    });
+});
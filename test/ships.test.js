@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSimulation = require('../client/js/simulation');
+const { Player } = require('../client/js/entities');
+const ScoreVerifier = require('../server/services/scoreVerifier');
+const { generateLevel } = require('../server/services/levelGenerator');
+const { playRun } = require('./helpers');
+
+function startRun(ship) {
+    const simulation = new GameSimulation();
+    simulation.reset(4, 'classic', ship);
+    simulation.loadLevel(generateLevel(1));
+    return simulation;
+}
+
+describe('ship classes', () => {
+    it('flies the fighter unless told otherwise', () => {
+        const simulation = new GameSimulation();
+        simulation.reset(4);
+
+        assert.equal(simulation.ship, 'fighter');
+        assert.equal(simulation.player.speed, 5);
+        assert.equal(simulation.player.maxShootCooldown, 0.25);
+        assert.equal(simulation.lives, 3);
+    });
+
+    it('takes its speed, reload, lives and hitbox from the ship class', () => {
+        const fighter = startRun('fighter').player;
+
+        for (const [ship, stats] of Object.entries(Player.SHIPS)) {
+            const simulation = startRun(ship);
+            const { player } = simulation;
+
+            assert.equal(player.speed, stats.speed, ship);
+            assert.equal(player.baseShootCooldown, stats.cooldown, ship);
+            assert.equal(simulation.lives, stats.lives, ship);
+            assert.deepEqual([player.width, player.height], [stats.width, stats.height], ship);
+            // Same center and bottom edge whatever the size
+            assert.equal(player.x + player.width / 2, fighter.x + fighter.width / 2, ship);
+            assert.equal(player.y + player.height, fighter.y + fighter.height, ship);
+        }
+    });
+
+    it('fires a fan of three from the spread gun', () => {
+        const bullets = startRun('spreader').player.shoot();
+
+        assert.equal(bullets.length, 3);
+        assert.deepEqual(bullets.map(bullet => Math.sign(bullet.vx)), [-1, 0, 1]);
+    });
+
+    it('records the ship in the run, and the verifier replays it with that ship', () => {
+        const simulation = startRun('interceptor');
+        const run = simulation.getRunRecord();
+        assert.equal(run.ship, 'interceptor');
+
+        const verifier = new ScoreVerifier(level => generateLevel(level));
+        const { run: played } = playRun();
+
+        assert.equal(verifier.verify(played).ship, 'fighter');
+        // The same inputs play out differently with another ship
+        assert.throws(() => verifier.verify({ ...played, ship: 'tank' }), /INVALID_REPLAY/);
+        assert.throws(() => verifier.verify({ ...played, ship: 'ufo' }), /INVALID_REPLAY/);
+    });
+});
@@ -0,0 +1,246 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const VersusService = require('../server/services/versusService');
+const VersusLobby = require('../server/services/versusLobby');
+const GameSimulation = require('../client/js/simulation');
+const { generateLevel } = require('../server/services/levelGenerator');
+const { createTestDatabase, createUser } = require('./helpers');
+
+// A lobby connection that keeps what it was sent
+function connect(user) {
+    const messages = [];
+    return {
+        user: { id: user.id, username: user.username },
+        messages,
+        send: message => messages.push(message),
+        last: type => messages.filter(message => message.type === type).pop()
+    };
+}
+
+describe('VersusService', () => {
+    let db;
+    let service;
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+        db = createTestDatabase();
+        service = new VersusService(db);
+        alice = createUser(db, 'alice');
+        bob = createUser(db, 'bob');
+    });
+
+    it('starts everyone at the initial rating', () => {
+        assert.deepEqual(service.getRating(alice.id), { user_id: alice.id, rating: 1000, wins: 0, losses: 0 });
+    });
+
+    it('moves ratings by the same amount in both directions', () => {
+        const result = service.recordMatch({ winnerId: alice.id, loserId: bob.id, winnerScore: 900, loserScore: 400, seed: 7 });
+
+        assert.deepEqual(result.winner, { rating: 1016, rating_change: 16 });
+        assert.deepEqual(result.loser, { rating: 984, rating_change: -16 });
+        assert.deepEqual(service.getRating(alice.id), { user_id: alice.id, rating: 1016, wins: 1, losses: 0 });
+        assert.deepEqual(service.getRating(bob.id), { user_id: bob.id, rating: 984, wins: 0, losses: 1 });
+    });
+
+    it('pays more for an upset than for beating a weaker player', () => {
+        assert.ok(VersusService.getRatingChange(1000, 1200) > VersusService.getRatingChange(1200, 1000));
+        assert.equal(VersusService.getRatingChange(3000, 0), 1);
+    });
+
+    it('ranks players by rating and lists each player\'s matches', () => {
+        service.recordMatch({ winnerId: alice.id, loserId: bob.id, winnerScore: 900, loserScore: 400, seed: 7 });
+        service.recordMatch({ winnerId: bob.id, loserId: alice.id, winnerScore: 300, loserScore: 200, seed: 8, reason: 'forfeit' });
+        service.recordMatch({ winnerId: alice.id, loserId: bob.id, seed: 9 });
+
+        const { rankings, total } = service.getRankings();
+        assert.equal(total, 2);
+        assert.deepEqual(rankings.map(entry => [entry.rank, entry.username, entry.wins, entry.losses]),
+            [[1, 'alice', 2, 1], [2, 'bob', 1, 2]]);
+
+        const matches = service.getMatches(bob.id);
+        assert.deepEqual(matches.map(match => match.outcome), ['loss', 'win', 'loss']);
+        assert.equal(matches[1].opponent, 'alice');
+        assert.equal(matches[1].reason, 'forfeit');
+        assert.deepEqual([matches[2].score, matches[2].opponent_score], [400, 900]);
+    });
+
+    it('refuses a match against yourself', () => {
+        assert.throws(() => service.recordMatch({ winnerId: alice.id, loserId: alice.id, seed: 1 }), /INVALID_MATCH/);
+    });
+});
+
+describe('VersusLobby', () => {
+    let db;
+    let service;
+    let lobby;
+    let alice;
+    let bob;
+    let clock;
+
+    beforeEach(() => {
+        db = createTestDatabase();
+        service = new VersusService(db);
+        clock = 0;
+        lobby = new VersusLobby(service, { createSeed: () => 1234, getRowCount: () => 5, now: () => clock });
+        alice = connect(createUser(db, 'alice'));
+        bob = connect(createUser(db, 'bob'));
+    });
+
+    function startMatch() {
+        lobby.handleMessage(alice, { type: 'queue' });
+        lobby.handleMessage(bob, { type: 'queue' });
+    }
+
+    it('pairs the first two players in the queue on one seed', () => {
+        lobby.handleMessage(alice, { type: 'queue' });
+        assert.ok(alice.last('queued'));
+        assert.equal(alice.last('matched'), undefined);
+
+        lobby.handleMessage(bob, { type: 'queue' });
+        assert.deepEqual(alice.last('matched'), {
+            type: 'matched', seed: 1234, rating: 1000, opponent: { id: bob.user.id, username: 'bob', rating: 1000 }
+        });
+        assert.equal(bob.last('matched').opponent.username, 'alice');
+        assert.equal(lobby.queue.length, 0);
+    });
+
+    it('keeps one seat per player, and lets them leave the queue', () => {
+        const aliceAgain = connect(alice.user);
+        lobby.handleMessage(alice, { type: 'queue' });
+        lobby.handleMessage(aliceAgain, { type: 'queue' });
+        assert.equal(aliceAgain.last('error').error, 'ALREADY_QUEUED');
+
+        lobby.handleMessage(alice, { type: 'cancel' });
+        lobby.handleMessage(bob, { type: 'queue' });
+        assert.equal(bob.last('matched'), undefined);
+    });
+
+    it('relays progress and turns cleared rows into garbage for the opponent', () => {
+        startMatch();
+
+        lobby.handleMessage(alice, { type: 'state', score: 450, lives: 2, level: 1 });
+        assert.deepEqual(bob.last('opponentState'), { type: 'opponentState', score: 450, lives: 2, level: 1 });
+
+        lobby.handleMessage(alice, { type: 'rowCleared', rows: 1 });
+        assert.deepEqual(bob.last('garbage'), { type: 'garbage', count: VersusLobby.GARBAGE_PER_ROW });
+        assert.equal(alice.last('garbage'), undefined);
+
+        // Clients can't flood their opponent
+        clock += VersusLobby.ROW_WINDOW;
+        lobby.handleMessage(alice, { type: 'rowCleared', rows: 1000 });
+        assert.equal(bob.last('garbage').count, VersusLobby.MAX_ROWS_PER_WINDOW * VersusLobby.GARBAGE_PER_ROW);
+    });
+
+    it('caps garbage at the rows a level has, and rows per second', () => {
+        startMatch();
+        const garbage = () => bob.messages.filter(message => message.type === 'garbage').length;
+
+        for (let i = 0; i < 10; i++) {
+            lobby.handleMessage(alice, { type: 'rowCleared', rows: 1 });
+        }
+        assert.equal(garbage(), VersusLobby.MAX_ROWS_PER_WINDOW);
+
+        for (let i = 0; i < 10; i++) {
+            clock += VersusLobby.ROW_WINDOW;
+            lobby.handleMessage(alice, { type: 'rowCleared', rows: 1 });
+        }
+        assert.equal(garbage(), 5);
+
+        // The level is used up until the player moves on to the next
+        lobby.handleMessage(alice, { type: 'rowCleared', rows: 1 });
+        assert.equal(garbage(), 5);
+
+        lobby.handleMessage(alice, { type: 'state', score: 0, lives: 3, level: 2 });
+        lobby.handleMessage(alice, { type: 'rowCleared', rows: 1 });
+        assert.equal(garbage(), 6);
+    });
+
+    it('moves a player up a level only once its rows have all sent garbage', () => {
+        startMatch();
+        const rows = () => bob.messages
+            .filter(message => message.type === 'garbage')
+            .reduce((sum, message) => sum + message.count / VersusLobby.GARBAGE_PER_ROW, 0);
+
+        // Claiming a new level each second doesn't reset the per-level cap
+        for (let level = 2; level <= 10; level++) {
+            lobby.handleMessage(alice, { type: 'state', score: 0, lives: 3, level });
+            lobby.handleMessage(alice, { type: 'rowCleared', rows: 5 });
+            clock += VersusLobby.ROW_WINDOW;
+        }
+
+        // Four levels' rows and three of the fifth's
+        assert.equal(bob.last('opponentState').level, 5);
+        assert.equal(rows(), 4 * 5 + 3);
+
+        // A jump ahead moves one level at a time
+        lobby.handleMessage(alice, { type: 'rowCleared', rows: 2 });
+        lobby.handleMessage(alice, { type: 'state', score: 0, lives: 3, level: 10 });
+        assert.equal(bob.last('opponentState').level, 6);
+    });
+
+    it('counts rows in the level\'s formation', () => {
+        assert.equal(VersusLobby.getRowCount(generateLevel(1)), 5);
+        assert.equal(VersusLobby.getRowCount({ enemyRows: 5, specialMechanics: { formation: 'custom', layout: ['a', 'b'] } }), 2);
+    });
+
+    it('gives the match to whoever is still playing when the other game ends', () => {
+        startMatch();
+        lobby.handleMessage(alice, { type: 'state', score: 800, lives: 1, level: 2 });
+        lobby.handleMessage(bob, { type: 'gameOver', score: 300 });
+
+        assert.deepEqual(alice.last('result'), {
+            type: 'result', outcome: 'win', reason: 'game-over', score: 800, opponentScore: 300, rating: 1016, ratingChange: 16
+        });
+        assert.equal(bob.last('result').outcome, 'loss');
+        assert.equal(bob.last('result').ratingChange, -16);
+        assert.equal(service.getMatches(alice.user.id)[0].score, 800);
+
+        // Both are free to queue again
+        assert.equal(alice.match, null);
+        assert.equal(lobby.matches.size, 0);
+    });
+
+    it('counts leaving a match as a forfeit', () => {
+        startMatch();
+        lobby.disconnect(alice);
+
+        assert.equal(bob.last('result').outcome, 'win');
+        assert.equal(bob.last('result').reason, 'forfeit');
+        assert.equal(service.getRating(alice.user.id).losses, 1);
+    });
+
+    it('answers unknown messages with an error', () => {
+        lobby.handleMessage(alice, { type: 'launch-nukes' });
+        assert.equal(alice.last('error').error, 'UNKNOWN_MESSAGE');
+    });
+});
+
+describe('versus garbage', () => {
+    it('reports each formation row as it is wiped out', () => {
+        const simulation = new GameSimulation();
+        simulation.reset(3);
+        simulation.loadLevel(generateLevel(1));
+        const cleared = [];
+        simulation.onEvent = (type, data) => type === 'rowCleared' && cleared.push(data.row);
+
+        const bottomRow = Math.max(...simulation.enemies.map(enemy => enemy.row));
+        while (simulation.enemies.some(enemy => enemy.row === bottomRow)) {
+            simulation.killEnemy(simulation.enemies.findIndex(enemy => enemy.row === bottomRow));
+        }
+
+        assert.deepEqual(cleared, [bottomRow]);
+    });
+
+    it('drops garbage bullets from the top of the screen', () => {
+        const simulation = new GameSimulation();
+        simulation.reset(3);
+        simulation.loadLevel(generateLevel(1));
+
+        simulation.receiveGarbage(3);
+
+        assert.equal(simulation.enemyBullets.length, 3);
+        assert.ok(simulation.enemyBullets.every(bullet => bullet.y === 0 && bullet.vy > 0));
+        assert.equal(simulation.garbageReceived, 3);
+    });
+});